@@ -2,6 +2,7 @@
 /// <reference lib="esnext" />
 /// <reference types="@cloudflare/workers-types" />
 import { DurableObject, env } from "cloudflare:workers";
+import { AsyncLocalStorage } from "node:async_hooks";
 
 /**
  * @typedef Env
@@ -14,8 +15,14 @@ import { DurableObject, env } from "cloudflare:workers";
  * @property {string} path - The full path of the file/directory (PRIMARY KEY)
  * @property {string|null} parent_path - The path of the parent directory
  * @property {string} name - The name of the file/directory (NOT NULL)
- * @property {'file'|'directory'} type - The type of entry (NOT NULL, must be 'file' or 'directory')
+ * @property {'file'|'directory'|'symlink'} type - The type of entry (NOT NULL, must be 'file', 'directory' or 'symlink')
  * @property {Blob|null} content - The binary content of the file (null for directories)
+ * @property {string|null} target - The path a symbolic link points to (null for other types)
+ * @property {string|null} linked_path - For hard links, the path of the file row holding the shared content
+ * @property {string|null} r2_key - Key of the R2 object holding the content, for files moved to cold storage
+ * @property {string|null} hash - SHA-256 of the content, for files whose content is a shared blob
+ * @property {string|null} key_id - ID of the key the content is encrypted with, or null for plaintext
+ * @property {number|null} base_size - For files whose blob or R2 object holds only the start of the content, its size (see getBaseSize())
  * @property {number} size - The size of the file in bytes (default: 0)
  * @property {number} mode - The file permissions/mode (default: 33188 for regular files)
  * @property {number} uid - The user ID of the file owner (default: 0)
@@ -25,18 +32,134 @@ import { DurableObject, env } from "cloudflare:workers";
  * @property {number} atime - The access time as Unix timestamp (default: current time)
  */
 
+/**
+ * A slice of a file's content, used for files larger than CHUNK_SIZE
+ * @typedef {Object} Chunk
+ * @property {string} path - The path of the file this chunk belongs to
+ * @property {number} chunk_index - The position of this chunk within the file (0-based)
+ * @property {ArrayBuffer} data - The binary content of the chunk
+ */
+
+/**
+ * Content stored once for every file with the same SHA-256 hash. Content
+ * larger than CHUNK_SIZE is kept in the chunks table, see getBlobChunkPath().
+ * @typedef {Object} ContentBlob
+ * @property {string} hash - Hex SHA-256 of the content (PRIMARY KEY)
+ * @property {ArrayBuffer|null} content - The binary content as stored, unless it is chunked or in cold storage
+ * @property {string|null} r2_key - Key of the R2 object holding the content, for blobs moved to cold storage
+ * @property {Codec|null} codec - Compression format of the stored content, or null when it is stored as is
+ * @property {string|null} piece_sizes - JSON array of the sizes of the stored pieces, for content compressed a piece at a time, see DOFS.encodeContent()
+ * @property {string|null} key_id - ID of the key the content is encrypted with, or null for plaintext
+ * @property {number} size - The size of the content in bytes
+ * @property {number} stored_size - The size of the content as stored, after compression
+ * @property {number} refs - Number of files and versions referencing the blob
+ */
+
+/**
+ * Where the content of a blob is stored, in the shape readContent() takes
+ * @typedef {Object} StoredContent
+ * @property {string} path - Path of its chunks
+ * @property {ArrayBuffer|null} content - Inline content
+ * @property {string|null} r2_key - Key of the R2 object holding the content
+ * @property {Codec|null} codec - Compression format of the content
+ * @property {string|null} piece_sizes - JSON array of the sizes of the stored pieces, when they are compressed one at a time
+ * @property {string|null} key_id - ID of the key the content is encrypted with
+ * @property {number} size - Size of the content as stored
+ */
+
+/**
+ * Content prepared to be stored in a blob, see DOFS.encodeContent()
+ * @typedef {Object} EncodedContent
+ * @property {string} hash - Hex SHA-256 of the content, see hashContent()
+ * @property {number} size - Size of the content in bytes
+ * @property {Codec|null} codec - Compression format of the pieces, or null when they hold the content as is
+ * @property {string|null} keyId - ID of the key the pieces are encrypted with
+ * @property {ArrayBuffer[]} pieces - The bytes to store, see DOFS.encryptContent()
+ */
+
+/**
+ * Changes to the content a file holds itself, prepared while the file may
+ * still change and stored at once, see DOFS.storeContentUpdate()
+ * @typedef {Object} ContentUpdate
+ * @property {ArrayBuffer[]|null} pieces - Stored pieces replacing the inline content, or null to keep it
+ * @property {ArrayBuffer|null} extend - Plaintext SQLite adds to the inline content or the last chunk
+ * @property {Chunk[]} chunks - Chunks to store
+ */
+
+/**
+ * Compression format of CompressionStream
+ * @typedef {'gzip'|'deflate'|'deflate-raw'} Codec
+ */
+
+/**
+ * Key material a disk key is derived from, see deriveKey()
+ * @typedef {string|ArrayBuffer|ArrayBufferView} KeyMaterial
+ */
+
+/**
+ * A key of a disk
+ * @typedef {Object} DiskKey
+ * @property {string} id - Identifies the key in the `key_id` column of the content it encrypted
+ * @property {CryptoKey} cipher - AES-GCM key encrypting content
+ * @property {CryptoKey} signer - HMAC key hashing content, see hashContent()
+ */
+
 /**
  * @typedef {Object} Stats
  * @property {boolean} isFile - Returns true if the item is a file
  * @property {boolean} isDirectory - Returns true if the item is a directory
  * @property {boolean} isSymbolicLink - Returns true if the item is a symbolic link
  * @property {number} size - Size of the file in bytes
+ * @property {number} storedSize - Number of bytes the content takes in storage, after compression and encryption
  * @property {Date} mtime - Modified time
  * @property {Date} ctime - Created time
  * @property {Date} atime - Accessed time
  * @property {number} mode - File mode/permissions
  * @property {number} uid - User ID of owner
  * @property {number} gid - Group ID of owner
+ * @property {number} nlink - Number of hard links to the file
+ * @property {string|null} hash - SHA-256 of the content (hex, an HMAC keyed per disk on encrypted disks), or null for content modified in place until it is written as a whole again
+ */
+
+/**
+ * @typedef {Object} Dirent
+ * @property {string|Uint8Array} name - Name of the entry (bytes with the 'buffer' encoding)
+ * @property {string} parentPath - Path of the directory holding the entry
+ * @property {() => boolean} isFile - Returns true if the entry is a file
+ * @property {() => boolean} isDirectory - Returns true if the entry is a directory
+ * @property {() => boolean} isSymbolicLink - Returns true if the entry is a symbolic link
+ */
+
+/**
+ * @typedef {Object} OpendirOptions
+ * @property {string} [encoding='utf8'] - Character encoding for the names of entries ('buffer' for Buffers)
+ * @property {number} [bufferSize=32] - Number of entries read from the disk at once
+ */
+
+/**
+ * @typedef {Object} GlobOptions
+ * @property {PathLike} [cwd] - Directory relative patterns are matched in, the working directory by default
+ * @property {string[]|((entry: string|Dirent) => boolean)} [exclude] - Patterns, or a function returning true, for paths to leave out along with everything inside them
+ * @property {boolean} [withFileTypes=false] - Yield Dirent objects instead of paths
+ */
+
+/**
+ * Filesystem statistics, shaped like Node.js `fs.StatFs`
+ * @typedef {Object} StatFs
+ * @property {number} type - Type of filesystem
+ * @property {number} bsize - Block size in bytes
+ * @property {number} blocks - Total blocks
+ * @property {number} bfree - Free blocks
+ * @property {number} bavail - Free blocks available to the caller
+ * @property {number} files - Total file nodes (0 without a limit)
+ * @property {number} ffree - Free file nodes (0 without a limit)
+ */
+
+/**
+ * Space used by the entries inside a directory, see du()
+ * @typedef {Object} DiskUsage
+ * @property {number} size - Total size of the files in bytes
+ * @property {number} files - Number of files, directories and links
  */
 
 /**
@@ -49,23 +172,39 @@ import { DurableObject, env } from "cloudflare:workers";
 
 /**
  * @typedef {Object} WriteFileOptions
- * @property {string} [encoding='utf8'] - Character encoding
+ * @property {string} [encoding='utf8'] - Character encoding of string data, any of Node.js (e.g. 'base64', 'hex', 'latin1')
  * @property {number} [mode=0o666] - File mode
  * @property {string} [flag='w'] - File system flag
+ * @property {Codec|null} [compression] - Compress the content with this format instead of the mount's (null to store it as is)
  */
 
 /**
  * @typedef {Object} ReadFileOptions
- * @property {string} [encoding] - Character encoding (if not specified, returns Buffer)
+ * @property {string} [encoding] - Character encoding, any of Node.js (if not specified or 'buffer', returns a Buffer)
  * @property {string} [flag='r'] - File system flag
  */
 
+/**
+ * @typedef {Object} ReaddirOptions
+ * @property {string} [encoding='utf8'] - Character encoding for filenames ('buffer' for Buffers)
+ * @property {boolean} [withFileTypes=false] - Return Dirent objects instead of strings
+ */
+
 /**
  * @typedef {Object} MkdirOptions
  * @property {boolean} [recursive=false] - Create parent directories if they don't exist
  * @property {number} [mode=0o777] - Directory mode
  */
 
+/**
+ * User and groups that fs calls are checked against, see runAs()
+ * @typedef {Object} Credentials
+ * @property {number} uid - User ID
+ * @property {number} gid - Group ID
+ * @property {number[]} [groups] - Supplementary group IDs
+ * @property {number} [umask=0o022] - Bits cleared from the mode of new files and directories
+ */
+
 /**
  * @typedef {Object} RmOptions
  * @property {boolean} [force=false] - Ignore nonexistent files
@@ -74,220 +213,4496 @@ import { DurableObject, env } from "cloudflare:workers";
  * @property {number} [retryDelay=100] - Delay between retries in ms
  */
 
-// Global env reference
 /**
- * Set the environment for the fs module
- * @type {Env} env - The environment object
+ * An operation run by batch(): the name of an fs function followed by its
+ * arguments, e.g. `["writeFile", "/src/index.js", "export {};"]`
+ * @typedef {['mkdir', string, MkdirOptions?]|['writeFile', string, string|ArrayBuffer|Uint8Array, (WriteFileOptions|string)?]|['rename', string, string]|['rm', string, RmOptions?]|['stat', string]} BatchOperation
  */
-let globalEnv = env;
 
 /**
- * Get DO instance name from path
- * @param {string} path - File path
- * @returns {string} - DO instance name
+ * Operations batch() supports, with the positions of their path arguments
+ * @type {Record<string, number[]>}
  */
-function getInstanceName(path) {
-  const userMatch = path.match(/^\/Users\/([^\/]+)/);
-  return userMatch ? userMatch[1] : "default";
+const BATCH_OPERATIONS = {
+  mkdir: [0],
+  writeFile: [0],
+  rename: [0, 1],
+  rm: [0],
+  stat: [0],
+};
+
+/**
+ * Maximum number of bytes stored in a single row. Files larger than this are
+ * split across rows of the `chunks` table to stay under the SQLite row limit.
+ */
+const CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * Maximum size of the SQLite database of a Durable Object. Writes that don't
+ * fit anymore fail with ENOSPC.
+ */
+const DISK_CAPACITY = 10 * 1024 * 1024 * 1024;
+
+/**
+ * Block size reported by statfs()
+ */
+const BLOCK_SIZE = 4096;
+
+/**
+ * Filesystem type reported by statfs(): "DOFS" in ASCII
+ */
+const DOFS_MAGIC = 0x444f4653;
+
+/**
+ * Default number of bytes pulled per RPC call by createReadStream
+ */
+const DEFAULT_HIGH_WATER_MARK = 64 * 1024;
+
+/**
+ * Maximum number of symbolic links followed while resolving a path, as on Linux
+ */
+const MAX_SYMLINKS = 40;
+
+/**
+ * Mode of a symbolic link (S_IFLNK | 0o777)
+ */
+const SYMLINK_MODE = 0o120777;
+
+/**
+ * Bits cleared from the mode of new files and directories unless runAs()
+ * is given another umask, as with the usual process umask
+ */
+const DEFAULT_UMASK = 0o022;
+
+/**
+ * Path under which the chunks of a file version are kept in the `chunks`
+ * table. It can't collide with a file path, which always starts with "/".
+ * @param {number} id - Version ID
+ * @returns {string} - Chunk path
+ */
+function getVersionChunkPath(id) {
+  return `version:${id}`;
 }
 
 /**
- * Get DOFS instance for path
- * @param {string} path - File path
- * @returns {DurableObjectStub<DOFS>} - DOFS instance
+ * Path under which the chunks of a blob are kept in the `chunks` table
+ * @param {string} hash - Content hash
+ * @returns {string} - Chunk path
  */
-function getInstance(path) {
-  if (!globalEnv) {
-    throw new Error("Environment not set. Call setEnv(env) first.");
-  }
-  const name = getInstanceName(path);
-  return globalEnv.DOFS.get(globalEnv.DOFS.idFromName(name));
+function getBlobChunkPath(hash) {
+  return `blob:${hash}`;
 }
 
 /**
- * Ensure parent directories exist across instances
- * @param {string} path - File path
+ * Get how many bytes at the start of a file's content its blob or R2 object
+ * holds. Data appended after them is kept in chunks of the file's own,
+ * numbered from the end of the blob.
+ * @param {File} file - File or version row
+ * @returns {number} - Size of the shared or cold content, 0 without one
  */
-async function ensureParentExists(path) {
-  const normalized = path.replace(/\/+$/, "").replace(/\/+/g, "/");
-  if (normalized === "/" || !normalized.includes("/")) return;
+function getBaseSize(file) {
+  return file.hash || file.r2_key ? file.base_size ?? file.size : 0;
+}
 
-  const lastSlash = normalized.lastIndexOf("/");
-  const parentPath = lastSlash <= 0 ? "/" : normalized.substring(0, lastSlash);
+/**
+ * Largest file whose content is read into memory to hash it after it was
+ * written in pieces, see DOFS.sealFile(). Larger files keep their own copy.
+ */
+const MAX_SEAL_SIZE = 32 * 1024 * 1024;
 
-  if (parentPath === "/") return;
+/**
+ * The root directory of a disk, which has no row of its own
+ * @type {File}
+ */
+const ROOT_DIRECTORY = {
+  path: "/",
+  parent_path: null,
+  name: "",
+  type: "directory",
+  content: null,
+  target: null,
+  linked_path: null,
+  r2_key: null,
+  hash: null,
+  key_id: null,
+  base_size: null,
+  size: 0,
+  mode: 0o777,
+  uid: 0,
+  gid: 0,
+  mtime: 0,
+  ctime: 0,
+  atime: 0,
+};
 
-  try {
-    await stat(parentPath);
-  } catch {
-    // Parent doesn't exist, create it
-    await mkdir(parentPath, { recursive: true });
-  }
+/**
+ * @typedef {Object} ReadStreamOptions
+ * @property {number} [start=0] - Byte offset to start reading from
+ * @property {number} [end=Infinity] - Byte offset to stop reading at (inclusive)
+ * @property {number} [highWaterMark=65536] - Maximum number of bytes per chunk
+ */
+
+/**
+ * @typedef {Object} WriteStreamOptions
+ * @property {string} [flags='w'] - File system flag ('w' truncates, 'a' appends, 'r+' writes over the content from its start)
+ * @property {number} [mode=0o666] - File mode
+ * @property {string} [encoding='utf8'] - Character encoding of string chunks
+ */
+
+/**
+ * @typedef {Object} WatchOptions
+ * @property {boolean} [recursive=false] - Also watch all subdirectories
+ * @property {AbortSignal} [signal] - Signal to stop watching
+ */
+
+/**
+ * @typedef {Object} WatchEvent
+ * @property {'rename'|'change'} eventType - 'rename' when an entry appears or disappears, 'change' when it is modified
+ * @property {string} filename - Path of the changed entry, relative to the watched directory
+ */
+
+/**
+ * @typedef {Object} Watcher
+ * @property {string} path - Watched path
+ * @property {boolean} recursive - Also watch all subdirectories
+ * @property {ReadableStreamDefaultController<Uint8Array>} controller - Controller of the event stream
+ * @property {Credentials} [credentials] - Credentials of the caller of watch(), see runAs()
+ */
+
+/**
+ * @typedef {Object} OpenFlags
+ * @property {boolean} read - Handle can be read from
+ * @property {boolean} write - Handle can be written to
+ * @property {boolean} create - Create the file if it does not exist
+ * @property {boolean} truncate - Truncate the file to zero length on open
+ * @property {boolean} exclusive - Fail if the file already exists
+ * @property {boolean} append - Every write goes to the end of the file
+ */
+
+/**
+ * Negative errno values (as reported by Node.js on Linux) for each error code
+ */
+const ERRNO = {
+  EPERM: -1,
+  EBADF: -9,
+  EACCES: -13,
+  ENOENT: -2,
+  EEXIST: -17,
+  EXDEV: -18,
+  ENOTDIR: -20,
+  EISDIR: -21,
+  EINVAL: -22,
+  EFBIG: -27,
+  ENOSPC: -28,
+  EROFS: -30,
+  ENOTEMPTY: -39,
+  ELOOP: -40,
+  EBADMSG: -74,
+  EDQUOT: -122,
+  ENOKEY: -126,
+  EKEYREJECTED: -129,
+};
+
+/**
+ * Description used in the message of each error code
+ */
+const ERROR_DESCRIPTIONS = {
+  EPERM: "operation not permitted",
+  EBADF: "bad file descriptor",
+  EACCES: "permission denied",
+  ENOENT: "no such file or directory",
+  EEXIST: "file already exists",
+  EXDEV: "cross-device link not permitted",
+  ENOTDIR: "not a directory",
+  EISDIR: "illegal operation on a directory",
+  EINVAL: "invalid argument",
+  EFBIG: "file too large",
+  ENOSPC: "no space left on device",
+  EROFS: "read-only file system",
+  ENOTEMPTY: "directory not empty",
+  ELOOP: "too many symbolic links encountered",
+  EBADMSG: "bad message",
+  EDQUOT: "disk quota exceeded",
+  ENOKEY: "required key not available",
+  EKEYREJECTED: "key was rejected by service",
+};
+
+/**
+ * @typedef {Error & {code: string, errno: number, syscall: string, path?: string, dest?: string}} SystemError
+ */
+
+/**
+ * Create an error shaped like a Node.js SystemError, e.g.
+ * `ENOENT: no such file or directory, open '/missing.txt'`
+ * @param {keyof typeof ERRNO} code - Error code
+ * @param {string} syscall - Name of the failing system call
+ * @param {string} [path] - Path the call operated on
+ * @param {string} [dest] - Destination path (for two-path calls like rename)
+ * @returns {SystemError} - The error
+ */
+function createError(code, syscall, path, dest) {
+  let message = `${code}: ${ERROR_DESCRIPTIONS[code]}, ${syscall}`;
+  if (path !== undefined) message += ` '${path}'`;
+  if (dest !== undefined) message += ` -> '${dest}'`;
+
+  const error = /** @type {SystemError} */ (new Error(message));
+  error.errno = ERRNO[code];
+  error.code = code;
+  error.syscall = syscall;
+  if (path !== undefined) error.path = path;
+  if (dest !== undefined) error.dest = dest;
+  return error;
 }
 
 /**
- * Copy a file from source to destination
- * @param {string} src - Source file path
- * @param {string} dest - Destination file path
- * @param {number} [mode] - Optional mode specifying behavior
- * @returns {Promise<void>}
+ * Throw the RangeError Node.js throws for a buffer offset or length out of
+ * range (code ERR_OUT_OF_RANGE), unless the value is an integer from 0 to `max`
+ * @param {string} name - Name of the argument
+ * @param {number} value - Value of the argument
+ * @param {number} max - Largest value allowed
  */
-export async function copyFile(src, dest, mode = 0) {
-  const srcInstance = getInstance(src);
-  const destInstance = getInstance(dest);
+function assertInRange(name, value, max) {
+  if (Number.isInteger(value) && value >= 0 && value <= max) return;
+  const error = /** @type {RangeError & {code: string}} */ (
+    new RangeError(
+      `The value of "${name}" is out of range. It must be >= 0 && <= ${max}. Received ${value}`
+    )
+  );
+  error.code = "ERR_OUT_OF_RANGE";
+  throw error;
+}
 
-  if (srcInstance === destInstance) {
-    await srcInstance.copyFile(src, dest, mode);
-  } else {
-    // Ensure parent directory exists in destination instance
-    await ensureParentExists(dest);
+/**
+ * Restore the code, errno, syscall, path and dest properties of an error that
+ * crossed the Durable Object RPC boundary, which only keeps the message.
+ * @param {any} error - Error thrown by a DOFS RPC call
+ * @returns {any} - The same error with its properties restored
+ */
+function rehydrateError(error) {
+  if (!(error instanceof Error) || "code" in error) return error;
 
-    const content = await srcInstance.readFileBuffer(src);
-    const stats = await srcInstance.stat(src);
-    await destInstance.writeFileBuffer(dest, content, { mode: stats.mode });
-  }
+  const match = error.message.match(/^(E[A-Z]+): [^,]*, (\w+)(?: '(.*)')?$/);
+  if (!match || !(match[1] in ERRNO)) return error;
+
+  const [, code, syscall, paths] = match;
+  const [path, dest] = paths === undefined ? [] : paths.split("' -> '");
+  const systemError = /** @type {SystemError} */ (error);
+  systemError.errno = ERRNO[code];
+  systemError.code = code;
+  systemError.syscall = syscall;
+  if (path !== undefined) systemError.path = path;
+  if (dest !== undefined) systemError.dest = dest;
+  return systemError;
 }
 
 /**
- * Copy files and directories
- * @param {string} src - Source path
- * @param {string} dest - Destination path
- * @param {CopyOptions} [options] - Copy options
- * @returns {Promise<void>}
+ * File access constants, mirroring Node.js `fs.constants`
  */
-export async function cp(src, dest, options = {}) {
-  const srcInstance = getInstance(src);
-  const destInstance = getInstance(dest);
+export const constants = {
+  F_OK: 0,
+  X_OK: 1,
+  W_OK: 2,
+  R_OK: 4,
+};
 
-  if (srcInstance === destInstance) {
-    await srcInstance.cp(src, dest, options);
-  } else {
-    // Cross-instance copy - simplified implementation
-    const stats = await srcInstance.stat(src);
-    if (stats.isDirectory) {
-      if (!options.recursive) {
-        throw new Error("Cannot copy directory without recursive option");
-      }
-      await mkdir(dest, { recursive: true });
-      const entries = await srcInstance.readdir(src);
-      for (const entry of entries) {
-        await cp(`${src}/${entry}`, `${dest}/${entry}`, options);
-      }
-    } else {
-      await ensureParentExists(dest);
-      const content = await srcInstance.readFileBuffer(src);
-      await destInstance.writeFileBuffer(dest, content, { mode: stats.mode });
-    }
-  }
+/**
+ * Credentials of the fs calls running in the current async context. Without
+ * credentials calls run as root and skip permission checks. The disks trust
+ * the credentials they are called with, so checks are only as strong as the
+ * worker code choosing them, see runAs().
+ * @type {AsyncLocalStorage<Credentials>}
+ */
+const credentialsStorage = new AsyncLocalStorage();
+
+/**
+ * Check whether credentials grant access to a row according to its mode bits
+ * @param {{mode: number, uid: number, gid: number}} file - File row
+ * @param {number} mode - Required access, a combination of R_OK, W_OK and X_OK
+ * @param {Credentials} [credentials] - Credentials to check
+ * @returns {boolean} - True if access is granted
+ */
+function hasAccess(file, mode, credentials) {
+  if (!credentials || credentials.uid === 0) return true;
+  let bits = file.mode & 0o7;
+  if (file.uid === credentials.uid) bits = (file.mode >> 6) & 0o7;
+  else if (isMember(credentials, file.gid)) bits = (file.mode >> 3) & 0o7;
+  return (bits & mode) === mode;
 }
 
 /**
- * Create a directory
- * @param {string} path - Directory path to create
- * @param {MkdirOptions} [options] - Directory creation options
- * @returns {Promise<string|undefined>} - Returns path of first directory created (when recursive)
+ * Check whether credentials belong to a group, as their primary group or a
+ * supplementary one
+ * @param {Credentials} credentials - Credentials to check
+ * @param {number} gid - Group ID
+ * @returns {boolean} - True if the credentials are in the group
  */
-export async function mkdir(path, options = {}) {
-  const instance = getInstance(path);
-  return await instance.mkdir(path, options);
+function isMember(credentials, gid) {
+  return credentials.gid === gid || !!credentials.groups?.includes(gid);
 }
 
 /**
- * Read directory contents
- * @param {string} path - Directory path to read
- * @param {Object} [options] - Read options
- * @param {string} [options.encoding='utf8'] - Character encoding for filenames
- * @param {boolean} [options.withFileTypes=false] - Return Dirent objects instead of strings
- * @returns {Promise<string[]|Object[]>} - Array of filenames or Dirent objects
+ * Convert a time argument of utimes() to a Unix timestamp in seconds
+ * @param {number|string|Date} time - Seconds since the epoch, or a Date
+ * @returns {number} - Unix timestamp
  */
-export async function readdir(path, options = {}) {
-  const instance = getInstance(path);
-  return await instance.readdir(path, options);
+function toUnixTime(time) {
+  if (time instanceof Date) return Math.floor(time.getTime() / 1000);
+  return Math.floor(Number(time));
 }
 
 /**
- * Read file contents
- * @param {string} path - File path to read
- * @param {ReadFileOptions|string} [options] - Read options or encoding string
- * @returns {Promise<Buffer|string>} - File contents as Buffer or string
+ * Message prefix of the error a disk throws when a path resolves, through a
+ * symbolic link, to a path on another disk
  */
-export async function readFile(path, options) {
-  const instance = getInstance(path);
-  return await instance.readFile(path, options);
+const REDIRECT = "DOFS_REDIRECT";
+
+/**
+ * Create the error that hands an operation over to the disk holding `path`
+ * @param {string} syscall - Name of the operation, used in ELOOP errors
+ * @param {string} path - Resolved path on the other disk
+ * @returns {Error} - The error
+ */
+function createRedirect(syscall, path) {
+  return new Error(`${REDIRECT} ${syscall} ${path}`);
 }
 
 /**
- * Rename/move a file or directory
- * @param {string} oldPath - Current path
- * @param {string} newPath - New path
- * @returns {Promise<void>}
+ * Parse an error thrown by createRedirect()
+ * @param {any} error - Error thrown by a DOFS method
+ * @returns {{syscall: string, path: string}|null} - The redirect, or null for other errors
  */
-export async function rename(oldPath, newPath) {
-  const oldInstance = getInstance(oldPath);
-  const newInstance = getInstance(newPath);
+function parseRedirect(error) {
+  const match =
+    error instanceof Error &&
+    error.message.match(new RegExp(`^${REDIRECT} (\\w+) (.*)$`));
+  return match ? { syscall: match[1], path: match[2] } : null;
+}
 
-  if (oldInstance === newInstance) {
-    await oldInstance.rename(oldPath, newPath);
-  } else {
-    // Cross-instance move
-    await cp(oldPath, newPath, { recursive: true });
-    await rm(oldPath, { recursive: true });
+/**
+ * Resolve `.` and `..` segments of an absolute path
+ * @param {string} path - Absolute path
+ * @returns {string} - Path without dot segments
+ */
+function resolveDotSegments(path) {
+  const segments = [];
+  for (const segment of path.split("/")) {
+    if (segment === "" || segment === ".") continue;
+    if (segment === "..") segments.pop();
+    else segments.push(segment);
   }
+  return `/${segments.join("/")}`;
 }
 
 /**
- * Remove files and directories
- * @param {string} path - Path to remove
- * @param {RmOptions} [options] - Remove options
- * @returns {Promise<void>}
+ * A path as Node.js takes it: a string, a Buffer (or other Uint8Array) with
+ * the path in UTF-8, or a `file:` URL
+ * @typedef {string|Uint8Array|URL} PathLike
  */
-export async function rm(path, options = {}) {
-  const instance = getInstance(path);
-  await instance.rm(path, options);
-}
 
 /**
- * Get file/directory statistics
- * @param {string} path - Path to stat
- * @param {Object} [options] - Stat options
- * @param {boolean} [options.bigint=false] - Return BigInt values for numeric properties
- * @returns {Promise<Stats>} - File statistics object
+ * Working directory relative paths are resolved against outside runIn(), see
+ * chdir()
  */
-export async function stat(path, options = {}) {
-  const instance = getInstance(path);
-  return await instance.stat(path, options);
+let workingDirectory = "/";
+
+/**
+ * Working directory of the fs calls running in the current async context,
+ * see runIn()
+ * @type {AsyncLocalStorage<{directory: string}>}
+ */
+const directoryStorage = new AsyncLocalStorage();
+
+/**
+ * Turn a path argument into a string, without resolving it. Paths that can't
+ * name a file throw: other types, URLs that aren't local `file:` URLs or
+ * encode a slash, and paths with a NUL byte.
+ * @param {PathLike} path - Path argument
+ * @param {string} syscall - Name of the operation, used in errors
+ * @returns {string} - Path
+ */
+function toPathString(path, syscall) {
+  let string = path;
+  if (path instanceof URL) {
+    if (
+      path.protocol !== "file:" ||
+      path.hostname !== "" ||
+      /%2f/i.test(path.pathname)
+    ) {
+      throw createError("EINVAL", syscall, path.href);
+    }
+    string = decodeURIComponent(path.pathname);
+  } else if (path instanceof Uint8Array) {
+    string = new TextDecoder().decode(path);
+  }
+  if (typeof string !== "string") {
+    throw createError("EINVAL", syscall);
+  }
+  if (string.includes("\0")) {
+    throw createError("EINVAL", syscall, string);
+  }
+  return string;
 }
 
 /**
- * Write data to a file
- * @param {string} file - File path to write
- * @param {string|ArrayBuffer|Uint8Array} data - Data to write
- * @param {WriteFileOptions|string} [options] - Write options or encoding string
- * @returns {Promise<void>}
+ * Resolve a path argument to a normalized absolute path: relative paths start
+ * at the working directory, and `.` and `..` segments are resolved like
+ * Node.js `path.resolve()` does. Every exported function resolves its paths
+ * before picking the disk, so `..` can't lead to another disk's paths.
+ * @param {PathLike} path - Path argument
+ * @param {string} syscall - Name of the operation, used in errors
+ * @returns {string} - Absolute path
  */
-export async function writeFile(file, data, options) {
-  const instance = getInstance(file);
-  await instance.writeFile(file, data, options);
+function toPath(path, syscall) {
+  const string = toPathString(path, syscall);
+  // Like Node.js, an empty path names no file rather than the working directory
+  if (string === "") {
+    throw createError("ENOENT", syscall, string);
+  }
+  return resolveDotSegments(
+    string.startsWith("/") ? string : `${cwd()}/${string}`
+  );
 }
 
-export class DOFS extends DurableObject {
-  /** @param {DurableObjectState} state @param {Env} env */
-  constructor(state, env) {
-    super(state, env);
-    this.sql = state.storage.sql;
-    this.env = env;
-    this.initTables();
+/**
+ * Change the working directory relative paths are resolved against: the one
+ * of the surrounding runIn() call, or else the one of the whole module like
+ * process.chdir(). As requests share the module, call it outside runIn() only
+ * at module top level, like mount(). The directory isn't checked: paths in a
+ * missing one throw ENOENT when they are used.
+ * @param {PathLike} directory - New working directory
+ */
+export function chdir(directory) {
+  const path = toPath(directory, "chdir");
+  const scope = directoryStorage.getStore();
+  if (scope) {
+    scope.directory = path;
+  } else {
+    workingDirectory = path;
   }
+}
 
-  initTables() {
-    this.sql.exec(`
-      CREATE TABLE IF NOT EXISTS files (
-        path TEXT PRIMARY KEY,
-        parent_path TEXT,
-        name TEXT NOT NULL,
-        type TEXT NOT NULL CHECK (type IN ('file', 'directory')),
-        content BLOB,
-        size INTEGER NOT NULL DEFAULT 0,
+/**
+ * Get the working directory relative paths are resolved against
+ * @returns {string} - Absolute path of the working directory
+ */
+export function cwd() {
+  return directoryStorage.getStore()?.directory ?? workingDirectory;
+}
+
+/**
+ * Run fs calls with a working directory of their own, e.g. one per request,
+ * leaving the one of other calls as it is. chdir() inside `fn` only changes
+ * this one.
+ * @template T
+ * @param {PathLike} directory - Working directory, relative to the current one
+ * @param {() => T} fn - Function making the fs calls
+ * @returns {T} - Return value of `fn`
+ */
+export function runIn(directory, fn) {
+  return directoryStorage.run({ directory: toPath(directory, "chdir") }, fn);
+}
+
+/**
+ * Node.js file system flags supported by open()
+ */
+const VALID_FLAGS = [
+  "r",
+  "r+",
+  "rs+",
+  "w",
+  "wx",
+  "w+",
+  "wx+",
+  "a",
+  "ax",
+  "a+",
+  "ax+",
+];
+
+/**
+ * Parse a file system flag string
+ * @param {string} flags - File system flag (e.g. 'r', 'w', 'a+')
+ * @param {string} [path] - Path being opened, used in errors
+ * @returns {OpenFlags} - Parsed flags
+ */
+function parseFlags(flags, path) {
+  if (!VALID_FLAGS.includes(flags)) {
+    throw createError("EINVAL", "open", path);
+  }
+  return {
+    read: flags.startsWith("r") || flags.endsWith("+"),
+    write: !flags.startsWith("r") || flags.endsWith("+"),
+    create: !flags.startsWith("r"),
+    truncate: flags.startsWith("w"),
+    exclusive: flags.includes("x"),
+    append: flags.startsWith("a"),
+  };
+}
+
+/**
+ * Convert binary data to a standalone ArrayBuffer
+ * @param {ArrayBuffer|ArrayBufferView} data - Data to convert
+ * @returns {ArrayBuffer} - ArrayBuffer containing only the given bytes
+ */
+function toArrayBuffer(data) {
+  if (data instanceof ArrayBuffer) return data;
+  return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+}
+
+/**
+ * Concatenate two buffers
+ * @param {ArrayBuffer} a - First buffer
+ * @param {ArrayBuffer} b - Second buffer
+ * @returns {ArrayBuffer} - Combined buffer
+ */
+function concatBuffers(a, b) {
+  return joinBuffers([a, b]);
+}
+
+/**
+ * Concatenate buffers
+ * @param {ArrayBuffer[]} buffers - Buffers in order
+ * @returns {ArrayBuffer} - Combined buffer
+ */
+function joinBuffers(buffers) {
+  const result = new Uint8Array(
+    buffers.reduce((total, buffer) => total + buffer.byteLength, 0)
+  );
+  let offset = 0;
+  for (const buffer of buffers) {
+    result.set(new Uint8Array(buffer), offset);
+    offset += buffer.byteLength;
+  }
+  return result.buffer;
+}
+
+/**
+ * Split a buffer into pieces of at most `size` bytes
+ * @param {ArrayBuffer} buffer - Buffer to split
+ * @param {number} size - Size of the pieces
+ * @returns {ArrayBuffer[]} - Pieces in order, at least one
+ */
+function splitBuffer(buffer, size) {
+  const pieces = [buffer.slice(0, size)];
+  for (let offset = size; offset < buffer.byteLength; offset += size) {
+    pieces.push(buffer.slice(offset, offset + size));
+  }
+  return pieces;
+}
+
+/**
+ * Split a buffer into pieces of the given sizes
+ * @param {ArrayBuffer} buffer - Buffer to split
+ * @param {number[]} sizes - Size of every piece
+ * @returns {ArrayBuffer[]} - Pieces in order
+ */
+function splitBufferBySizes(buffer, sizes) {
+  let offset = 0;
+  return sizes.map((size) => buffer.slice(offset, (offset += size)));
+}
+
+/**
+ * Describe the sizes of stored pieces, see ContentBlob
+ * @param {ArrayBuffer[]} pieces - Stored pieces in order
+ * @returns {string} - JSON array of their sizes
+ */
+function getPieceSizes(pieces) {
+  return JSON.stringify(pieces.map((piece) => piece.byteLength));
+}
+
+/**
+ * Get the SQL condition matching the entries below a directory. It is a
+ * range rather than LIKE, which is case-insensitive and has wildcards: the
+ * paths below "/a" run from "/a/" up to "/a0", the character after "/".
+ * @param {string} column - Column holding the paths
+ * @param {string} path - Normalized directory path
+ * @returns {{condition: string, bounds: string[]}} - The condition and the values of its parameters
+ */
+function getEntryRange(column, path) {
+  const lower = path === "/" ? "/" : `${path}/`;
+  return {
+    condition: `(${column} > ? AND ${column} < ?)`,
+    bounds: [lower, `${lower.slice(0, -1)}0`],
+  };
+}
+
+/**
+ * Whether a path is below a directory
+ * @param {string} path - Normalized path
+ * @param {string} directory - Normalized directory path
+ * @returns {boolean} - True when the path is inside the directory
+ */
+function isBelow(path, directory) {
+  return directory === "/" ? path !== "/" : path.startsWith(`${directory}/`);
+}
+
+/**
+ * Character encodings of Node.js, see getEncoding()
+ * @typedef {'utf8'|'utf16le'|'latin1'|'ascii'|'base64'|'base64url'|'hex'} Encoding
+ */
+
+/**
+ * Encodings by the names Node.js accepts for them, including 'buffer' for
+ * bytes instead of strings
+ * @type {Record<string, Encoding|'buffer'>}
+ */
+const ENCODINGS = {
+  utf8: "utf8",
+  "utf-8": "utf8",
+  utf16le: "utf16le",
+  "utf-16le": "utf16le",
+  ucs2: "utf16le",
+  "ucs-2": "utf16le",
+  latin1: "latin1",
+  binary: "latin1",
+  ascii: "ascii",
+  base64: "base64",
+  base64url: "base64url",
+  hex: "hex",
+  buffer: "buffer",
+};
+
+/**
+ * Get the encoding from the options of a call, throwing EINVAL for encodings
+ * Node.js doesn't know either
+ * @param {{encoding?: string|null}|string|null|undefined} options - Options, or an encoding
+ * @param {string} syscall - Name of the call, used in errors
+ * @param {string} path - Path of the call, used in errors
+ * @returns {Encoding|'buffer'|null} - The encoding, or null when none is given
+ */
+function getEncoding(options, syscall, path) {
+  const encoding = typeof options === "string" ? options : options?.encoding;
+  if (encoding === undefined || encoding === null) return null;
+  const name = ENCODINGS[String(encoding).toLowerCase()];
+  if (!name) {
+    throw createError("EINVAL", syscall, path);
+  }
+  return name;
+}
+
+/**
+ * Build a string from character codes, in slices so long ones don't overflow
+ * the call stack
+ * @param {ArrayLike<number>} codes - Character codes
+ * @returns {string} - String
+ */
+function fromCharCodes(codes) {
+  let string = "";
+  for (let offset = 0; offset < codes.length; offset += 8192) {
+    string += String.fromCharCode(
+      ...Array.prototype.slice.call(codes, offset, offset + 8192)
+    );
+  }
+  return string;
+}
+
+/**
+ * Encode a string to bytes like Node.js `Buffer.from(string, encoding)`
+ * @param {string} string - String to encode
+ * @param {Encoding} encoding - Encoding
+ * @returns {Uint8Array} - Bytes
+ */
+function encodeString(string, encoding) {
+  switch (encoding) {
+    case "utf16le": {
+      const bytes = new Uint8Array(string.length * 2);
+      for (let i = 0; i < string.length; i++) {
+        const code = string.charCodeAt(i);
+        bytes[i * 2] = code & 0xff;
+        bytes[i * 2 + 1] = code >> 8;
+      }
+      return bytes;
+    }
+    case "latin1":
+    case "ascii": {
+      // Both keep the low byte of every character, as in Node.js
+      const bytes = new Uint8Array(string.length);
+      for (let i = 0; i < string.length; i++) {
+        bytes[i] = string.charCodeAt(i) & 0xff;
+      }
+      return bytes;
+    }
+    case "hex": {
+      // Decoding stops at the first pair that isn't hex, as in Node.js
+      const bytes = new Uint8Array(string.length >>> 1);
+      let length = 0;
+      while (length < bytes.length) {
+        const pair = string.substring(length * 2, length * 2 + 2);
+        if (!/^[0-9a-f]{2}$/i.test(pair)) break;
+        bytes[length++] = parseInt(pair, 16);
+      }
+      return bytes.subarray(0, length);
+    }
+    case "base64":
+    case "base64url": {
+      // Either alphabet is accepted and other characters are skipped, up to
+      // padding or a character beyond Latin-1, as in Node.js
+      const base64 = string
+        .split(/[=\u0100-\uffff]/)[0]
+        .replace(/-/g, "+")
+        .replace(/_/g, "/")
+        .replace(/[^A-Za-z0-9+/]/g, "");
+      // A single character left over can't make a byte
+      const binary = atob(
+        base64.substring(0, base64.length - (base64.length % 4 === 1 ? 1 : 0))
+      );
+      const bytes = new Uint8Array(binary.length);
+      for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+      }
+      return bytes;
+    }
+    default:
+      return new TextEncoder().encode(string);
+  }
+}
+
+/**
+ * Decode bytes to a string like Node.js `buffer.toString(encoding)`
+ * @param {Uint8Array} bytes - Bytes to decode
+ * @param {Encoding} encoding - Encoding
+ * @returns {string} - String
+ */
+function decodeBytes(bytes, encoding) {
+  switch (encoding) {
+    case "utf16le": {
+      const codes = new Array(bytes.byteLength >>> 1);
+      for (let i = 0; i < codes.length; i++) {
+        codes[i] = bytes[i * 2] | (bytes[i * 2 + 1] << 8);
+      }
+      return fromCharCodes(codes);
+    }
+    case "latin1":
+      return fromCharCodes(bytes);
+    case "ascii":
+      return fromCharCodes(bytes.map((byte) => byte & 0x7f));
+    case "hex":
+      return Array.from(bytes, (byte) =>
+        byte.toString(16).padStart(2, "0")
+      ).join("");
+    case "base64":
+      return btoa(fromCharCodes(bytes));
+    case "base64url":
+      return btoa(fromCharCodes(bytes))
+        .replace(/\+/g, "-")
+        .replace(/\//g, "_")
+        .replace(/=+$/, "");
+    default:
+      return new TextDecoder().decode(bytes);
+  }
+}
+
+/**
+ * Hand out bytes read from a disk like Node.js does: as a Buffer where there
+ * is one (under Node.js, or in Workers with `nodejs_compat`), or else as a
+ * Uint8Array
+ * @param {ArrayBuffer} buffer - Bytes
+ * @returns {Uint8Array} - Buffer or Uint8Array over the bytes
+ */
+function toBuffer(buffer) {
+  const NodeBuffer = /** @type {any} */ (globalThis).Buffer;
+  return NodeBuffer ? NodeBuffer.from(buffer) : new Uint8Array(buffer);
+}
+
+/**
+ * Encode a name (of a directory entry, or a path) the way Node.js hands out
+ * names: strings are decoded from the UTF-8 bytes of the name
+ * @param {string} name - Name
+ * @param {Encoding|'buffer'|null} encoding - Encoding, 'buffer' for bytes
+ * @returns {string|Uint8Array} - Encoded name
+ */
+function encodeName(name, encoding) {
+  if (!encoding || encoding === "utf8") return name;
+  const bytes = new TextEncoder().encode(name);
+  return encoding === "buffer"
+    ? toBuffer(toArrayBuffer(bytes))
+    : decodeBytes(bytes, encoding);
+}
+
+/**
+ * Encode data passed to writeFile as a buffer
+ * @param {string|ArrayBuffer|ArrayBufferView} data - Data to write
+ * @param {Encoding|'buffer'|null} [encoding='utf8'] - Encoding of string data
+ * @returns {ArrayBuffer|null} - The bytes to write, or null for unsupported data
+ */
+function encodeData(data, encoding) {
+  if (typeof data === "string") {
+    return toArrayBuffer(
+      encodeString(data, !encoding || encoding === "buffer" ? "utf8" : encoding)
+    );
+  }
+  if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+    return toArrayBuffer(data);
+  }
+  return null;
+}
+
+/**
+ * Formats content can be compressed with
+ * @type {Codec[]}
+ */
+const CODECS = ["gzip", "deflate", "deflate-raw"];
+
+/**
+ * Compress content
+ * @param {ArrayBuffer} buffer - Content
+ * @param {Codec} codec - Compression format
+ * @returns {Promise<ArrayBuffer>} - Compressed content
+ */
+async function compress(buffer, codec) {
+  const stream = new Response(buffer).body.pipeThrough(
+    new CompressionStream(codec)
+  );
+  return await new Response(stream).arrayBuffer();
+}
+
+/**
+ * Decompress content
+ * @param {ArrayBuffer} buffer - Compressed content
+ * @param {Codec} codec - Compression format
+ * @returns {Promise<ArrayBuffer>} - Content
+ */
+async function decompress(buffer, codec) {
+  const stream = new Response(buffer).body.pipeThrough(
+    new DecompressionStream(codec)
+  );
+  return await new Response(stream).arrayBuffer();
+}
+
+/**
+ * Format bytes as hex
+ * @param {ArrayBuffer} buffer - Bytes
+ * @returns {string} - Hex string
+ */
+function toHex(buffer) {
+  return [...new Uint8Array(buffer)]
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/**
+ * Get the SHA-256 hash of content, which identifies its blob. On encrypted
+ * disks it is an HMAC with the disk's key, so the hashes in the database
+ * can't be used to confirm guesses of the content.
+ * @param {ArrayBuffer} buffer - Content
+ * @param {DiskKey} [key] - Current key of an encrypted disk
+ * @returns {Promise<string>} - Hex hash
+ */
+async function hashContent(buffer, key) {
+  return toHex(
+    key
+      ? await crypto.subtle.sign("HMAC", key.signer, buffer)
+      : await crypto.subtle.digest("SHA-256", buffer)
+  );
+}
+
+/**
+ * Bytes encryption adds to every piece of content: the 12-byte AES-GCM IV in
+ * front and the 16-byte authentication tag at the end
+ */
+const ENCRYPTION_OVERHEAD = 12 + 16;
+
+/**
+ * Number of rows of each table re-encrypted per alarm after a key rotation
+ */
+const ROTATION_BATCH_SIZE = 100;
+
+/**
+ * Derive the key of a disk from key material with HKDF, so disks sharing key
+ * material still get their own keys
+ * @param {KeyMaterial} material - Key material
+ * @param {string} disk - Disk name
+ * @returns {Promise<DiskKey>} - The key
+ */
+async function deriveKey(material, disk) {
+  const encoder = new TextEncoder();
+  const base = await crypto.subtle.importKey(
+    "raw",
+    typeof material === "string"
+      ? encoder.encode(material)
+      : toArrayBuffer(material),
+    "HKDF",
+    false,
+    ["deriveBits"]
+  );
+  // 32 bytes of AES key, 32 bytes of HMAC key and 8 bytes of key ID
+  const bits = await crypto.subtle.deriveBits(
+    {
+      name: "HKDF",
+      hash: "SHA-256",
+      salt: new Uint8Array(0),
+      info: encoder.encode(`dofs:${disk}`),
+    },
+    base,
+    72 * 8
+  );
+  return {
+    id: toHex(bits.slice(64)),
+    cipher: await crypto.subtle.importKey(
+      "raw",
+      bits.slice(0, 32),
+      "AES-GCM",
+      false,
+      ["encrypt", "decrypt"]
+    ),
+    signer: await crypto.subtle.importKey(
+      "raw",
+      bits.slice(32, 64),
+      { name: "HMAC", hash: "SHA-256" },
+      false,
+      ["sign"]
+    ),
+  };
+}
+
+/**
+ * Encrypt a piece of content with a random IV
+ * @param {DiskKey} key - Key
+ * @param {ArrayBuffer} piece - Plaintext
+ * @returns {Promise<ArrayBuffer>} - IV followed by the ciphertext and tag
+ */
+async function encryptWithKey(key, piece) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    key.cipher,
+    piece
+  );
+  return concatBuffers(iv.buffer, ciphertext);
+}
+
+/**
+ * Get the number of bytes content takes once encrypted, see encryptContent()
+ * @param {number} size - Size of the content
+ * @returns {number} - Encrypted size
+ */
+function getEncryptedSize(size) {
+  return size + ENCRYPTION_OVERHEAD * Math.max(1, Math.ceil(size / CHUNK_SIZE));
+}
+
+// Global env reference
+/**
+ * Set the environment for the fs module
+ * @type {Env} env - The environment object
+ */
+let globalEnv = env;
+
+/**
+ * @typedef {Object} MountOptions
+ * @property {string} [binding='DOFS'] - Name of the Durable Object namespace binding in env
+ * @property {string|((...params: string[]) => string)} [name] - Disk name, or a function receiving the values of the pattern's parameters in order (defaults to the mounted path, e.g. '/projects/abc')
+ * @property {boolean} [readOnly=false] - Reject every write with EROFS
+ * @property {VersioningOptions} [versioning] - Keep the previous versions of files that are replaced or removed
+ * @property {QuotaOptions} [quota] - Limit the size of the disk
+ * @property {Codec} [compression] - Compress the content of files, except while they are modified in place
+ * @property {EncryptionOptions} [encryption] - Encrypt the content of files
+ */
+
+/**
+ * Where a disk gets its keys from. The first key encrypts new content, the
+ * others only decrypt content that was not re-encrypted yet.
+ * @typedef {Object} EncryptionOptions
+ * @property {string|string[]} [secret] - Name of the env secret holding the key material, or the names of the current and previous secrets
+ * @property {(disk: string, env: Env) => KeyMaterial|KeyMaterial[]|Promise<KeyMaterial|KeyMaterial[]>} [key] - Get the key material of a disk by its name, or the current and previous key material
+ */
+
+/**
+ * Limits of a disk. Writes that would exceed them fail with EDQUOT.
+ * @typedef {Object} QuotaOptions
+ * @property {number} [maxBytes=Infinity] - Total size of all files
+ * @property {number} [maxFiles=Infinity] - Number of files, directories and links
+ */
+
+/**
+ * How long previous versions of files are kept. A version is removed once it
+ * exceeds either limit.
+ * @typedef {Object} VersioningOptions
+ * @property {number} [maxVersions=Infinity] - Number of previous versions kept per file
+ * @property {number} [maxAgeDays=Infinity] - Days a version is kept after it was replaced
+ */
+
+/**
+ * A previous version of a file, see listVersions()
+ * @typedef {Object} FileVersion
+ * @property {number} id - Version ID
+ * @property {number} size - Size in bytes
+ * @property {Date} mtime - Modification time of the version
+ * @property {Date} archived - Time the version was replaced or removed
+ */
+
+/**
+ * @typedef {Object} Mount
+ * @property {string} pattern - Mounted path pattern, e.g. '/projects/:id'
+ * @property {string[]} segments - Segments of the pattern (':name' for parameters)
+ * @property {string} binding - Name of the Durable Object namespace binding in env
+ * @property {(...params: string[]) => string} name - Get the disk name from the parameter values
+ * @property {boolean} readOnly - Reject every write with EROFS
+ * @property {VersioningOptions|null} versioning - How long previous versions of files are kept, if at all
+ * @property {QuotaOptions|null} quota - Limits of the disk, if any
+ * @property {Codec|null} compression - Compression format of written content, if any
+ * @property {EncryptionOptions|null} encryption - Where the disk gets its keys from, if it is encrypted
+ */
+
+/**
+ * Split a path into its non-empty segments
+ * @param {string} path - Path
+ * @returns {string[]} - Segments
+ */
+function splitPath(path) {
+  return path.split("/").filter(Boolean);
+}
+
+/**
+ * Mount table, sorted with the most specific patterns first, see
+ * compareMounts()
+ * @type {Mount[]}
+ */
+const mounts = [];
+
+/**
+ * Order mounts by how specific their patterns are: longer patterns first,
+ * and of patterns as long, the first to have a fixed segment where the
+ * other has a parameter, from the left (`/projects/shared` before
+ * `/projects/:id`, and `/projects/:id` before `/:user/docs`)
+ * @param {Mount} a - Mount
+ * @param {Mount} b - Mount
+ * @returns {number} - Negative when `a` is more specific
+ */
+function compareMounts(a, b) {
+  if (a.segments.length !== b.segments.length) {
+    return b.segments.length - a.segments.length;
+  }
+  for (let i = 0; i < a.segments.length; i++) {
+    const aParam = a.segments[i].startsWith(":");
+    if (aParam !== b.segments[i].startsWith(":")) return aParam ? 1 : -1;
+  }
+  return 0;
+}
+
+/**
+ * Mount a disk (or a disk per parameter value) at a path pattern. A path is
+ * routed to the mount with the longest matching pattern, and of patterns as
+ * long, to the one with fixed segments furthest left. Mount at module top
+ * level, so the table is the same everywhere the module runs.
+ * @param {string} pattern - Path pattern, e.g. '/projects/:id'
+ * @param {MountOptions} [options] - Mount options
+ */
+export function mount(pattern, options = {}) {
+  const segments = splitPath(pattern);
+  const { name } = options;
+  unmount(pattern);
+  mounts.push({
+    pattern: `/${segments.join("/")}`,
+    segments,
+    binding: options.binding || "DOFS",
+    name:
+      typeof name === "function"
+        ? name
+        : typeof name === "string"
+        ? () => name
+        : (...params) => {
+            let index = 0;
+            return `/${segments
+              .map((segment) =>
+                segment.startsWith(":") ? params[index++] : segment
+              )
+              .join("/")}`;
+          },
+    readOnly: !!options.readOnly,
+    versioning: options.versioning || null,
+    quota: options.quota || null,
+    compression: options.compression || null,
+    encryption: options.encryption || null,
+  });
+  mounts.sort(compareMounts);
+}
+
+/**
+ * Remove the mount of a path pattern
+ * @param {string} pattern - Path pattern passed to mount()
+ */
+export function unmount(pattern) {
+  const normalized = `/${splitPath(pattern).join("/")}`;
+  const index = mounts.findIndex((entry) => entry.pattern === normalized);
+  if (index !== -1) mounts.splice(index, 1);
+}
+
+/**
+ * @typedef {Object} ColdStorageOptions
+ * @property {string} [binding] - Name of the R2 bucket binding in env
+ * @property {R2Bucket} [bucket] - Bucket to use instead of a binding, e.g. an in-memory stand-in for tests
+ * @property {number} [minSize=Infinity] - Files of at least this many bytes are stored in the bucket
+ * @property {number} [coldAfterDays=Infinity] - Files not accessed for this many days are moved to the bucket
+ */
+
+/**
+ * Cold storage configuration, see setColdStorage()
+ * @type {ColdStorageOptions|null}
+ */
+let coldStorage = null;
+
+/**
+ * Store the content of large or rarely accessed files in an R2 bucket instead
+ * of the disk's SQLite storage. Paths and metadata stay on the disk. Like
+ * mount(), call this at module top level.
+ * @param {ColdStorageOptions|null} options - Cold storage options, or null to stop moving files
+ */
+export function setColdStorage(options) {
+  coldStorage = options;
+}
+
+/**
+ * Delay before a disk moves files to cold storage, and seals files modified
+ * in place, after they were written
+ */
+const COLD_STORAGE_DELAY = 60 * 1000;
+
+/**
+ * Time after which the source disk of a cross-disk move that is still in its
+ * journal assumes the worker moving it died, and finishes or undoes the move
+ */
+const MOVE_TIMEOUT = 15 * 60 * 1000;
+
+/**
+ * Time after which a disk assumes the worker of an import that has not
+ * committed died, and removes its staging directory, see importArchive()
+ */
+const IMPORT_TIMEOUT = 60 * 60 * 1000;
+
+/**
+ * Journal entry of a move across disks, kept on the source disk
+ * @typedef {Object} Move
+ * @property {string} id - Move ID
+ * @property {string} src - Path being moved
+ * @property {string} dest - Path it is moved to, on another disk
+ * @property {string} staging - Path next to `dest` the source is copied to first
+ * @property {'copying'|'committing'|'aborting'} state - Copying to `staging`, renaming `staging` to `dest` (and then removing `src`), or removing `staging`
+ * @property {number} started - Unix timestamp in ms of the start of the move
+ */
+
+// Everything goes to the 'default' disk, and every user gets their own disk
+mount("/", { name: "default" });
+mount("/Users/:username", { name: (username) => username });
+
+/**
+ * Find the mount a path is routed to
+ * @param {string} path - File path
+ * @returns {{entry: Mount, params: string[]}} - The mount and the values of its parameters
+ */
+function findMount(path) {
+  const segments = splitPath(path);
+  for (const entry of mounts) {
+    if (entry.segments.length > segments.length) continue;
+    const params = [];
+    const matches = entry.segments.every((segment, i) => {
+      if (segment.startsWith(":")) {
+        params.push(segments[i]);
+        return true;
+      }
+      return segment === segments[i];
+    });
+    if (matches) return { entry, params };
+  }
+  throw new Error(`No disk mounted for ${path}`);
+}
+
+/**
+ * Get a key identifying the disk holding a path (its binding and DO name)
+ * @param {string} path - File path
+ * @returns {string} - Disk key
+ */
+function getInstanceName(path) {
+  const { entry, params } = findMount(path);
+  return `${entry.binding}:${entry.name(...params)}`;
+}
+
+/**
+ * Where disks run when they don't run in Durable Objects. A backend hands out
+ * stubs calling the methods of DOFS instances, like the stubs of a Durable
+ * Object namespace do.
+ * @typedef {Object} Backend
+ * @property {(binding: string, name: string) => DurableObjectStub<DOFS>} get - Get the stub of a disk by the name of its binding and its name
+ */
+
+/**
+ * Backend replacing the Durable Object bindings in env, see setBackend()
+ * @type {Backend|null}
+ */
+let backend = null;
+
+/**
+ * Run disks on a backend instead of the Durable Object bindings in env, e.g.
+ * in-process under Node.js to test code using this module (see node.js).
+ * @param {Backend|null} options - Backend, or null to go back to the bindings
+ */
+export function setBackend(options) {
+  backend = options;
+}
+
+/**
+ * Get the Durable Object stub of the disk holding a path
+ * @param {string} path - File path
+ * @returns {DurableObjectStub<DOFS>} - DOFS stub
+ */
+function getStub(path) {
+  const { entry, params } = findMount(path);
+  if (backend) {
+    return backend.get(entry.binding, entry.name(...params));
+  }
+  if (!globalEnv) {
+    throw new Error("Environment not set. Call setEnv(env) first.");
+  }
+  const namespace = globalEnv[entry.binding];
+  if (!namespace) {
+    throw new Error(`Durable Object binding ${entry.binding} not found`);
+  }
+  return namespace.get(namespace.idFromName(entry.name(...params)));
+}
+
+/**
+ * Path arguments each DOFS method writes to, used to reject writes to
+ * read-only mounts
+ * @type {Record<string, {syscall: string, paths: number[]}>}
+ */
+const WRITES = {
+  copyFile: { syscall: "copyfile", paths: [1] },
+  cp: { syscall: "cp", paths: [1] },
+  mkdir: { syscall: "mkdir", paths: [0] },
+  rename: { syscall: "rename", paths: [0, 1] },
+  beginMove: { syscall: "rename", paths: [0, 1] },
+  rm: { syscall: "rm", paths: [0] },
+  symlink: { syscall: "symlink", paths: [1] },
+  link: { syscall: "link", paths: [1] },
+  chmod: { syscall: "chmod", paths: [0] },
+  chown: { syscall: "chown", paths: [0] },
+  lchown: { syscall: "lchown", paths: [0] },
+  utimes: { syscall: "utime", paths: [0] },
+  lutimes: { syscall: "lutime", paths: [0] },
+  writeFile: { syscall: "open", paths: [0] },
+  writeFileBuffer: { syscall: "open", paths: [0] },
+  writeFileRange: { syscall: "write", paths: [0] },
+  appendFileBuffer: { syscall: "write", paths: [0] },
+  truncate: { syscall: "ftruncate", paths: [0] },
+  commitImport: { syscall: "import", paths: [0, 1] },
+  restoreVersion: { syscall: "open", paths: [0] },
+};
+
+/**
+ * Throw EROFS when a DOFS method call would write to a read-only mount
+ * @param {string} method - Name of the DOFS method
+ * @param {any[]} args - Arguments of the call
+ */
+function assertWritable(method, args) {
+  if (method === "batch") {
+    for (const [name, ...operationArgs] of args[0]) {
+      assertWritable(name, operationArgs);
+    }
+    return;
+  }
+  let write = WRITES[method];
+  if (method === "open" || method === "readFile") {
+    const flags = method === "open" ? args[1] || "r" : args[1]?.flag || "r";
+    const parsed = parseFlags(flags, args[0]);
+    if (parsed.write || parsed.create || parsed.truncate) {
+      write = { syscall: "open", paths: [0] };
+    }
+  }
+  for (const index of write?.paths || []) {
+    if (findMount(args[index]).entry.readOnly) {
+      throw createError("EROFS", write.syscall, args[index]);
+    }
+  }
+}
+
+/**
+ * Get DOFS instance for path. Errors thrown by its methods are rehydrated
+ * into Node.js-style errors, see rehydrateError(). When a method hands its
+ * path over to another disk (a symbolic link pointing across disks), the
+ * call is repeated there with the resolved path. Calls made inside runAs()
+ * carry its credentials, also when the instance is used later on (e.g. by a
+ * FileHandle or stream).
+ * @param {string} path - File path
+ * @returns {DurableObjectStub<DOFS>} - DOFS instance
+ */
+function getInstance(path) {
+  const stub = getStub(path);
+  const credentials = credentialsStorage.getStore();
+  return new Proxy(stub, {
+    get(target, property) {
+      if (typeof target[property] !== "function") return target[property];
+      return async (...args) => {
+        let instance = target;
+        for (let hops = 0; ; hops++) {
+          assertWritable(property, args);
+          try {
+            return credentials
+              ? await instance.runAs(credentials, property, args)
+              : await instance[property](...args);
+          } catch (error) {
+            const redirect = parseRedirect(error);
+            if (!redirect) throw rehydrateError(error);
+            if (hops >= MAX_SYMLINKS) {
+              throw createError("ELOOP", redirect.syscall, path);
+            }
+            args = [redirect.path, ...args.slice(1)];
+            instance = getStub(redirect.path);
+          }
+        }
+      };
+    },
+  });
+}
+
+/**
+ * Ensure parent directories exist across instances
+ * @param {string} path - File path
+ */
+async function ensureParentExists(path) {
+  const normalized = path.replace(/\/+$/, "").replace(/\/+/g, "/");
+  if (normalized === "/" || !normalized.includes("/")) return;
+
+  const lastSlash = normalized.lastIndexOf("/");
+  const parentPath = lastSlash <= 0 ? "/" : normalized.substring(0, lastSlash);
+
+  if (parentPath === "/") return;
+
+  try {
+    await stat(parentPath);
+  } catch {
+    // Parent doesn't exist, create it
+    await mkdir(parentPath, { recursive: true });
+  }
+}
+
+/**
+ * Copy a file from source to destination
+ * @param {PathLike} src - Source file path
+ * @param {PathLike} dest - Destination file path
+ * @param {number} [mode] - Optional mode specifying behavior
+ * @returns {Promise<void>}
+ */
+export async function copyFile(src, dest, mode = 0) {
+  src = toPath(src, "copyfile");
+  dest = toPath(dest, "copyfile");
+  const srcInstance = getInstance(src);
+  const destInstance = getInstance(dest);
+
+  if (getInstanceName(src) === getInstanceName(dest)) {
+    await srcInstance.copyFile(src, dest, mode);
+  } else {
+    // Ensure parent directory exists in destination instance
+    await ensureParentExists(dest);
+
+    const content = await srcInstance.readFileBuffer(src);
+    const stats = await srcInstance.stat(src);
+    await destInstance.writeFileBuffer(dest, content, { mode: stats.mode });
+  }
+}
+
+/**
+ * Copy files and directories
+ * @param {PathLike} src - Source path
+ * @param {PathLike} dest - Destination path
+ * @param {CopyOptions} [options] - Copy options
+ * @returns {Promise<void>}
+ */
+export async function cp(src, dest, options = {}) {
+  src = toPath(src, "cp");
+  dest = toPath(dest, "cp");
+  const srcInstance = getInstance(src);
+  const destInstance = getInstance(dest);
+
+  if (getInstanceName(src) === getInstanceName(dest)) {
+    await srcInstance.cp(src, dest, options);
+  } else {
+    // Cross-instance copy - simplified implementation
+    const stats = await srcInstance.lstat(src);
+    if (stats.isSymbolicLink) {
+      await ensureParentExists(dest);
+      await symlink(await srcInstance.readlink(src), dest);
+    } else if (stats.isDirectory) {
+      if (!options.recursive) {
+        throw createError("EISDIR", "cp", src);
+      }
+      await mkdir(dest, { recursive: true });
+      const entries = await srcInstance.readdir(src);
+      for (const entry of entries) {
+        await cp(`${src}/${entry}`, `${dest}/${entry}`, options);
+      }
+    } else {
+      await ensureParentExists(dest);
+      const content = await srcInstance.readFileBuffer(src);
+      await destInstance.writeFileBuffer(dest, content, { mode: stats.mode });
+    }
+  }
+}
+
+/**
+ * Create a directory
+ * @param {PathLike} path - Directory path to create
+ * @param {MkdirOptions} [options] - Directory creation options
+ * @returns {Promise<string|undefined>} - Returns path of first directory created (when recursive)
+ */
+export async function mkdir(path, options = {}) {
+  path = toPath(path, "mkdir");
+  const instance = getInstance(path);
+  return await instance.mkdir(path, options);
+}
+
+/**
+ * Read directory contents
+ * @param {PathLike} path - Directory path to read
+ * @param {ReaddirOptions|string} [options] - Read options or encoding string
+ * @returns {Promise<(string|Uint8Array)[]|Dirent[]>} - Array of filenames or Dirent objects
+ */
+export async function readdir(path, options = {}) {
+  path = toPath(path, "scandir");
+  const readOptions =
+    typeof options === "string" ? { encoding: options } : options || {};
+  const encoding = getEncoding(readOptions, "scandir", path);
+  const instance = getInstance(path);
+  const entries = await instance.readdir(path, {
+    withFileTypes: !!readOptions.withFileTypes,
+  });
+  if (!readOptions.withFileTypes) {
+    return /** @type {string[]} */ (entries).map((name) =>
+      encodeName(name, encoding)
+    );
+  }
+  const typedEntries =
+    /** @type {{name: string, type: 'file'|'directory'|'symlink'}[]} */ (
+      entries
+    );
+  return typedEntries.map(({ name, type }) => ({
+    ...toDirent(`${path}/${name}`, type),
+    name: encodeName(name, encoding),
+  }));
+}
+
+/**
+ * Default number of entries a Dir reads from the disk at once
+ */
+const DIR_BUFFER_SIZE = 32;
+
+/**
+ * Open a directory to iterate over its entries, like Node.js
+ * `fs.promises.opendir`. Entries are read from the disk a page of
+ * `bufferSize` at a time, so directories of any size can be listed.
+ * @param {PathLike} path - Directory path
+ * @param {OpendirOptions} [options] - Options
+ * @returns {Promise<Dir>} - Open directory
+ */
+export async function opendir(path, options = {}) {
+  path = toPath(path, "opendir");
+  const encoding = getEncoding(options, "opendir", path);
+  const bufferSize = options.bufferSize ?? DIR_BUFFER_SIZE;
+  if (!Number.isInteger(bufferSize) || bufferSize < 1) {
+    throw createError("EINVAL", "opendir", path);
+  }
+  const instance = getInstance(path);
+  // The first page is read right away, which checks the directory
+  const entries = await instance.readdirPage(path, null, bufferSize);
+  return new Dir(instance, path, encoding, bufferSize, entries);
+}
+
+/**
+ * Directory opened with opendir(), mirroring Node.js `Dir`. Entries come in
+ * name order. Entries changed while iterating may or may not show up, but
+ * no name shows up twice.
+ */
+export class Dir {
+  /**
+   * @param {DurableObjectStub<DOFS>} instance - DOFS instance holding the directory
+   * @param {string} path - Directory path
+   * @param {Encoding|'buffer'|null} encoding - Encoding of the names of entries
+   * @param {number} bufferSize - Number of entries read from the disk at once
+   * @param {{name: string, type: 'file'|'directory'|'symlink'}[]} entries - First page of entries
+   */
+  constructor(instance, path, encoding, bufferSize, entries) {
+    this.instance = instance;
+    this.path = path;
+    this.encoding = encoding;
+    this.bufferSize = bufferSize;
+    this.entries = entries;
+    this.done = entries.length < bufferSize;
+    /** @type {string|null} */
+    this.last = null;
+    this.closed = false;
+    /** @type {Promise<any>} */
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Read the next entry. Reads run one after the other, also when they are
+   * started together.
+   * @returns {Promise<Dirent|null>} - The entry, or null after the last one
+   */
+  read() {
+    const entry = this.queue.then(() => this.readEntry());
+    this.queue = entry.catch(() => {});
+    return entry;
+  }
+
+  /**
+   * Take the next entry, reading the next page when the buffer is empty
+   * @returns {Promise<Dirent|null>} - The entry, or null after the last one
+   */
+  async readEntry() {
+    if (this.closed) {
+      throw createError("EBADF", "readdir");
+    }
+    if (this.entries.length === 0 && !this.done) {
+      // Continue after the last name read, even if it was removed since
+      this.entries = await this.instance.readdirPage(
+        this.path,
+        this.last,
+        this.bufferSize
+      );
+      this.done = this.entries.length < this.bufferSize;
+    }
+    const entry = this.entries.shift();
+    if (!entry) return null;
+    this.last = entry.name;
+    return {
+      ...toDirent(`${this.path}/${entry.name}`, entry.type),
+      name: encodeName(entry.name, this.encoding),
+    };
+  }
+
+  /**
+   * Close the directory
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.closed = true;
+    this.entries = [];
+  }
+
+  /**
+   * Iterate over the entries, closing the directory at the end
+   * @returns {AsyncGenerator<Dirent>} - Entries
+   */
+  async *[Symbol.asyncIterator]() {
+    try {
+      for (let entry; (entry = await this.read()) !== null; ) {
+        yield entry;
+      }
+    } finally {
+      await this.close();
+    }
+  }
+
+  async [Symbol.asyncDispose]() {
+    await this.close();
+  }
+}
+
+/**
+ * Read file contents
+ * @param {PathLike} path - File path to read
+ * @param {ReadFileOptions|string} [options] - Read options or encoding string
+ * @returns {Promise<Buffer|string>} - File contents as Buffer or string
+ */
+export async function readFile(path, options) {
+  path = toPath(path, "open");
+  const instance = getInstance(path);
+  const data = await instance.readFile(path, options);
+  return typeof data === "string" ? data : toBuffer(data);
+}
+
+/**
+ * Rename/move a file or directory
+ * @param {PathLike} oldPath - Current path
+ * @param {PathLike} newPath - New path
+ * @returns {Promise<void>}
+ */
+export async function rename(oldPath, newPath) {
+  oldPath = toPath(oldPath, "rename");
+  newPath = toPath(newPath, "rename");
+  const oldInstance = getInstance(oldPath);
+
+  if (getInstanceName(oldPath) === getInstanceName(newPath)) {
+    await oldInstance.rename(oldPath, newPath);
+    return;
+  }
+
+  // Cross-disk move: copy to a staging path next to the destination, so the
+  // move commits with a single rename there. The journal on the source disk
+  // lets it finish or undo the move if this worker dies halfway.
+  const move = await oldInstance.beginMove(oldPath, newPath);
+  // The source may have been a link to yet another disk
+  const source = getInstance(move.src);
+  try {
+    await cp(move.src, move.staging, { recursive: true });
+    await source.updateMove(move.id, "copying", "committing");
+  } catch (error) {
+    await settleMove(source, move);
+    throw error;
+  }
+  const failure = await settleMove(source, { ...move, state: "committing" });
+  if (failure) throw failure;
+}
+
+/**
+ * Bring a cross-disk move to its end from the state in its journal entry:
+ * commit it by renaming the staging copy and removing the source, or undo it
+ * by removing the staging copy. Runs in the worker doing the move, and in the
+ * alarm of the source disk when that worker died.
+ * @param {DOFS|DurableObjectStub<DOFS>} source - Source disk of the move
+ * @param {Move} move - Journal entry
+ * @returns {Promise<Error|null>} - Why the move was undone instead of committed, if it was
+ */
+async function settleMove(source, move) {
+  let failure = null;
+  if (move.state === "committing") {
+    try {
+      // Without a staging copy, the rename has already been done
+      if (await statOrNull(move.staging, false)) {
+        await rename(move.staging, move.dest);
+      }
+    } catch (error) {
+      failure = error;
+      await source.updateMove(move.id, "committing", "aborting");
+    }
+    if (!failure) {
+      await source.completeMove(move.id);
+      return null;
+    }
+  }
+
+  await rm(move.staging, { recursive: true, force: true });
+  await source.forgetMove(move.id);
+  if (failure?.code) {
+    return createError(failure.code, "rename", move.src, move.dest);
+  }
+  return failure;
+}
+
+/**
+ * Remove files and directories
+ * @param {PathLike} path - Path to remove
+ * @param {RmOptions} [options] - Remove options
+ * @returns {Promise<void>}
+ */
+export async function rm(path, options = {}) {
+  path = toPath(path, "rm");
+  const instance = getInstance(path);
+  await instance.rm(path, options);
+}
+
+/**
+ * Get file/directory statistics
+ * @param {PathLike} path - Path to stat
+ * @param {Object} [options] - Stat options
+ * @param {boolean} [options.bigint=false] - Return BigInt values for numeric properties
+ * @returns {Promise<Stats>} - File statistics object
+ */
+export async function stat(path, options = {}) {
+  path = toPath(path, "stat");
+  const instance = getInstance(path);
+  return await instance.stat(path, options);
+}
+
+/**
+ * Get file/directory statistics without following a final symbolic link
+ * @param {PathLike} path - Path to stat
+ * @param {Object} [options] - Stat options
+ * @param {boolean} [options.bigint=false] - Return BigInt values for numeric properties
+ * @returns {Promise<Stats>} - File statistics object
+ */
+export async function lstat(path, options = {}) {
+  path = toPath(path, "lstat");
+  const instance = getInstance(path);
+  return await instance.lstat(path, options);
+}
+
+/**
+ * Get statistics of the disk holding a path. The size is limited by the
+ * disk's quota, or else by the Durable Object storage limit.
+ * @param {PathLike} path - Any existing path on the disk
+ * @returns {Promise<StatFs>} - Filesystem statistics
+ */
+export async function statfs(path) {
+  path = toPath(path, "statfs");
+  const instance = getInstance(path);
+  return await instance.statfs(path);
+}
+
+/**
+ * Get the space used by everything inside a directory. It is read from
+ * running totals, so it is fast for directories of any size.
+ * @param {PathLike} path - Directory path
+ * @returns {Promise<DiskUsage>} - Space used
+ */
+export async function du(path) {
+  path = toPath(path, "du");
+  const instance = getInstance(path);
+  return await instance.du(path);
+}
+
+/**
+ * Create a symbolic link. The target may be relative to the link's directory
+ * and may point to a path on another disk.
+ * @param {PathLike} target - Path the link points to
+ * @param {PathLike} path - Path of the link to create
+ * @param {string} [type] - Link type, ignored (only used on Windows)
+ * @returns {Promise<void>}
+ */
+export async function symlink(target, path, type) {
+  target = toPathString(target, "symlink");
+  path = toPath(path, "symlink");
+  const instance = getInstance(path);
+  await instance.symlink(target, path);
+}
+
+/**
+ * Read the target of a symbolic link
+ * @param {PathLike} path - Path of the link
+ * @param {Object|string} [options] - Options or encoding string ('buffer' for a Buffer)
+ * @returns {Promise<string|Uint8Array>} - Link target
+ */
+export async function readlink(path, options) {
+  path = toPath(path, "readlink");
+  const encoding = getEncoding(options, "readlink", path);
+  const instance = getInstance(path);
+  return encodeName(await instance.readlink(path), encoding);
+}
+
+/**
+ * Create a hard link. Both paths have to be on the same disk.
+ * @param {PathLike} existingPath - Path of the existing file
+ * @param {PathLike} newPath - Path of the link to create
+ * @returns {Promise<void>}
+ */
+export async function link(existingPath, newPath) {
+  existingPath = toPath(existingPath, "link");
+  newPath = toPath(newPath, "link");
+  const instance = getInstance(newPath);
+  await instance.link(existingPath, newPath);
+}
+
+/**
+ * Resolve a path to its canonical form, following all symbolic links
+ * @param {PathLike} path - Path to resolve
+ * @param {Object|string} [options] - Options or encoding string ('buffer' for a Buffer)
+ * @returns {Promise<string|Uint8Array>} - Resolved path
+ */
+export async function realpath(path, options) {
+  path = toPath(path, "realpath");
+  const encoding = getEncoding(options, "realpath", path);
+  const instance = getInstance(path);
+  return encodeName(await instance.realpath(path), encoding);
+}
+
+/**
+ * Run fs calls as a given user and group. Reads, writes and directory
+ * traversal inside `fn` are checked against the stored mode bits and throw
+ * EACCES when not permitted, and new files are owned by the given user
+ * with the bits of its umask cleared from their mode.
+ * Permissions are advisory: calls outside runAs() run as root, and the disks
+ * take the credentials of whoever calls them, so this confines code running
+ * in the worker, not code that can reach the Durable Object binding.
+ * @template T
+ * @param {Credentials} credentials - User and group to run as
+ * @param {() => T} fn - Function making the fs calls
+ * @returns {T} - Return value of `fn`
+ */
+export function runAs(credentials, fn) {
+  return credentialsStorage.run(credentials, fn);
+}
+
+/**
+ * Check whether the current credentials can access a path
+ * @param {PathLike} path - Path to check
+ * @param {number} [mode=constants.F_OK] - Access to check, a combination of constants.R_OK, W_OK and X_OK
+ * @returns {Promise<void>} - Rejects with ENOENT or EACCES
+ */
+export async function access(path, mode = constants.F_OK) {
+  path = toPath(path, "access");
+  const instance = getInstance(path);
+  await instance.access(path, mode);
+}
+
+/**
+ * Change the permissions of a file
+ * @param {PathLike} path - File path
+ * @param {number|string} mode - New mode (e.g. 0o644 or "644")
+ * @returns {Promise<void>}
+ */
+export async function chmod(path, mode) {
+  path = toPath(path, "chmod");
+  const instance = getInstance(path);
+  await instance.chmod(path, mode);
+}
+
+/**
+ * Change the owner and group of a file
+ * @param {PathLike} path - File path
+ * @param {number} uid - New user ID (-1 keeps the current one)
+ * @param {number} gid - New group ID (-1 keeps the current one)
+ * @returns {Promise<void>}
+ */
+export async function chown(path, uid, gid) {
+  path = toPath(path, "chown");
+  const instance = getInstance(path);
+  await instance.chown(path, uid, gid);
+}
+
+/**
+ * Change the owner and group of a file without following a final symbolic link
+ * @param {PathLike} path - File path
+ * @param {number} uid - New user ID (-1 keeps the current one)
+ * @param {number} gid - New group ID (-1 keeps the current one)
+ * @returns {Promise<void>}
+ */
+export async function lchown(path, uid, gid) {
+  path = toPath(path, "lchown");
+  const instance = getInstance(path);
+  await instance.lchown(path, uid, gid);
+}
+
+/**
+ * Change the access and modification times of a file
+ * @param {PathLike} path - File path
+ * @param {number|string|Date} atime - New access time (seconds since the epoch, or a Date)
+ * @param {number|string|Date} mtime - New modification time (seconds since the epoch, or a Date)
+ * @returns {Promise<void>}
+ */
+export async function utimes(path, atime, mtime) {
+  path = toPath(path, "utime");
+  const instance = getInstance(path);
+  await instance.utimes(path, atime, mtime);
+}
+
+/**
+ * Change the access and modification times of a file without following a
+ * final symbolic link
+ * @param {PathLike} path - File path
+ * @param {number|string|Date} atime - New access time (seconds since the epoch, or a Date)
+ * @param {number|string|Date} mtime - New modification time (seconds since the epoch, or a Date)
+ * @returns {Promise<void>}
+ */
+export async function lutimes(path, atime, mtime) {
+  path = toPath(path, "lutime");
+  const instance = getInstance(path);
+  await instance.lutimes(path, atime, mtime);
+}
+
+/**
+ * Write data to a file
+ * @param {PathLike} file - File path to write
+ * @param {string|ArrayBuffer|ArrayBufferView} data - Data to write
+ * @param {WriteFileOptions|string} [options] - Write options or encoding string
+ * @returns {Promise<void>}
+ */
+export async function writeFile(file, data, options) {
+  file = toPath(file, "open");
+  const instance = getInstance(file);
+  await instance.writeFile(file, data, options);
+}
+
+/**
+ * Append data to a file, creating the file if it does not exist. The data is
+ * added on the disk in a single operation, without reading the file.
+ * @param {PathLike} path - File path
+ * @param {string|ArrayBuffer|Uint8Array} data - Data to append
+ * @param {WriteFileOptions|string} [options] - Write options or encoding string (flag defaults to 'a')
+ * @returns {Promise<void>}
+ */
+export async function appendFile(path, data, options) {
+  path = toPath(path, "open");
+  const appendOptions =
+    typeof options === "string" ? { encoding: options } : options || {};
+  const instance = getInstance(path);
+  await instance.writeFile(path, data, {
+    ...appendOptions,
+    flag: appendOptions.flag || "a",
+  });
+}
+
+/**
+ * Truncate (or extend with zeros) a file to a given length
+ * @param {PathLike} path - File path
+ * @param {number} [len=0] - New length of the file
+ * @returns {Promise<void>}
+ */
+export async function truncate(path, len = 0) {
+  path = toPath(path, "open");
+  const instance = getInstance(path);
+  await instance.truncate(path, len);
+}
+
+/**
+ * Run several operations on one disk in a single round-trip. They run in one
+ * transaction: when an operation fails, none of the writes before it are kept
+ * and its error is thrown. `writeFile` only replaces files (flag "w") here.
+ * @param {PathLike} path - Any path on the disk to run the operations on
+ * @param {BatchOperation[]} operations - Operations to run, in order
+ * @returns {Promise<any[]>} - The result of every operation
+ */
+export async function batch(path, operations) {
+  path = toPath(path, "batch");
+  const disk = getInstanceName(path);
+  const resolved = operations.map(([name, ...args]) => {
+    if (!BATCH_OPERATIONS[name]) {
+      throw createError("EINVAL", "batch", name);
+    }
+    const syscall = WRITES[name]?.syscall || name;
+    for (const index of BATCH_OPERATIONS[name]) {
+      args[index] = toPath(/** @type {PathLike} */ (args[index]), syscall);
+      if (getInstanceName(args[index]) !== disk) {
+        throw createError("EXDEV", syscall, args[index]);
+      }
+    }
+    return /** @type {BatchOperation} */ ([name, ...args]);
+  });
+
+  const instance = getInstance(path);
+  return await instance.batch(resolved);
+}
+
+/**
+ * List the previous versions of a file on a mount with versioning, newest
+ * first. Versions stay available after the file is removed.
+ * @param {PathLike} path - File path
+ * @returns {Promise<FileVersion[]>} - Versions
+ */
+export async function listVersions(path) {
+  path = toPath(path, "open");
+  const instance = getInstance(path);
+  return await instance.listVersions(path);
+}
+
+/**
+ * Read a previous version of a file
+ * @param {PathLike} path - File path
+ * @param {number} versionId - Version ID, see listVersions()
+ * @param {ReadFileOptions|string} [options] - Read options or encoding string
+ * @returns {Promise<Buffer|string>} - Contents of the version
+ */
+export async function readFileVersion(path, versionId, options) {
+  path = toPath(path, "open");
+  const instance = getInstance(path);
+  const data = await instance.readFileVersion(path, versionId, options);
+  return typeof data === "string" ? data : toBuffer(data);
+}
+
+/**
+ * Make a previous version the current content of a file. The content it
+ * replaces is kept as a new version.
+ * @param {PathLike} path - File path
+ * @param {number} versionId - Version ID, see listVersions()
+ * @returns {Promise<void>}
+ */
+export async function restoreVersion(path, versionId) {
+  path = toPath(path, "open");
+  const instance = getInstance(path);
+  await instance.restoreVersion(path, versionId);
+}
+
+/**
+ * Bring a whole disk back to how it was at a point in time within the last
+ * 30 days, using the point-in-time recovery of Durable Objects. The disk
+ * restarts, so operations running on it fail. Only root may do this.
+ * @param {PathLike} path - Any path on the disk to restore
+ * @param {Date|number|string} time - Point in time, or a bookmark returned by an earlier restore
+ * @returns {Promise<string>} - Bookmark to undo the restore with
+ */
+export async function restoreDisk(path, time) {
+  path = toPath(path, "restore");
+  if (findMount(path).entry.readOnly) {
+    throw createError("EROFS", "restore", path);
+  }
+  const instance = getInstance(path);
+  const undo = await instance.prepareRestore(
+    time instanceof Date ? time.getTime() : time
+  );
+  try {
+    await instance.restart();
+  } catch {
+    // The disk aborting is how the restore takes effect
+  }
+  return undo;
+}
+
+/**
+ * Create a readable stream of a file's contents. Data is pulled from the disk
+ * in chunks of at most `highWaterMark` bytes, so the whole file is never held
+ * in memory at once.
+ * @param {PathLike} path - File path to read
+ * @param {ReadStreamOptions} [options] - Stream options
+ * @returns {ReadableStream<Uint8Array>} - Stream of file contents
+ */
+export function createReadStream(path, options = {}) {
+  path = toPath(path, "open");
+  const instance = getInstance(path);
+  const highWaterMark = options.highWaterMark || DEFAULT_HIGH_WATER_MARK;
+  const end = options.end ?? Infinity;
+  let position = options.start || 0;
+
+  return new ReadableStream(
+    {
+      async pull(controller) {
+        const length = Math.min(highWaterMark, end - position + 1);
+        if (length <= 0) {
+          controller.close();
+          return;
+        }
+
+        const buffer = await instance.readFileRange(path, position, length);
+        position += buffer.byteLength;
+        if (buffer.byteLength > 0) {
+          controller.enqueue(new Uint8Array(buffer));
+        }
+        if (buffer.byteLength < length) {
+          controller.close();
+        }
+      },
+    },
+    { highWaterMark: 0 }
+  );
+}
+
+/**
+ * Create a writable stream to a file. The file is opened with the flags when
+ * the stream starts, and every chunk written to the stream is written after
+ * the previous one, in pieces of at most CHUNK_SIZE bytes.
+ * @param {PathLike} path - File path to write
+ * @param {WriteStreamOptions} [options] - Stream options
+ * @returns {WritableStream<string|ArrayBuffer|ArrayBufferView>} - Stream to write to
+ */
+export function createWriteStream(path, options = {}) {
+  path = toPath(path, "open");
+  const instance = getInstance(path);
+  const flags = options.flags || "w";
+  const openFlags = parseFlags(flags, path);
+  if (!openFlags.write) {
+    throw createError("EBADF", "write");
+  }
+  const encoding = getEncoding(options, "open", path);
+  // Truncated files are empty, so their chunks can be appended too
+  const append = openFlags.append || openFlags.truncate;
+  let position = 0;
+
+  return new WritableStream({
+    async start() {
+      await instance.open(path, flags, options.mode);
+    },
+    async write(chunk) {
+      const buffer = encodeData(chunk, encoding);
+      if (!buffer) {
+        throw createError("EINVAL", "write", path);
+      }
+      for (let offset = 0; offset < buffer.byteLength; offset += CHUNK_SIZE) {
+        const piece = buffer.slice(offset, offset + CHUNK_SIZE);
+        if (append) {
+          await instance.appendFileBuffer(path, piece);
+        } else {
+          await instance.writeFileRange(path, position, piece);
+        }
+        position += piece.byteLength;
+      }
+    },
+    async close() {
+      // Share the content with identical files, now that it is complete
+      await instance.sealFile(path);
+    },
+  });
+}
+
+/**
+ * Watch a file or directory for changes. Events are pushed by the disk as
+ * they happen, over a stream kept open until iteration stops or the signal
+ * aborts (which throws an AbortError, like Node.js).
+ * @param {PathLike} path - File or directory to watch
+ * @param {WatchOptions} [options] - Watch options
+ * @returns {AsyncGenerator<WatchEvent>} - Change events
+ */
+export async function* watch(path, options = {}) {
+  path = toPath(path, "watch");
+  const { signal } = options;
+  signal?.throwIfAborted();
+
+  const instance = getInstance(path);
+  const stream = await instance.watch(path, { recursive: !!options.recursive });
+  const reader = stream.pipeThrough(new TextDecoderStream()).getReader();
+  const onAbort = () => reader.cancel();
+  signal?.addEventListener("abort", onAbort);
+
+  try {
+    yield* readJsonLines(reader);
+    signal?.throwIfAborted();
+  } finally {
+    signal?.removeEventListener("abort", onAbort);
+    await reader.cancel();
+  }
+}
+
+/**
+ * Parse a stream of newline-delimited JSON sent by a disk
+ * @param {ReadableStreamDefaultReader<string>} reader - Reader of the decoded stream
+ * @returns {AsyncGenerator<any>} - The parsed values
+ */
+async function* readJsonLines(reader) {
+  let buffered = "";
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffered += value;
+    const lines = buffered.split("\n");
+    buffered = lines.pop();
+    for (const line of lines) {
+      yield JSON.parse(line);
+    }
+  }
+}
+
+/**
+ * Expand the `{a,b}` alternatives of a glob pattern into separate patterns
+ * @param {string} pattern - Glob pattern
+ * @returns {string[]} - Patterns without alternatives
+ */
+function expandBraces(pattern) {
+  for (let start = 0; start < pattern.length; start++) {
+    if (pattern[start] === "\\") {
+      start++;
+      continue;
+    }
+    if (pattern[start] !== "{") continue;
+
+    let depth = 0;
+    const commas = [];
+    for (let end = start; end < pattern.length; end++) {
+      const char = pattern[end];
+      if (char === "\\") {
+        end++;
+      } else if (char === "{") {
+        depth++;
+      } else if (char === "," && depth === 1) {
+        commas.push(end);
+      } else if (char === "}" && --depth === 0) {
+        if (commas.length === 0) break;
+        const bounds = [start, ...commas, end];
+        return bounds
+          .slice(1)
+          .flatMap((bound, i) =>
+            expandBraces(
+              pattern.slice(0, start) +
+                pattern.slice(bounds[i] + 1, bound) +
+                pattern.slice(end + 1)
+            )
+          );
+      }
+    }
+  }
+  return [pattern];
+}
+
+/**
+ * Check whether a segment of a glob pattern matches more than its own text
+ * @param {string} segment - Path segment
+ * @returns {boolean} - True for wildcards, character sets and escapes
+ */
+function hasGlobMagic(segment) {
+  return /[*?[\\]/.test(segment);
+}
+
+/**
+ * Translate a segment of a glob pattern to a regular expression. Like
+ * Node.js, wildcards don't match names starting with a dot.
+ * @param {string} segment - Path segment
+ * @returns {string} - Regular expression source
+ */
+function segmentToRegExp(segment) {
+  let source = segment.startsWith(".") ? "" : "(?!\\.)";
+  for (let i = 0; i < segment.length; i++) {
+    const char = segment[i];
+    const setEnd = char === "[" ? segment.indexOf("]", i + 2) : -1;
+    if (char === "\\" && i + 1 < segment.length) {
+      source += segment[++i].replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (setEnd !== -1) {
+      const set = segment.slice(i + 1, setEnd).replace(/\\/g, "\\\\");
+      source += set.startsWith("!") ? `[^${set.slice(1)}]` : `[${set}]`;
+      i = setEnd;
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return source;
+}
+
+/**
+ * Translate a glob pattern (without alternatives) to a regular expression
+ * matching whole paths. `**` matches any number of directories.
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} - Regular expression
+ */
+function globToRegExp(pattern) {
+  const segments = pattern
+    .split("/")
+    .filter((segment) => segment && segment !== ".")
+    .filter((segment, i, all) => segment !== "**" || all[i - 1] !== "**");
+  let source = "";
+  segments.forEach((segment, i) => {
+    if (segment !== "**") {
+      source += segmentToRegExp(segment);
+      if (i < segments.length - 1) source += "/";
+    } else if (i < segments.length - 1) {
+      source += "(?:(?!\\.)[^/]+/)*";
+    } else if (source) {
+      source = `${source.slice(0, -1)}(?:/(?!\\.)[^/]+)*`;
+    } else {
+      source = "(?:(?!\\.)[^/]+(?:/(?!\\.)[^/]+)*)?";
+    }
+  });
+  return new RegExp(`^${pattern.startsWith("/") ? "/" : ""}${source}$`);
+}
+
+/**
+ * Translate a segment of a glob pattern to an SQLite GLOB pattern, which
+ * writes negated sets as `[^...]` and has no escapes
+ * @param {string} segment - Path segment
+ * @returns {string} - SQLite GLOB pattern
+ */
+function toSqlGlob(segment) {
+  return segment.replace(/\\(.)|\[!/g, (match, escaped) =>
+    escaped === undefined
+      ? "[^"
+      : /[*?[]/.test(escaped)
+      ? `[${escaped}]`
+      : escaped
+  );
+}
+
+/**
+ * Join the path a group of glob matches is yielded under and the path of a
+ * match relative to it
+ * @param {string} prefix - Path the matches are yielded under (may be empty or "/")
+ * @param {string} path - Relative path (may be empty)
+ * @returns {string} - Joined path
+ */
+function joinGlobPath(prefix, path) {
+  if (!path) return prefix;
+  if (!prefix) return path;
+  return prefix === "/" ? `/${path}` : `${prefix}/${path}`;
+}
+
+/**
+ * Build a Dirent for a glob match
+ * @param {string} path - Absolute path of the match
+ * @param {'file'|'directory'|'symlink'} type - Type of the match
+ * @returns {Dirent} - Directory entry
+ */
+function toDirent(path, type) {
+  const lastSlash = path.lastIndexOf("/");
+  return {
+    name: path.substring(lastSlash + 1),
+    parentPath: path.substring(0, lastSlash) || "/",
+    isFile: () => type === "file",
+    isDirectory: () => type === "directory",
+    isSymbolicLink: () => type === "symlink",
+  };
+}
+
+/**
+ * Find the paths matching glob patterns, like Node.js `fs.promises.glob`.
+ * The patterns are matched by the disk in one call per directory that their
+ * literal leading segments lead to. Symbolic links are matched but not
+ * followed, and disks mounted inside that directory are not searched.
+ * @param {string|string[]} pattern - Glob pattern(s), e.g. `docs/**\/*.md`
+ * @param {GlobOptions} [options] - Glob options
+ * @returns {AsyncGenerator<string|Dirent>} - Matching paths, relative to `cwd` for relative patterns
+ */
+export async function* glob(pattern, options = {}) {
+  const cwd = toPath(options.cwd || ".", "glob");
+  const { exclude, withFileTypes } = options;
+
+  /** @type {Map<string, {base: string, prefix: string, patterns: string[]}>} */
+  const groups = new Map();
+  for (const expanded of [pattern].flat().flatMap(expandBraces)) {
+    const segments = expanded
+      .split("/")
+      .filter((segment) => segment && segment !== ".");
+    let literal = 0;
+    while (literal < segments.length - 1 && !hasGlobMagic(segments[literal])) {
+      literal++;
+    }
+    const absolute = expanded.startsWith("/");
+    const prefix = `${absolute ? "/" : ""}${segments
+      .slice(0, literal)
+      .join("/")}`;
+    const base = resolveDotSegments(absolute ? prefix : `${cwd}/${prefix}`);
+    const key = `${base}\n${prefix}`;
+    if (!groups.has(key)) groups.set(key, { base, prefix, patterns: [] });
+    groups.get(key).patterns.push(segments.slice(literal).join("/"));
+  }
+
+  /**
+   * @param {string} path - Yielded path
+   * @returns {string} - Absolute path
+   */
+  const toAbsolute = (path) =>
+    path.startsWith("/") ? path : resolveDotSegments(`${cwd}/${path}`);
+  /** @type {Map<string, boolean>} */
+  const excluded = new Map();
+  /**
+   * Whether the exclude function leaves out a path or a directory above it
+   * @param {string} path - Yielded path
+   * @param {string} type - Type of the entry
+   * @param {string} prefix - Path the matches of its group are yielded under
+   * @returns {boolean} - True to leave the path out
+   */
+  const isExcluded = (path, type, prefix) => {
+    if (typeof exclude !== "function" || path.length <= prefix.length) {
+      return false;
+    }
+    if (!excluded.has(path)) {
+      const parent = path.substring(0, Math.max(path.lastIndexOf("/"), 0));
+      excluded.set(
+        path,
+        isExcluded(parent, "directory", prefix) ||
+          !!exclude(withFileTypes ? toDirent(toAbsolute(path), type) : path)
+      );
+    }
+    return excluded.get(path);
+  };
+
+  const seen = new Set();
+  for (const { base, prefix, patterns } of groups.values()) {
+    const instance = getInstance(base);
+    const stream = await instance.glob(
+      base,
+      prefix,
+      patterns,
+      Array.isArray(exclude) ? exclude : []
+    );
+    const reader = stream.pipeThrough(new TextDecoderStream()).getReader();
+    try {
+      for await (const { path, type } of readJsonLines(reader)) {
+        if (seen.has(path) || isExcluded(path, type, prefix)) continue;
+        seen.add(path);
+        yield withFileTypes ? toDirent(toAbsolute(path), type) : path;
+      }
+    } finally {
+      await reader.cancel();
+    }
+  }
+}
+
+/**
+ * @typedef {Object} SnippetOptions
+ * @property {string} [open='<mark>'] - Text put before each matching term
+ * @property {string} [close='</mark>'] - Text put after each matching term
+ * @property {string} [ellipsis='…'] - Text marking where a line was cut
+ * @property {number} [tokens=16] - Maximum number of words in a snippet, up to 64
+ */
+
+/**
+ * @typedef {Object} SearchOptions
+ * @property {string|string[]} [glob] - Patterns the paths of matching files must match, relative to the searched directory
+ * @property {number} [limit=100] - Maximum number of matches returned
+ * @property {SnippetOptions} [snippet] - How snippets are highlighted
+ */
+
+/**
+ * @typedef {Object} SearchMatch
+ * @property {string} path - Path of the matching file
+ * @property {number} line - Line number of the match, starting at 1
+ * @property {string} snippet - Part of the line with the matching terms highlighted
+ */
+
+/**
+ * Default number of matches returned by search()
+ */
+const SEARCH_LIMIT = 100;
+
+/**
+ * Largest file whose content is put in the search index
+ */
+const MAX_SEARCH_SIZE = 10 * 1024 * 1024;
+
+/**
+ * Decode file content to index it. Content with a NUL byte near the start or
+ * that isn't valid UTF-8 is taken for binary, as `grep` and `git` do.
+ * @param {ArrayBuffer} buffer - File content
+ * @returns {string|null} - Text, or null for binary or oversized content
+ */
+function decodeText(buffer) {
+  if (buffer.byteLength > MAX_SEARCH_SIZE) return null;
+  const bytes = new Uint8Array(buffer);
+  if (bytes.subarray(0, 8000).includes(0)) return null;
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Search the contents of the text files in a directory and its
+ * subdirectories. Matching lines are returned best matches first, with their
+ * line number and a snippet highlighting the terms found.
+ * @param {PathLike} path - Directory to search, or a single file
+ * @param {string} query - FTS5 query: words, "phrases", prefix*, AND, OR, NOT
+ * @param {SearchOptions} [options] - Search options
+ * @returns {Promise<SearchMatch[]>} - Matching lines
+ */
+export async function search(path, query, options = {}) {
+  path = toPath(path, "search");
+  const instance = getInstance(path);
+  return await instance.search(path, query, options);
+}
+
+/**
+ * Formats of the archives exportArchive() and importArchive() handle
+ */
+const ARCHIVE_FORMATS = ["tar", "zip"];
+
+/**
+ * @typedef {'tar'|'zip'} ArchiveFormat
+ */
+
+/**
+ * @typedef {Object} ArchiveOptions
+ * @property {ArchiveFormat} [format='tar'] - Archive format
+ * @property {boolean} [overwrite=false] - Replace existing entries when importing, instead of failing with EEXIST
+ */
+
+/**
+ * An entry of a tar or zip archive
+ * @typedef {Object} ArchiveEntry
+ * @property {string} name - Path relative to the directory the archive holds
+ * @property {'file'|'directory'|'symlink'|'link'} type - Type of the entry; a link is a tar hard link to an earlier file
+ * @property {number} mode - Permission bits
+ * @property {number|null} mtime - Modification time as a Unix timestamp, or null when the archive has none
+ * @property {string} [target] - Target of a symbolic link, or the name of the file a link points to
+ * @property {string} [path] - Absolute path of an exported entry
+ * @property {number} [size] - Size of an exported file
+ * @property {ReadableStream<Uint8Array>} [content] - Content of an imported file
+ */
+
+/**
+ * Size of the header and data blocks of a tar archive
+ */
+const TAR_BLOCK_SIZE = 512;
+
+/**
+ * Largest size that fits the size field of a tar header. Larger files get a
+ * pax header holding their size.
+ */
+const TAR_MAX_SIZE = 0o77777777777;
+
+/**
+ * Largest size and offset in a zip archive without the Zip64 extension
+ */
+const ZIP_MAX_SIZE = 0xffffffff;
+
+/**
+ * Unix timestamp of the earliest time an MS-DOS date holds (1980-01-01)
+ */
+const DOS_EPOCH = 315532800;
+
+/**
+ * CRC-32 lookup table, for the checksums of zip entries
+ */
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+/**
+ * Update a CRC-32 checksum with more data
+ * @param {number} crc - Checksum of the data so far (0 to start)
+ * @param {Uint8Array} data - Next data
+ * @returns {number} - Checksum including `data`
+ */
+function crc32(crc, data) {
+  let c = ~crc;
+  for (let i = 0; i < data.length; i++) {
+    c = CRC_TABLE[(c ^ data[i]) & 0xff] ^ (c >>> 8);
+  }
+  return ~c >>> 0;
+}
+
+/**
+ * Turn an async generator of chunks into a stream pulling from it on demand
+ * @param {AsyncGenerator<Uint8Array>} chunks - Chunks in order
+ * @returns {ReadableStream<Uint8Array>} - Stream of the chunks
+ */
+function toReadableStream(chunks) {
+  return new ReadableStream(
+    {
+      async pull(controller) {
+        const { done, value } = await chunks.next();
+        if (done) controller.close();
+        else controller.enqueue(value);
+      },
+      async cancel() {
+        await chunks.return(undefined);
+      },
+    },
+    { highWaterMark: 0 }
+  );
+}
+
+/**
+ * Read a stream in pieces of a requested length
+ * @param {ReadableStream<Uint8Array>} stream - Stream to read
+ * @returns {{read: (length: number) => Promise<Uint8Array>, skip: (length: number) => Promise<void>, cancel: () => Promise<void>}} - Reader; `read` returns fewer bytes than requested only at the end of the stream
+ */
+function createByteReader(stream) {
+  const reader = stream.getReader();
+  let buffered = new Uint8Array(0);
+
+  /**
+   * @param {number} length - Number of bytes to read
+   * @returns {Promise<Uint8Array>} - The bytes
+   */
+  const read = async (length) => {
+    while (buffered.byteLength < length) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      const joined = new Uint8Array(buffered.byteLength + value.byteLength);
+      joined.set(buffered);
+      joined.set(value, buffered.byteLength);
+      buffered = joined;
+    }
+    const bytes = buffered.subarray(0, length);
+    buffered = buffered.subarray(bytes.byteLength);
+    return bytes;
+  };
+
+  return {
+    read,
+    async skip(length) {
+      while (length > 0) {
+        const { byteLength } = await read(
+          Math.min(length, DEFAULT_HIGH_WATER_MARK)
+        );
+        if (byteLength === 0) return;
+        length -= byteLength;
+      }
+    },
+    async cancel() {
+      await reader.cancel();
+    },
+  };
+}
+
+/**
+ * Normalize the name of an archive entry to a path relative to the directory
+ * it is unpacked into
+ * @param {string} name - Entry name
+ * @param {string} path - Directory the archive is unpacked into, used in errors
+ * @returns {string} - Relative path, empty for the directory itself
+ */
+function normalizeEntryName(name, path) {
+  const segments = name
+    .split("/")
+    .filter((segment) => segment && segment !== ".");
+  // Entries may not escape the directory they are unpacked into
+  if (segments.includes("..")) {
+    throw createError("EINVAL", "import", `${path}/${name}`);
+  }
+  return segments.join("/");
+}
+
+/**
+ * List a directory tree for an archive, parents before their children. Disks
+ * mounted inside it are listed on those disks.
+ * @param {string} path - Directory path
+ * @returns {AsyncGenerator<ArchiveEntry>} - Entries, named relative to `path`
+ */
+async function* listArchiveEntries(path) {
+  /** @type {string|null} */
+  let root = null;
+  for await (const entry of listDiskEntries(path)) {
+    root ??= entry.path;
+    if (entry.path === root) continue;
+    const name = entry.path.substring(root === "/" ? 1 : root.length + 1);
+    yield { ...entry, name };
+  }
+}
+
+/**
+ * List the part of a directory tree on the disk holding the directory, then
+ * the parts on disks mounted inside it
+ * @param {string} path - Directory path
+ * @returns {AsyncGenerator<ArchiveEntry>} - Entries, named by their path
+ */
+async function* listDiskEntries(path) {
+  const stream = await getInstance(path).listTree(path);
+  const reader = stream.pipeThrough(new TextDecoderStream()).getReader();
+  /** @type {string|null} */
+  let root = null;
+  let disk = "";
+  /** @type {Set<string>} */
+  const mountPoints = new Set();
+  /**
+   * Whether a path is the root of another disk, mounted inside this one
+   * @param {string} mountPoint - Path
+   * @returns {boolean} - True for the root of another disk
+   */
+  const isMountPoint = (mountPoint) =>
+    getInstanceName(mountPoint) !== disk &&
+    getInstanceName(
+      mountPoint.substring(0, mountPoint.lastIndexOf("/")) || "/"
+    ) === disk;
+
+  try {
+    for await (const entry of readJsonLines(reader)) {
+      // The directory comes first, with its path resolved
+      if (root === null) {
+        root = entry.path;
+        disk = getInstanceName(root);
+      } else if (getInstanceName(entry.path) !== disk) {
+        if (isMountPoint(entry.path)) mountPoints.add(entry.path);
+        continue;
+      }
+      yield { ...entry, name: entry.path };
+    }
+  } finally {
+    await reader.cancel();
+  }
+
+  // Disks mounted at fixed paths may not have a directory on this disk
+  const prefix = root === "/" ? "/" : `${root}/`;
+  for (const entry of mounts) {
+    if (
+      entry.pattern.startsWith(prefix) &&
+      !entry.segments.some((segment) => segment.startsWith(":")) &&
+      isMountPoint(entry.pattern)
+    ) {
+      mountPoints.add(entry.pattern);
+    }
+  }
+  for (const mountPoint of [...mountPoints].sort()) {
+    if (await statOrNull(mountPoint, false)) {
+      yield* listDiskEntries(mountPoint);
+    }
+  }
+}
+
+/**
+ * Read the content of a file for an archive, cut or padded with zeros to the
+ * size it was listed with, in case it changed since
+ * @param {string} path - File path
+ * @param {number} size - Listed size
+ * @returns {AsyncGenerator<Uint8Array>} - Content in pieces
+ */
+async function* readListedContent(path, size) {
+  let read = 0;
+  if (size > 0) {
+    const reader = createReadStream(path, { end: size - 1 }).getReader();
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        read += value.byteLength;
+        yield value;
+      }
+    } finally {
+      await reader.cancel();
+    }
+  }
+  if (read < size) yield new Uint8Array(size - read);
+}
+
+/**
+ * Build the header block of a tar entry
+ * @param {string} name - Entry name
+ * @param {string} type - Tar type flag
+ * @param {number} mode - Permission bits
+ * @param {number|null} mtime - Modification time as a Unix timestamp
+ * @param {number} size - Size of the data following the header
+ * @param {string} [linkname] - Target of a symbolic link
+ * @returns {Uint8Array} - Header block
+ */
+function createTarHeader(name, type, mode, mtime, size, linkname = "") {
+  const header = new Uint8Array(TAR_BLOCK_SIZE);
+  const encoder = new TextEncoder();
+  /**
+   * @param {number} offset - Offset of the field
+   * @param {number} length - Length of the field
+   * @param {string} value - Value, cut to the length of the field
+   */
+  const write = (offset, length, value) =>
+    header.set(encoder.encode(value).subarray(0, length), offset);
+  /**
+   * @param {number} offset - Offset of the field
+   * @param {number} length - Length of the field, including its NUL
+   * @param {number} value - Value, written as octal digits
+   */
+  const writeOctal = (offset, length, value) =>
+    write(offset, length - 1, value.toString(8).padStart(length - 1, "0"));
+
+  write(0, 100, name);
+  writeOctal(100, 8, mode & 0o7777);
+  writeOctal(108, 8, 0);
+  writeOctal(116, 8, 0);
+  writeOctal(124, 12, size > TAR_MAX_SIZE ? 0 : size);
+  writeOctal(136, 12, Math.min(Math.max(mtime ?? 0, 0), TAR_MAX_SIZE));
+  write(156, 1, type);
+  write(157, 100, linkname);
+  write(257, 8, "ustar\u000000");
+  // The checksum is computed with its own field filled with spaces
+  header.fill(0x20, 148, 156);
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  write(148, 7, `${checksum.toString(8).padStart(6, "0")}\0`);
+  return header;
+}
+
+/**
+ * Build a record of a pax extended header, e.g. `21 path=a/long/name\n`. The
+ * length at the start counts the bytes of the whole record.
+ * @param {string} key - Field name
+ * @param {string} value - Field value
+ * @returns {string} - Record
+ */
+function createPaxRecord(key, value) {
+  const bytes = new TextEncoder().encode(` ${key}=${value}\n`).byteLength;
+  let length = bytes;
+  while (length !== bytes + String(length).length) {
+    length = bytes + String(length).length;
+  }
+  return `${length} ${key}=${value}\n`;
+}
+
+/**
+ * Parse the records of a pax extended header
+ * @param {Uint8Array} data - Header data
+ * @returns {Record<string, string>} - Fields by name
+ */
+function parsePaxRecords(data) {
+  const decoder = new TextDecoder();
+  /** @type {Record<string, string>} */
+  const fields = {};
+  let offset = 0;
+  while (offset < data.byteLength) {
+    const space = data.indexOf(0x20, offset);
+    const length = Number(decoder.decode(data.subarray(offset, space)));
+    if (space === -1 || !(length > 0)) break;
+    const record = decoder.decode(
+      data.subarray(space + 1, offset + length - 1)
+    );
+    const equals = record.indexOf("=");
+    fields[record.substring(0, equals)] = record.substring(equals + 1);
+    offset += length;
+  }
+  return fields;
+}
+
+/**
+ * Parse a number field of a tar header: octal digits, or big-endian binary
+ * when the high bit of the first byte is set (GNU tar, for large values)
+ * @param {Uint8Array} field - Field bytes
+ * @returns {number} - Value
+ */
+function parseTarNumber(field) {
+  if (field[0] & 0x80) {
+    return field
+      .subarray(1)
+      .reduce((value, byte) => value * 256 + byte, field[0] & 0x7f);
+  }
+  return (
+    parseInt(new TextDecoder().decode(field).replace(/[\0 ]/g, ""), 8) || 0
+  );
+}
+
+/**
+ * Write the entries of a directory tree as a tar archive (POSIX pax format)
+ * @param {AsyncGenerator<ArchiveEntry>} entries - Entries
+ * @returns {AsyncGenerator<Uint8Array>} - Archive in pieces
+ */
+async function* writeTar(entries) {
+  const encoder = new TextEncoder();
+  for await (const entry of entries) {
+    const name = entry.type === "directory" ? `${entry.name}/` : entry.name;
+    const type =
+      entry.type === "directory" ? "5" : entry.type === "symlink" ? "2" : "0";
+    const linkname = entry.type === "symlink" ? entry.target : "";
+    const size = entry.type === "file" ? entry.size : 0;
+
+    // Values that don't fit the header go in a pax header before it
+    const records = [];
+    if (encoder.encode(name).byteLength > 100) {
+      records.push(createPaxRecord("path", name));
+    }
+    if (encoder.encode(linkname).byteLength > 100) {
+      records.push(createPaxRecord("linkpath", linkname));
+    }
+    if (size > TAR_MAX_SIZE) {
+      records.push(createPaxRecord("size", String(size)));
+    }
+    if (records.length > 0) {
+      const data = encoder.encode(records.join(""));
+      yield createTarHeader(
+        "PaxHeader",
+        "x",
+        0o644,
+        entry.mtime,
+        data.byteLength
+      );
+      yield data;
+      yield new Uint8Array(-data.byteLength & (TAR_BLOCK_SIZE - 1));
+    }
+
+    yield createTarHeader(name, type, entry.mode, entry.mtime, size, linkname);
+    if (size > 0) {
+      yield* readListedContent(entry.path, size);
+      yield new Uint8Array(-size & (TAR_BLOCK_SIZE - 1));
+    }
+  }
+  // The end of the archive is marked by two empty blocks
+  yield new Uint8Array(TAR_BLOCK_SIZE * 2);
+}
+
+/**
+ * Read the entries of a tar archive (ustar, pax and GNU long names). The
+ * content of a file must be read before the next entry is requested.
+ * Devices and FIFOs are skipped.
+ * @param {ReadableStream<Uint8Array>} stream - Archive
+ * @param {string} path - Directory the archive is unpacked into, used in errors
+ * @returns {AsyncGenerator<ArchiveEntry>} - Entries
+ */
+async function* readTar(stream, path) {
+  const input = createByteReader(stream);
+  const decoder = new TextDecoder();
+  /**
+   * Fields of pax and GNU long name headers, applying to the next entry
+   * @type {Record<string, string>}
+   */
+  let overrides = {};
+
+  try {
+    while (true) {
+      const header = await input.read(TAR_BLOCK_SIZE);
+      if (header.byteLength === 0 || header.every((byte) => byte === 0)) {
+        return;
+      }
+      /**
+       * @param {number} offset - Offset of the field
+       * @param {number} length - Length of the field
+       * @returns {string} - Text up to the first NUL
+       */
+      const field = (offset, length) =>
+        decoder.decode(header.subarray(offset, offset + length)).split("\0")[0];
+      const checksum = header.reduce(
+        (sum, byte, i) => sum + (i >= 148 && i < 156 ? 0x20 : byte),
+        0
+      );
+      if (
+        header.byteLength < TAR_BLOCK_SIZE ||
+        checksum !== parseTarNumber(header.subarray(148, 156))
+      ) {
+        throw createError("EINVAL", "import", path);
+      }
+
+      const type = field(156, 1) || "0";
+      const headerSize = parseTarNumber(header.subarray(124, 136));
+      if (type === "x" || type === "g" || type === "L" || type === "K") {
+        const data = await input.read(headerSize);
+        if (data.byteLength < headerSize) {
+          throw createError("EINVAL", "import", path);
+        }
+        await input.skip(-headerSize & (TAR_BLOCK_SIZE - 1));
+        if (type === "x") {
+          Object.assign(overrides, parsePaxRecords(data));
+        } else if (type !== "g") {
+          overrides[type === "L" ? "path" : "linkpath"] = decoder
+            .decode(data)
+            .split("\0")[0];
+        }
+        continue;
+      }
+
+      const prefix = field(257, 5) === "ustar" ? field(345, 155) : "";
+      const name =
+        overrides.path ??
+        (prefix ? `${prefix}/${field(0, 100)}` : field(0, 100));
+      const size = Number(overrides.size ?? headerSize);
+      /** @type {ArchiveEntry} */
+      const entry = {
+        name,
+        type: "file",
+        mode: parseTarNumber(header.subarray(100, 108)) & 0o7777,
+        mtime: Math.floor(
+          Number(overrides.mtime ?? parseTarNumber(header.subarray(136, 148)))
+        ),
+      };
+      const linkname = overrides.linkpath ?? field(157, 100);
+      overrides = {};
+
+      let remaining = size;
+      if (
+        type === "5" ||
+        ((type === "0" || type === "7") && name.endsWith("/"))
+      ) {
+        entry.type = "directory";
+      } else if (type === "2" || type === "1") {
+        entry.type = type === "2" ? "symlink" : "link";
+        entry.target = linkname;
+      } else if (type === "0" || type === "7") {
+        entry.content = new ReadableStream(
+          {
+            async pull(controller) {
+              if (remaining === 0) {
+                controller.close();
+                return;
+              }
+              const bytes = await input.read(
+                Math.min(remaining, DEFAULT_HIGH_WATER_MARK)
+              );
+              if (bytes.byteLength === 0) {
+                controller.error(createError("EINVAL", "import", path));
+                return;
+              }
+              remaining -= bytes.byteLength;
+              controller.enqueue(bytes);
+            },
+          },
+          { highWaterMark: 0 }
+        );
+      } else {
+        await input.skip(size + (-size & (TAR_BLOCK_SIZE - 1)));
+        continue;
+      }
+
+      yield entry;
+      await input.skip(remaining + (-size & (TAR_BLOCK_SIZE - 1)));
+    }
+  } finally {
+    await input.cancel();
+  }
+}
+
+/**
+ * Convert a Unix timestamp to the MS-DOS time and date of zip headers
+ * @param {number} mtime - Unix timestamp
+ * @returns {[number, number]} - Time and date
+ */
+function toDosTime(mtime) {
+  const date = new Date(Math.max(mtime, DOS_EPOCH) * 1000);
+  return [
+    (date.getUTCHours() << 11) |
+      (date.getUTCMinutes() << 5) |
+      (date.getUTCSeconds() >> 1),
+    ((date.getUTCFullYear() - 1980) << 9) |
+      ((date.getUTCMonth() + 1) << 5) |
+      date.getUTCDate(),
+  ];
+}
+
+/**
+ * Convert the MS-DOS time and date of zip headers to a Unix timestamp
+ * @param {number} time - MS-DOS time
+ * @param {number} date - MS-DOS date
+ * @returns {number} - Unix timestamp
+ */
+function fromDosTime(time, date) {
+  return (
+    Date.UTC(
+      (date >> 9) + 1980,
+      ((date >> 5) & 15) - 1,
+      date & 31,
+      time >> 11,
+      (time >> 5) & 63,
+      (time & 31) * 2
+    ) / 1000
+  );
+}
+
+/**
+ * A zip entry, as written to its local and central directory headers
+ * @typedef {Object} ZipRecord
+ * @property {Uint8Array} name - Entry name
+ * @property {number} flags - General purpose flags
+ * @property {number} method - Compression method (0 stored, 8 deflated)
+ * @property {number} mtime - Modification time as a Unix timestamp
+ * @property {number} crc - CRC-32 of the content
+ * @property {number} compressedSize - Size of the stored content
+ * @property {number} size - Size of the content
+ * @property {number} attributes - External attributes (Unix mode in the high bits)
+ * @property {number} offset - Offset of the local header in the archive
+ */
+
+/**
+ * Build the local or central directory header of a zip entry. Both carry an
+ * extended timestamp field, holding the modification time in Unix seconds.
+ * @param {ZipRecord} record - Entry
+ * @param {boolean} central - Build the central directory header
+ * @returns {Uint8Array} - Header
+ */
+function createZipHeader(record, central) {
+  const { name } = record;
+  const start = central ? 46 : 30;
+  const header = new Uint8Array(start + name.byteLength + 9);
+  const view = new DataView(header.buffer);
+  // Fields shared by both headers are 2 bytes further in the central one
+  const shift = central ? 2 : 0;
+  const [time, date] = toDosTime(record.mtime);
+
+  view.setUint32(0, central ? 0x02014b50 : 0x04034b50, true);
+  if (central) view.setUint16(4, (3 << 8) | 20, true); // Unix, zip 2.0
+  view.setUint16(shift + 4, 20, true);
+  view.setUint16(shift + 6, record.flags, true);
+  view.setUint16(shift + 8, record.method, true);
+  view.setUint16(shift + 10, time, true);
+  view.setUint16(shift + 12, date, true);
+  view.setUint32(shift + 14, record.crc, true);
+  view.setUint32(shift + 18, record.compressedSize, true);
+  view.setUint32(shift + 22, record.size, true);
+  view.setUint16(shift + 26, name.byteLength, true);
+  view.setUint16(shift + 28, 9, true);
+  if (central) {
+    view.setUint32(38, record.attributes, true);
+    view.setUint32(42, record.offset, true);
+  }
+  header.set(name, start);
+  view.setUint16(start + name.byteLength, 0x5455, true);
+  view.setUint16(start + name.byteLength + 2, 5, true);
+  header[start + name.byteLength + 4] = 1;
+  view.setUint32(start + name.byteLength + 5, record.mtime, true);
+  return header;
+}
+
+/**
+ * Write the entries of a directory tree as a zip archive. Files are
+ * deflated as they are read, their sizes and checksums following them in a
+ * data descriptor.
+ * @param {string} path - Directory path, used in errors
+ * @param {AsyncGenerator<ArchiveEntry>} entries - Entries
+ * @returns {AsyncGenerator<Uint8Array>} - Archive in pieces
+ */
+async function* writeZip(path, entries) {
+  const encoder = new TextEncoder();
+  /** @type {Uint8Array[]} */
+  const central = [];
+  let offset = 0;
+
+  for await (const entry of entries) {
+    const data =
+      entry.type === "symlink"
+        ? encoder.encode(entry.target)
+        : new Uint8Array(0);
+    const deflated = entry.type === "file";
+    const typeBits =
+      entry.type === "directory"
+        ? 0o040000
+        : entry.type === "symlink"
+        ? 0o120000
+        : 0o100000;
+    if (offset > ZIP_MAX_SIZE || (deflated && entry.size >= ZIP_MAX_SIZE)) {
+      throw createError("EFBIG", "export", entry.path);
+    }
+
+    /** @type {ZipRecord} */
+    const record = {
+      name: encoder.encode(
+        entry.type === "directory" ? `${entry.name}/` : entry.name
+      ),
+      // UTF-8 names, and a data descriptor after deflated content
+      flags: 0x0800 | (deflated ? 0x0008 : 0),
+      method: deflated ? 8 : 0,
+      mtime: Math.max(entry.mtime ?? 0, 0),
+      crc: crc32(0, data),
+      compressedSize: data.byteLength,
+      size: data.byteLength,
+      // MS-DOS directory attribute in the low bits
+      attributes:
+        (((typeBits | entry.mode) << 16) >>> 0) |
+        (entry.type === "directory" ? 0x10 : 0),
+      offset,
+    };
+    const header = createZipHeader(record, false);
+    yield header;
+    yield data;
+    offset += header.byteLength + data.byteLength;
+
+    if (deflated) {
+      let crc = 0;
+      const content = async function* () {
+        for await (const chunk of readListedContent(entry.path, entry.size)) {
+          crc = crc32(crc, chunk);
+          yield chunk;
+        }
+      };
+      const reader = toReadableStream(content())
+        .pipeThrough(new CompressionStream("deflate-raw"))
+        .getReader();
+      let compressedSize = 0;
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        compressedSize += value.byteLength;
+        yield value;
+      }
+      if (compressedSize >= ZIP_MAX_SIZE) {
+        throw createError("EFBIG", "export", entry.path);
+      }
+      Object.assign(record, { crc, compressedSize, size: entry.size });
+
+      const descriptor = new Uint8Array(16);
+      const view = new DataView(descriptor.buffer);
+      view.setUint32(0, 0x08074b50, true);
+      view.setUint32(4, record.crc, true);
+      view.setUint32(8, record.compressedSize, true);
+      view.setUint32(12, record.size, true);
+      yield descriptor;
+      offset += compressedSize + descriptor.byteLength;
+    }
+    central.push(createZipHeader(record, true));
+  }
+
+  const centralSize = central.reduce(
+    (sum, header) => sum + header.byteLength,
+    0
+  );
+  if (central.length > 0xffff || offset + centralSize > ZIP_MAX_SIZE) {
+    throw createError("EFBIG", "export", path);
+  }
+  yield* central;
+  const end = new Uint8Array(22);
+  const view = new DataView(end.buffer);
+  view.setUint32(0, 0x06054b50, true);
+  view.setUint16(8, central.length, true);
+  view.setUint16(10, central.length, true);
+  view.setUint32(12, centralSize, true);
+  view.setUint32(16, offset, true);
+  yield end;
+}
+
+/**
+ * Read the entries of a zip archive. Its central directory is at the end, so
+ * the archive is read into memory first. Stored and deflated entries are
+ * supported; encrypted and Zip64 archives are not.
+ * @param {ReadableStream<Uint8Array>} stream - Archive
+ * @param {string} path - Directory the archive is unpacked into, used in errors
+ * @returns {AsyncGenerator<ArchiveEntry>} - Entries
+ */
+async function* readZip(stream, path) {
+  const archive = new Uint8Array(await new Response(stream).arrayBuffer());
+  const view = new DataView(archive.buffer);
+  const decoder = new TextDecoder();
+  const invalid = () => createError("EINVAL", "import", path);
+
+  // The end of central directory record is followed by a comment of up to 64KB
+  let end = archive.byteLength - 22;
+  while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) end--;
+  if (end < 0) throw invalid();
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+
+  for (let i = 0; i < count; i++) {
+    if (
+      offset + 46 > archive.byteLength ||
+      view.getUint32(offset, true) !== 0x02014b50
+    ) {
+      throw invalid();
+    }
+    const system = view.getUint16(offset + 4, true) >> 8;
+    const flags = view.getUint16(offset + 8, true);
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const attributes = view.getUint32(offset + 38, true);
+    const local = view.getUint32(offset + 42, true);
+    const name = decoder.decode(
+      archive.subarray(offset + 46, offset + 46 + nameLength)
+    );
+    const extra = archive.subarray(
+      offset + 46 + nameLength,
+      offset + 46 + nameLength + extraLength
+    );
+    let mtime = fromDosTime(
+      view.getUint16(offset + 12, true),
+      view.getUint16(offset + 14, true)
+    );
+    offset += 46 + nameLength + extraLength + view.getUint16(offset + 32, true);
+
+    if (
+      flags & 1 ||
+      (method !== 0 && method !== 8) ||
+      compressedSize === ZIP_MAX_SIZE ||
+      local + 30 > archive.byteLength ||
+      view.getUint32(local, true) !== 0x04034b50
+    ) {
+      throw invalid();
+    }
+    const start =
+      local +
+      30 +
+      view.getUint16(local + 26, true) +
+      view.getUint16(local + 28, true);
+    if (start + compressedSize > archive.byteLength) throw invalid();
+
+    // Prefer the Unix time of an extended timestamp field
+    for (let at = 0; at + 4 <= extra.byteLength; ) {
+      const id = extra[at] | (extra[at + 1] << 8);
+      const size = extra[at + 2] | (extra[at + 3] << 8);
+      if (id === 0x5455 && size >= 5 && extra[at + 4] & 1) {
+        mtime = new DataView(extra.buffer, extra.byteOffset).getUint32(
+          at + 5,
+          true
+        );
+      }
+      at += 4 + size;
+    }
+
+    // The Unix mode is in the high bits of the attributes of Unix archives
+    const mode = system === 3 ? attributes >>> 16 : 0;
+    /** @type {ArchiveEntry} */
+    const entry = {
+      name,
+      type: name.endsWith("/")
+        ? "directory"
+        : (mode & 0o170000) === 0o120000
+        ? "symlink"
+        : "file",
+      mode: mode & 0o7777,
+      mtime,
+    };
+    if (!entry.mode) entry.mode = entry.type === "directory" ? 0o777 : 0o666;
+
+    let content = new Response(archive.subarray(start, start + compressedSize))
+      .body;
+    if (method === 8) {
+      content = content.pipeThrough(new DecompressionStream("deflate-raw"));
+    }
+    if (entry.type === "symlink") {
+      entry.target = await new Response(content).text();
+    } else if (entry.type === "file") {
+      entry.content = content;
+    }
+    yield entry;
+  }
+}
+
+/**
+ * Pack a directory tree into a tar or zip archive, streamed as it is read.
+ * Symbolic links are stored as links, hard links as separate files. Disks
+ * mounted inside the directory are included when they are mounted at a fixed
+ * path, or their root has a directory on the disk above.
+ * @param {PathLike} path - Directory path
+ * @param {ArchiveOptions} [options] - Archive options
+ * @returns {ReadableStream<Uint8Array>} - Archive
+ */
+export function exportArchive(path, options = {}) {
+  const root = toPath(path, "export");
+  const format = options.format || "tar";
+  if (!ARCHIVE_FORMATS.includes(format)) {
+    throw createError("EINVAL", "export", root);
+  }
+  const entries = listArchiveEntries(root);
+  return toReadableStream(
+    format === "zip" ? writeZip(root, entries) : writeTar(entries)
+  );
+}
+
+/**
+ * Unpack a tar or zip archive into a directory, keeping the mode and
+ * modification time of its entries. They are unpacked into a staging
+ * directory on each disk they go to, then moved into place in one
+ * transaction per disk once the whole archive was read: a failed import
+ * leaves each disk as it was, and the alarm of a disk removes the staging
+ * directory of an import whose worker died. Existing directories are
+ * merged into.
+ * @param {PathLike} path - Directory path, created if missing
+ * @param {ReadableStream<Uint8Array>} stream - Archive
+ * @param {ArchiveOptions} [options] - Archive options
+ * @returns {Promise<void>}
+ */
+export async function importArchive(path, stream, options = {}) {
+  const root = toPath(path, "import");
+  const format = options.format || "tar";
+  if (!ARCHIVE_FORMATS.includes(format)) {
+    throw createError("EINVAL", "import", root);
+  }
+  // The directory is created once the entries are moved in
+  const existing = await statOrNull(root);
+  if (existing && !existing.isDirectory) {
+    throw createError("ENOTDIR", "import", root);
+  }
+
+  const id = crypto.randomUUID();
+  /**
+   * Staging directory and unpacked entries of each disk, by disk key
+   * @type {Map<string, {root: string, staging: string, entries: Map<string, ArchiveEntry>}>}
+   */
+  const disks = new Map();
+  /**
+   * Staged paths of the unpacked files, by entry name, for hard links
+   * @type {Map<string, string>}
+   */
+  const files = new Map();
+
+  /**
+   * Get the disk of an entry and its path in the staging directory there,
+   * creating the staging directory and the directories above the entry
+   * @param {string} target - Path the entry is unpacked to
+   * @returns {Promise<{disk: {root: string, staging: string, entries: Map<string, ArchiveEntry>}, name: string, staged: string}>} - Disk, and the name and staged path of the entry there
+   */
+  const stage = async (target) => {
+    const key = getInstanceName(target);
+    let disk = disks.get(key);
+    if (!disk) {
+      // Entries are staged at the root of their mount, and the entries on
+      // other disks are named relative to it
+      const mountRoot = `/${splitPath(target)
+        .slice(0, findMount(target).entry.segments.length)
+        .join("/")}`;
+      disk = {
+        root: key === getInstanceName(root) ? root : mountRoot,
+        staging: `${mountRoot === "/" ? "" : mountRoot}/.import-${id}`,
+        entries: new Map(),
+      };
+      disks.set(key, disk);
+      await getInstance(disk.staging).beginImport(disk.staging);
+    }
+
+    const name = target.substring(disk.root === "/" ? 1 : disk.root.length + 1);
+    // Archives may leave out the directories above their files
+    const segments = name ? name.split("/") : [];
+    for (let i = 1; i < segments.length; i++) {
+      const parent = segments.slice(0, i).join("/");
+      const existing = disk.entries.get(parent);
+      if (!existing) {
+        disk.entries.set(parent, {
+          name: parent,
+          type: "directory",
+          mode: 0o777,
+          mtime: null,
+        });
+        await mkdir(`${disk.staging}/${parent}`);
+      } else if (existing.type !== "directory") {
+        throw createError("ENOTDIR", "import", target);
+      }
+    }
+    return { disk, name, staged: `${disk.staging}/${name}` };
+  };
+
+  try {
+    const entries =
+      format === "zip" ? readZip(stream, root) : readTar(stream, root);
+    for await (const entry of entries) {
+      const relative = normalizeEntryName(entry.name, root);
+      if (!relative) continue;
+      const target = `${root === "/" ? "" : root}/${relative}`;
+      const { disk, name, staged } = await stage(target);
+      if (!name) {
+        // The root of another disk, created with its staging directory
+        if (entry.type !== "directory") {
+          throw createError("EISDIR", "import", target);
+        }
+        continue;
+      }
+
+      // A later entry with the same name replaces the earlier one
+      const existing = disk.entries.get(name);
+      if (existing?.type === "directory" && entry.type === "directory") {
+        existing.mode = entry.mode;
+        existing.mtime = entry.mtime;
+        continue;
+      }
+      if (existing) {
+        await rm(staged, { recursive: true });
+        for (const staleName of disk.entries.keys()) {
+          if (staleName === name || staleName.startsWith(`${name}/`)) {
+            disk.entries.delete(staleName);
+          }
+        }
+      }
+
+      if (entry.type === "directory") {
+        await mkdir(staged, { mode: entry.mode });
+      } else if (entry.type === "symlink") {
+        await symlink(entry.target, staged);
+      } else if (entry.type === "link") {
+        const source = files.get(normalizeEntryName(entry.target, root));
+        if (!source) {
+          throw createError("ENOENT", "import", `${root}/${entry.target}`);
+        }
+        await copyFile(source, staged);
+      } else {
+        await entry.content.pipeTo(
+          createWriteStream(staged, { mode: entry.mode })
+        );
+      }
+      if (entry.type === "file" || entry.type === "link") {
+        files.set(relative, staged);
+      }
+      disk.entries.set(name, {
+        name,
+        type: entry.type === "link" ? "file" : entry.type,
+        mode: entry.mode,
+        mtime: entry.mtime,
+      });
+    }
+
+    for (const [key, disk] of disks) {
+      await getInstance(disk.root).commitImport(
+        disk.staging,
+        disk.root,
+        [...disk.entries.values()],
+        !!options.overwrite
+      );
+      disks.delete(key);
+    }
+  } catch (error) {
+    for (const disk of disks.values()) {
+      await getInstance(disk.staging).endImport(disk.staging);
+    }
+    throw error;
+  }
+}
+
+/** Counter used to hand out file descriptor numbers to FileHandles */
+let nextFd = 3;
+
+/**
+ * Open a file
+ * @param {PathLike} path - File path to open
+ * @param {string} [flags='r'] - File system flag
+ * @param {number} [mode=0o666] - File mode, used when the file is created
+ * @returns {Promise<FileHandle>} - Handle to the opened file
+ */
+export async function open(path, flags = "r", mode) {
+  path = toPath(path, "open");
+  const instance = getInstance(path);
+  await instance.open(path, flags, mode);
+  return new FileHandle(instance, path, flags);
+}
+
+/**
+ * Handle to an open file, mirroring Node.js `FileHandle`. Reads and writes
+ * without an explicit position continue from the current file position.
+ */
+export class FileHandle {
+  /**
+   * @param {DurableObjectStub<DOFS>} instance - DOFS instance holding the file
+   * @param {string} path - File path
+   * @param {string} flags - File system flag the file was opened with
+   */
+  constructor(instance, path, flags) {
+    this.instance = instance;
+    this.path = path;
+    this.flags = parseFlags(flags, path);
+    this.fd = nextFd++;
+    this.position = 0;
+    this.closed = false;
+  }
+
+  /**
+   * Throw if the handle is closed or does not allow the given access
+   * @param {string} syscall - Name of the operation, used in errors
+   * @param {'read'|'write'} [access] - Required access
+   */
+  assertOpen(syscall, access) {
+    if (this.closed || (access && !this.flags[access])) {
+      throw createError("EBADF", syscall);
+    }
+  }
+
+  /**
+   * Read data from the file
+   * @param {Uint8Array|{buffer?: Uint8Array, offset?: number, length?: number, position?: number|null}} [buffer] - Buffer to read into, or read options
+   * @param {number|{offset?: number, length?: number, position?: number|null}} [offset=0] - Offset in the buffer to start writing at, or read options
+   * @param {number} [length] - Number of bytes to read
+   * @param {number|null} [position] - Position in the file to read from (null reads from the current position)
+   * @returns {Promise<{bytesRead: number, buffer: Uint8Array}>} - Number of bytes read and the buffer
+   */
+  async read(buffer, offset, length, position) {
+    this.assertOpen("read", "read");
+    const options =
+      buffer && !ArrayBuffer.isView(buffer)
+        ? buffer
+        : {
+            buffer: /** @type {Uint8Array|undefined} */ (buffer),
+            ...(offset && typeof offset === "object"
+              ? offset
+              : {
+                  offset: /** @type {number|undefined} */ (offset),
+                  length,
+                  position,
+                }),
+          };
+    const target = options.buffer || new Uint8Array(16384);
+    const start = options.offset || 0;
+    assertInRange("offset", start, target.byteLength);
+    const size = options.length ?? target.byteLength - start;
+    assertInRange("length", size, target.byteLength - start);
+
+    const usePosition =
+      typeof options.position === "number" && options.position >= 0;
+    const data = new Uint8Array(
+      await this.instance.readFileRange(
+        this.path,
+        usePosition ? options.position : this.position,
+        size
+      )
+    );
+    new Uint8Array(
+      target.buffer,
+      target.byteOffset + start,
+      data.byteLength
+    ).set(data);
+    if (!usePosition) this.position += data.byteLength;
+
+    return { bytesRead: data.byteLength, buffer: target };
+  }
+
+  /**
+   * Write data to the file. In append mode data always goes to the end.
+   * @param {string|Uint8Array} data - Data to write
+   * @param {number|null|{offset?: number, length?: number, position?: number|null}} [offset] - Offset in the buffer (position for strings), or write options
+   * @param {number|string} [length] - Number of bytes to write (encoding for strings)
+   * @param {number|null} [position] - Position in the file to write at (null writes at the current position)
+   * @returns {Promise<{bytesWritten: number, buffer: string|Uint8Array}>} - Number of bytes written and the data
+   */
+  async write(data, offset, length, position) {
+    this.assertOpen("write", "write");
+    let bytes;
+    if (typeof data === "string") {
+      position = /** @type {number|null} */ (offset);
+      const encoding = typeof length === "string" ? length : null;
+      bytes = new Uint8Array(
+        encodeData(data, getEncoding(encoding, "write", this.path))
+      );
+    } else {
+      if (offset && typeof offset === "object") {
+        ({ offset, length, position } = offset);
+      }
+      const start = /** @type {number} */ (offset) || 0;
+      assertInRange("offset", start, data.byteLength);
+      const count = /** @type {number} */ (length) ?? data.byteLength - start;
+      assertInRange("length", count, data.byteLength - start);
+      bytes = new Uint8Array(data.buffer, data.byteOffset + start, count);
+    }
+
+    const usePosition = typeof position === "number" && position >= 0;
+    if (this.flags.append) {
+      await this.instance.appendFileBuffer(this.path, toArrayBuffer(bytes));
+    } else {
+      await this.instance.writeFileRange(
+        this.path,
+        usePosition ? position : this.position,
+        toArrayBuffer(bytes)
+      );
+      if (!usePosition) this.position += bytes.byteLength;
+    }
+
+    return { bytesWritten: bytes.byteLength, buffer: data };
+  }
+
+  /**
+   * Read the entire contents of the file
+   * @param {ReadFileOptions|string} [options] - Read options or encoding string
+   * @returns {Promise<Uint8Array|string>} - File contents
+   */
+  async readFile(options) {
+    this.assertOpen("read", "read");
+    const readOptions =
+      typeof options === "string" ? { encoding: options } : options;
+    const data = await this.instance.readFile(this.path, {
+      ...readOptions,
+      flag: "r",
+    });
+    return typeof data === "string" ? data : toBuffer(data);
+  }
+
+  /**
+   * Write data to the file from the current position (or append in append mode)
+   * @param {string|ArrayBuffer|Uint8Array} data - Data to write
+   * @param {WriteFileOptions|string} [options] - Write options or encoding string
+   * @returns {Promise<void>}
+   */
+  async writeFile(data, options) {
+    this.assertOpen("write", "write");
+    const buffer = encodeData(data, getEncoding(options, "write", this.path));
+    if (!buffer) {
+      throw createError("EINVAL", "write", this.path);
+    }
+    await this.write(new Uint8Array(buffer));
+  }
+
+  /**
+   * Truncate the file
+   * @param {number} [len=0] - New length of the file
+   * @returns {Promise<void>}
+   */
+  async truncate(len = 0) {
+    this.assertOpen("ftruncate", "write");
+    await this.instance.truncate(this.path, len);
+  }
+
+  /**
+   * Get file statistics
+   * @returns {Promise<Stats>} - File statistics
+   */
+  async stat() {
+    this.assertOpen("fstat");
+    return await this.instance.stat(this.path);
+  }
+
+  /**
+   * Flush pending writes. Every write is persisted by the DO before it
+   * returns, so there is nothing left to flush.
+   * @returns {Promise<void>}
+   */
+  async sync() {
+    this.assertOpen("fsync");
+  }
+
+  /**
+   * Flush pending data writes. Same as sync().
+   * @returns {Promise<void>}
+   */
+  async datasync() {
+    this.assertOpen("fdatasync");
+  }
+
+  /**
+   * Close the file handle
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.closed = true;
+  }
+
+  async [Symbol.asyncDispose]() {
+    await this.close();
+  }
+}
+
+/**
+ * @typedef {Object} WebDAVOptions
+ * @property {string} [prefix=""] - URL path the filesystem is served under, e.g. "/dav"
+ */
+
+/**
+ * HTTP status for the error codes of fs operations, see handleWebDAV()
+ * @type {Record<string, number>}
+ */
+const WEBDAV_STATUS = {
+  EPERM: 403,
+  EACCES: 403,
+  EROFS: 403,
+  ENOENT: 404,
+  EEXIST: 405,
+  ENOTDIR: 409,
+  EISDIR: 409,
+  ENOTEMPTY: 409,
+  EINVAL: 400,
+  ELOOP: 508,
+  ENOSPC: 507,
+  EDQUOT: 507,
+  EXDEV: 502,
+  EFBIG: 413,
+  EKEYREJECTED: 403,
+  EBADMSG: 500,
+  ENOKEY: 500,
+};
+
+/**
+ * Lock timeout in seconds of LOCK requests without a Timeout header
+ */
+const DEFAULT_LOCK_TIMEOUT = 60 * 60;
+
+/**
+ * Longest lock timeout in seconds granted, also to requests for an infinite
+ * one
+ */
+const MAX_LOCK_TIMEOUT = 7 * 24 * 60 * 60;
+
+/** Methods handled by handleWebDAV(), sent in the Allow header */
+const WEBDAV_METHODS =
+  "OPTIONS, PROPFIND, GET, HEAD, PUT, MKCOL, MOVE, COPY, DELETE, LOCK, UNLOCK";
+
+/**
+ * Escape text for use in XML
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeXml(text) {
+  return text.replace(
+    /[<>&"']/g,
+    (char) =>
+      ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" }[
+        char
+      ])
+  );
+}
+
+/**
+ * Get the file path a WebDAV URL refers to
+ * @param {string} url - Request or Destination URL
+ * @param {string} prefix - URL path the filesystem is served under
+ * @returns {string|null} - File path, or null when the URL is outside the prefix
+ */
+function getWebDAVPath(url, prefix) {
+  const { pathname } = new URL(url);
+  if (pathname !== prefix && !pathname.startsWith(`${prefix}/`)) return null;
+  const segments = splitPath(pathname.slice(prefix.length));
+  return resolveDotSegments(segments.map(decodeURIComponent).join("/"));
+}
+
+/**
+ * Get the URL path of a file, with a trailing slash for directories
+ * @param {string} path - File path
+ * @param {Stats} stats - File statistics
+ * @param {string} prefix - URL path the filesystem is served under
+ * @returns {string} - URL path
+ */
+function getWebDAVHref(path, stats, prefix) {
+  const segments = splitPath(path).map(encodeURIComponent);
+  const slash = stats.isDirectory && segments.length > 0 ? "/" : "";
+  return `${prefix}/${segments.join("/")}${slash}`;
+}
+
+/**
+ * Get the ETag of a file, derived from its size and modification time
+ * @param {Stats} stats - File statistics
+ * @returns {string} - Quoted ETag
+ */
+function getETag(stats) {
+  return `"${stats.size.toString(16)}-${stats.mtime.getTime().toString(16)}"`;
+}
+
+/**
+ * Check an If-Match or If-None-Match header against an ETag
+ * @param {string|null} header - Header value
+ * @param {string|null} etag - ETag of the resource, or null when it does not exist
+ * @returns {boolean} - Whether the header matches
+ */
+function matchesETag(header, etag) {
+  if (!etag) return false;
+  return header
+    .split(",")
+    .map((value) => value.trim().replace(/^W\//, ""))
+    .some((value) => value === "*" || value === etag);
+}
+
+/**
+ * Get the statistics of a file, or null when it does not exist
+ * @param {string} path - File path
+ * @param {boolean} [followLast=true] - Follow a symbolic link in the last segment
+ * @returns {Promise<Stats|null>} - File statistics
+ */
+async function statOrNull(path, followLast = true) {
+  try {
+    return followLast ? await stat(path) : await lstat(path);
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+/**
+ * Check that the directory a new resource goes into exists. WebDAV answers
+ * 409 Conflict when it doesn't, instead of creating it.
+ * @param {string} path - Path of the new resource
+ * @returns {Promise<boolean>} - Whether the parent is an existing directory
+ */
+async function hasParentDirectory(path) {
+  const segments = splitPath(path);
+  if (segments.length <= 1) return true;
+  const parent = await statOrNull(`/${segments.slice(0, -1).join("/")}`);
+  return !!parent?.isDirectory;
+}
+
+/**
+ * Build the `<D:response>` element of a PROPFIND multistatus
+ * @param {string} path - File path
+ * @param {Stats} stats - File statistics
+ * @param {string} prefix - URL path the filesystem is served under
+ * @returns {string} - XML
+ */
+function toPropfindResponse(path, stats, prefix) {
+  const name = splitPath(path).pop() || "";
+  const props = [
+    `<D:displayname>${escapeXml(name)}</D:displayname>`,
+    `<D:creationdate>${stats.ctime.toISOString()}</D:creationdate>`,
+    `<D:getlastmodified>${stats.mtime.toUTCString()}</D:getlastmodified>`,
+    `<D:supportedlock><D:lockentry><D:lockscope><D:exclusive/></D:lockscope><D:locktype><D:write/></D:locktype></D:lockentry></D:supportedlock>`,
+  ];
+  if (stats.isDirectory) {
+    props.push("<D:resourcetype><D:collection/></D:resourcetype>");
+  } else {
+    props.push(
+      "<D:resourcetype/>",
+      `<D:getcontentlength>${stats.size}</D:getcontentlength>`,
+      "<D:getcontenttype>application/octet-stream</D:getcontenttype>",
+      `<D:getetag>${escapeXml(getETag(stats))}</D:getetag>`
+    );
+  }
+  return `<D:response><D:href>${escapeXml(
+    getWebDAVHref(path, stats, prefix)
+  )}</D:href><D:propstat><D:prop>${props.join(
+    ""
+  )}</D:prop><D:status>HTTP/1.1 200 OK</D:status></D:propstat></D:response>`;
+}
+
+/**
+ * Collect a file and, up to the given depth, the entries below it
+ * @param {string} path - File path
+ * @param {Stats} stats - File statistics
+ * @param {number} depth - Levels of directory entries to include
+ * @param {{path: string, stats: Stats}[]} results - Collected entries
+ */
+async function collectPropfind(path, stats, depth, results) {
+  results.push({ path, stats });
+  if (!stats.isDirectory || depth === 0) return;
+
+  const names = /** @type {string[]} */ (await readdir(path));
+  for (const name of names) {
+    const childPath = path === "/" ? `/${name}` : `${path}/${name}`;
+    // Skip broken symbolic links
+    const childStats = await statOrNull(childPath);
+    if (childStats) {
+      await collectPropfind(childPath, childStats, depth - 1, results);
+    }
+  }
+}
+
+/**
+ * Serve the filesystem over WebDAV, so it can be mounted in Finder, Windows
+ * Explorer or rclone. Requests map onto the fs operations, which are checked
+ * against the credentials of the surrounding runAs() call (if any). Requests
+ * changing a resource covered by a write lock need the lock's token in their
+ * If header, see checkLocks().
+ * @param {Request} request - Incoming request
+ * @param {WebDAVOptions} [options] - WebDAV options
+ * @returns {Promise<Response>} - WebDAV response
+ */
+export async function handleWebDAV(request, options = {}) {
+  const prefix = (options.prefix || "").replace(/\/+$/, "");
+  try {
+    const path = getWebDAVPath(request.url, prefix);
+    if (path === null) {
+      return new Response("Not Found", { status: 404 });
+    }
+
+    switch (request.method) {
+      case "OPTIONS":
+        return new Response(null, {
+          headers: {
+            DAV: "1, 2",
+            Allow: WEBDAV_METHODS,
+            "MS-Author-Via": "DAV",
+          },
+        });
+      case "PROPFIND":
+        return await handlePropfind(request, path, prefix);
+      case "GET":
+      case "HEAD":
+        return await handleGet(request, path);
+      case "PUT":
+        return await handlePut(request, path);
+      case "MKCOL":
+        return await handleMkcol(request, path);
+      case "MOVE":
+      case "COPY":
+        return await handleMoveCopy(request, path, prefix);
+      case "DELETE":
+        return await handleDelete(request, path);
+      case "LOCK":
+        return await handleLock(request, path);
+      case "UNLOCK":
+        return await handleUnlock(request, path);
+      default:
+        return new Response("Method Not Allowed", {
+          status: 405,
+          headers: { Allow: WEBDAV_METHODS },
+        });
+    }
+  } catch (error) {
+    if (error instanceof URIError) {
+      return new Response("Malformed URL", { status: 400 });
+    }
+    const status = WEBDAV_STATUS[error.code];
+    if (!status) throw error;
+    return new Response(error.message, { status });
+  }
+}
+
+/**
+ * Handle PROPFIND: list the properties of a file or directory and, depending
+ * on the Depth header, its entries
+ * @param {Request} request - Incoming request
+ * @param {string} path - File path
+ * @param {string} prefix - URL path the filesystem is served under
+ * @returns {Promise<Response>} - 207 Multi-Status response
+ */
+async function handlePropfind(request, path, prefix) {
+  const stats = await stat(path);
+  const header = request.headers.get("Depth") || "infinity";
+  const depth = header === "infinity" ? Infinity : Number(header);
+  if (depth !== 0 && depth !== 1 && depth !== Infinity) {
+    return new Response("Invalid Depth header", { status: 400 });
+  }
+
+  /** @type {{path: string, stats: Stats}[]} */
+  const results = [];
+  await collectPropfind(path, stats, depth, results);
+
+  const body = `<?xml version="1.0" encoding="utf-8"?>\n<D:multistatus xmlns:D="DAV:">${results
+    .map((result) => toPropfindResponse(result.path, result.stats, prefix))
+    .join("")}</D:multistatus>`;
+  return new Response(body, {
+    status: 207,
+    headers: { "Content-Type": 'application/xml; charset="utf-8"' },
+  });
+}
+
+/**
+ * Handle GET and HEAD: download a file (or a single byte range of it). For a
+ * directory this lists its entries.
+ * @param {Request} request - Incoming request
+ * @param {string} path - File path
+ * @returns {Promise<Response>} - File contents
+ */
+async function handleGet(request, path) {
+  const stats = await stat(path);
+  if (stats.isDirectory) {
+    const names = /** @type {string[]} */ (await readdir(path));
+    return new Response(request.method === "HEAD" ? null : names.join("\n"), {
+      headers: { "Content-Type": "text/plain; charset=utf-8" },
+    });
+  }
+
+  const etag = getETag(stats);
+  const headers = {
+    ETag: etag,
+    "Last-Modified": stats.mtime.toUTCString(),
+    "Accept-Ranges": "bytes",
+    "Content-Type": "application/octet-stream",
+  };
+  const ifNoneMatch = request.headers.get("If-None-Match");
+  if (ifNoneMatch && matchesETag(ifNoneMatch, etag)) {
+    return new Response(null, { status: 304, headers });
+  }
+
+  let start = 0;
+  let end = stats.size - 1;
+  let status = 200;
+  const range = /^bytes=(\d*)-(\d*)$/.exec(request.headers.get("Range") || "");
+  if (range && (range[1] || range[2])) {
+    if (range[1]) {
+      start = Number(range[1]);
+      if (range[2]) end = Math.min(Number(range[2]), end);
+    } else {
+      start = Math.max(stats.size - Number(range[2]), 0);
+    }
+    if (start > end) {
+      return new Response(null, {
+        status: 416,
+        headers: { ...headers, "Content-Range": `bytes */${stats.size}` },
+      });
+    }
+    status = 206;
+    headers["Content-Range"] = `bytes ${start}-${end}/${stats.size}`;
+  }
+  headers["Content-Length"] = String(end - start + 1);
+
+  const body =
+    request.method === "HEAD" || end < start
+      ? null
+      : createReadStream(path, { start, end });
+  return new Response(body, { status, headers });
+}
+
+/**
+ * Handle PUT: create or replace a file with the request body
+ * @param {Request} request - Incoming request
+ * @param {string} path - File path
+ * @returns {Promise<Response>} - 201 when the file was created, 204 otherwise
+ */
+async function handlePut(request, path) {
+  const existing = await statOrNull(path);
+  if (existing?.isDirectory) {
+    return new Response("Cannot PUT to a collection", { status: 405 });
+  }
+  const precondition =
+    checkPreconditions(request, existing) ||
+    (await checkLocks(request, path, false));
+  if (precondition) return precondition;
+  if (!(await hasParentDirectory(path))) {
+    return new Response("Parent collection does not exist", { status: 409 });
+  }
+
+  if (request.body) {
+    await request.body.pipeTo(createWriteStream(path));
+  } else {
+    await writeFile(path, new ArrayBuffer(0));
+  }
+  return new Response(null, {
+    status: existing ? 204 : 201,
+    headers: { ETag: getETag(await stat(path)) },
+  });
+}
+
+/**
+ * Handle MKCOL: create a directory
+ * @param {Request} request - Incoming request
+ * @param {string} path - Directory path
+ * @returns {Promise<Response>} - 201 Created
+ */
+async function handleMkcol(request, path) {
+  if (request.body && (await request.arrayBuffer()).byteLength > 0) {
+    return new Response("MKCOL with a body is not supported", { status: 415 });
+  }
+  const locked = await checkLocks(request, path, false);
+  if (locked) return locked;
+  if (!(await hasParentDirectory(path))) {
+    return new Response("Parent collection does not exist", { status: 409 });
+  }
+  await mkdir(path);
+  return new Response(null, { status: 201 });
+}
+
+/**
+ * Handle MOVE and COPY to the URL in the Destination header, replacing an
+ * existing destination unless the Overwrite header is "F"
+ * @param {Request} request - Incoming request
+ * @param {string} path - Source path
+ * @param {string} prefix - URL path the filesystem is served under
+ * @returns {Promise<Response>} - 201 when the destination was created, 204 otherwise
+ */
+async function handleMoveCopy(request, path, prefix) {
+  const destination = request.headers.get("Destination");
+  if (!destination) {
+    return new Response("Missing Destination header", { status: 400 });
+  }
+  const url = new URL(destination, request.url);
+  const destPath =
+    url.origin === new URL(request.url).origin
+      ? getWebDAVPath(url.href, prefix)
+      : null;
+  if (destPath === null) {
+    return new Response("Destination is outside of this server", {
+      status: 502,
+    });
+  }
+  if (destPath === path) {
+    return new Response("Source and destination are the same", {
+      status: 403,
+    });
+  }
+  // Replacing an ancestor would remove the source, and a collection can't
+  // be copied or moved into itself
+  if (isBelow(path, destPath) || isBelow(destPath, path)) {
+    return new Response("Source and destination overlap", { status: 403 });
+  }
+
+  const stats = await stat(path);
+  const precondition =
+    checkPreconditions(request, stats) ||
+    (request.method === "MOVE" && (await checkLocks(request, path, true))) ||
+    (await checkLocks(request, destPath, true));
+  if (precondition) return precondition;
+  if (!(await hasParentDirectory(destPath))) {
+    return new Response("Parent collection does not exist", { status: 409 });
+  }
+
+  const existing = await statOrNull(destPath);
+  /** @type {string|null} */
+  let replaced = null;
+  if (existing) {
+    if (request.headers.get("Overwrite") === "F") {
+      return new Response("Destination exists", { status: 412 });
+    }
+    // Set the destination aside until the copy or move succeeded
+    const slash = destPath.lastIndexOf("/");
+    replaced = `${destPath.substring(0, slash)}/.${destPath.substring(
+      slash + 1
+    )}.replaced-${crypto.randomUUID()}`;
+    await rename(destPath, replaced);
+  }
+
+  try {
+    if (request.method === "MOVE") {
+      await rename(path, destPath);
+      // Locks stay with their path, not with what was there
+      await getInstance(path).releaseLocks(path);
+    } else if (stats.isDirectory && request.headers.get("Depth") === "0") {
+      await mkdir(destPath);
+    } else {
+      await cp(path, destPath, { recursive: true });
+    }
+  } catch (error) {
+    if (replaced) {
+      await rm(destPath, { recursive: true, force: true });
+      await rename(replaced, destPath);
+    }
+    throw error;
+  }
+  if (replaced) await rm(replaced, { recursive: true });
+  return new Response(null, { status: existing ? 204 : 201 });
+}
+
+/**
+ * Handle DELETE: remove a file or a directory with everything in it
+ * @param {Request} request - Incoming request
+ * @param {string} path - File path
+ * @returns {Promise<Response>} - 204 No Content
+ */
+async function handleDelete(request, path) {
+  const precondition =
+    checkPreconditions(request, await stat(path)) ||
+    (await checkLocks(request, path, true));
+  if (precondition) return precondition;
+  await rm(path, { recursive: true });
+  await getInstance(path).releaseLocks(path);
+  return new Response(null, { status: 204 });
+}
+
+/**
+ * Handle LOCK: grant an exclusive write lock, creating an empty file when
+ * the resource does not exist, or refresh the lock whose token is in the If
+ * header
+ * @param {Request} request - Incoming request
+ * @param {string} path - File path
+ * @returns {Promise<Response>} - Lock discovery
+ */
+async function handleLock(request, path) {
+  const timeout = request.headers.get("Timeout")?.split(",")[0].trim();
+  const seconds = !timeout
+    ? DEFAULT_LOCK_TIMEOUT
+    : Math.min(
+        Number(/^Second-(\d+)$/i.exec(timeout)?.[1] ?? MAX_LOCK_TIMEOUT),
+        MAX_LOCK_TIMEOUT
+      );
+
+  const refreshed = /<(opaquelocktoken:[^>]+)>/.exec(
+    request.headers.get("If") || ""
+  );
+  if (refreshed) {
+    const token = refreshed[1];
+    const depth = await getInstance(path).refreshLock(path, token, seconds);
+    if (!depth) {
+      return new Response("Lock token does not match", { status: 412 });
+    }
+    return createLockResponse(200, token, depth, seconds);
+  }
+
+  const depth = request.headers.get("Depth") === "0" ? "0" : "infinity";
+  if ((await findLocks(path, depth === "infinity")).length > 0) {
+    return new Response("Locked", { status: 423 });
+  }
+  let status = 200;
+  if (!(await statOrNull(path))) {
+    if (!(await hasParentDirectory(path))) {
+      return new Response("Parent collection does not exist", { status: 409 });
+    }
+    await writeFile(path, new ArrayBuffer(0));
+    status = 201;
+  }
+  // Another lock may have been granted meanwhile
+  const token = await getInstance(path).lock(path, depth, seconds);
+  if (!token) {
+    return new Response("Locked", { status: 423 });
+  }
+  return createLockResponse(status, token, depth, seconds);
+}
+
+/**
+ * Describe a granted lock in the response to a LOCK request
+ * @param {number} status - Response status
+ * @param {string} token - Lock token
+ * @param {'0'|'infinity'} depth - Depth of the lock
+ * @param {number} seconds - Time until the lock expires
+ * @returns {Response} - Lock discovery
+ */
+function createLockResponse(status, token, depth, seconds) {
+  const body = `<?xml version="1.0" encoding="utf-8"?>\n<D:prop xmlns:D="DAV:"><D:lockdiscovery><D:activelock><D:locktype><D:write/></D:locktype><D:lockscope><D:exclusive/></D:lockscope><D:depth>${depth}</D:depth><D:timeout>Second-${seconds}</D:timeout><D:locktoken><D:href>${escapeXml(
+    token
+  )}</D:href></D:locktoken></D:activelock></D:lockdiscovery></D:prop>`;
+  return new Response(body, {
+    status,
+    headers: {
+      "Content-Type": 'application/xml; charset="utf-8"',
+      "Lock-Token": `<${token}>`,
+    },
+  });
+}
+
+/**
+ * Handle UNLOCK: remove the lock in the Lock-Token header
+ * @param {Request} request - Incoming request
+ * @param {string} path - Locked path
+ * @returns {Promise<Response>} - 204 No Content
+ */
+async function handleUnlock(request, path) {
+  const token = /<([^>]+)>/.exec(request.headers.get("Lock-Token") || "")?.[1];
+  if (!token) {
+    return new Response("Missing Lock-Token header", { status: 400 });
+  }
+  if (!(await getInstance(path).unlock(path, token))) {
+    return new Response("Lock token does not match", { status: 409 });
+  }
+  return new Response(null, { status: 204 });
+}
+
+/**
+ * Find the WebDAV locks covering a path, on the disk of the path and the
+ * disks of the directories above it, see DOFS.findLocks(). Locks below the
+ * path are only found on its own disk, as rm() and rename() don't reach into
+ * disks mounted below it either.
+ * @param {string} path - Path
+ * @param {boolean} below - Also find locks on the entries below the path
+ * @returns {Promise<string[]>} - Tokens of the locks
+ */
+async function findLocks(path, below) {
+  /** @type {Map<string, string>} */
+  const disks = new Map();
+  for (let i = 0; i !== -1; i = path.indexOf("/", i + 1)) {
+    const ancestor = path.substring(0, i) || "/";
+    disks.set(getInstanceName(ancestor), ancestor);
+  }
+  disks.set(getInstanceName(path), path);
+  const tokens = await Promise.all(
+    [...disks.values()].map((diskPath) =>
+      getInstance(diskPath).findLocks(path, below)
+    )
+  );
+  return tokens.flat();
+}
+
+/**
+ * Check that a request modifying a resource holds the write locks covering
+ * it, by submitting their tokens in the If header
+ * @param {Request} request - Incoming request
+ * @param {string} path - Path of the resource
+ * @param {boolean} below - Also check the locks on the entries below the path
+ * @returns {Promise<Response|null>} - 423 response when a lock is not held
+ */
+async function checkLocks(request, path, below) {
+  const submitted = [
+    ...(request.headers.get("If") || "").matchAll(/<([^>]+)>/g),
+  ].map((match) => match[1]);
+  const locks = await findLocks(path, below);
+  if (locks.every((token) => submitted.includes(token))) return null;
+  return new Response("Locked", { status: 423 });
+}
+
+/**
+ * Check the If-Match and If-None-Match headers of a request that modifies
+ * a resource
+ * @param {Request} request - Incoming request
+ * @param {Stats|null} stats - Statistics of the resource, or null when it does not exist
+ * @returns {Response|null} - 412 response when a precondition fails
+ */
+function checkPreconditions(request, stats) {
+  const etag = stats ? getETag(stats) : null;
+  const ifMatch = request.headers.get("If-Match");
+  const ifNoneMatch = request.headers.get("If-None-Match");
+  if (
+    (ifMatch && !matchesETag(ifMatch, etag)) ||
+    (ifNoneMatch && matchesETag(ifNoneMatch, etag))
+  ) {
+    return new Response("Precondition Failed", { status: 412 });
+  }
+  return null;
+}
+
+export class DOFS extends DurableObject {
+  /** @param {DurableObjectState} state @param {Env} env */
+  constructor(state, env) {
+    super(state, env);
+    this.sql = state.storage.sql;
+    this.env = env;
+    /** @type {Set<Watcher>} */
+    this.watchers = new Set();
+    /**
+     * Events held back until the running batch commits
+     * @type {[eventType: 'rename'|'change', path: string][]|null}
+     */
+    this.pendingEvents = null;
+    /**
+     * Files read by trackChanges(), with the number of reads in progress and
+     * of changes made to the file since the first one started
+     * @type {Map<string, {readers: number, changes: number}>}
+     */
+    this.tracked = new Map();
+    /**
+     * Keys of the disk, by disk name, see getKeys()
+     * @type {Map<string, Promise<DiskKey[]>>}
+     */
+    this.keys = new Map();
+    this.initTables();
+  }
+
+  /**
+   * Make the reads of a file in progress report it as changed, see
+   * trackChanges(), e.g. because its content is stored differently now
+   * @param {string} path - Normalized file path
+   */
+  markChanged(path) {
+    const tracked = this.tracked.get(path);
+    if (tracked) tracked.changes++;
+  }
+
+  /**
+   * Send a change event to every watcher of the changed path
+   * @param {'rename'|'change'} eventType - Type of change
+   * @param {string} path - Normalized path of the changed entry
+   */
+  notify(eventType, path) {
+    this.markChanged(path);
+    if (this.pendingEvents) {
+      this.pendingEvents.push([eventType, path]);
+      return;
+    }
+    if (this.watchers.size === 0 || this.getStagedCheck()(path)) return;
+    for (const watcher of this.watchers) {
+      const prefix = watcher.path === "/" ? "/" : `${watcher.path}/`;
+      let filename;
+      if (path === watcher.path || this.getParentPath(path) === watcher.path) {
+        filename = this.getFileName(path);
+      } else if (watcher.recursive && path.startsWith(prefix)) {
+        filename = path.substring(prefix.length);
+      } else {
+        continue;
+      }
+      if (!this.canWatch(watcher, path)) continue;
+
+      try {
+        watcher.controller.enqueue(
+          new TextEncoder().encode(
+            `${JSON.stringify({ eventType, filename })}\n`
+          )
+        );
+      } catch {
+        // The stream is gone without being cancelled
+        this.watchers.delete(watcher);
+      }
+    }
+  }
+
+  /**
+   * Check whether a watcher may see a change: every directory from the
+   * watched one down to the changed entry has to be readable and searchable
+   * by it, like readdir() needs. Directories removed meanwhile hide the
+   * changes below them.
+   * @param {Watcher} watcher - Watcher
+   * @param {string} path - Normalized path of the changed entry
+   * @returns {boolean} - True to send the event
+   */
+  canWatch(watcher, path) {
+    if (!watcher.credentials || path === watcher.path) return true;
+
+    const directories = [];
+    for (
+      let directory = this.getParentPath(path);
+      directory !== null;
+      directory = this.getParentPath(directory)
+    ) {
+      directories.push(directory);
+      if (directory === watcher.path) break;
+    }
+    /** @type {File[]} */
+    const rows = this.sql
+      .exec(
+        `SELECT path, mode, uid, gid FROM files WHERE path IN (${directories.map(
+          () => "?"
+        )})`,
+        ...directories
+      )
+      .toArray();
+    if (directories.includes("/") && !rows.some((row) => row.path === "/")) {
+      rows.push(ROOT_DIRECTORY);
+    }
+    return (
+      rows.length === directories.length &&
+      rows.every((row) =>
+        hasAccess(row, constants.R_OK | constants.X_OK, watcher.credentials)
+      )
+    );
+  }
+
+  /**
+   * Watch a file or directory. Returns a stream of newline-delimited JSON
+   * change events that stays open until it is cancelled. A directory has
+   * to be readable and searchable by the caller, and a file readable.
+   * @param {string} path - File or directory to watch
+   * @param {{recursive?: boolean}} [options] - Watch options
+   * @returns {Promise<ReadableStream<Uint8Array>>} - Stream of events
+   */
+  async watch(path, options = {}) {
+    const normalizedPath = this.resolvePath(path, "watch");
+    /** @type {File|undefined} */
+    const file =
+      this.sql
+        .exec(
+          "SELECT type, mode, uid, gid FROM files WHERE path = ?",
+          normalizedPath
+        )
+        .toArray()[0] || (normalizedPath === "/" ? ROOT_DIRECTORY : undefined);
+    if (!file) {
+      throw createError("ENOENT", "watch", normalizedPath);
+    }
+    this.assertAccess(
+      file,
+      file.type === "directory"
+        ? constants.R_OK | constants.X_OK
+        : constants.R_OK,
+      "watch",
+      normalizedPath
+    );
+
+    /** @type {Watcher} */
+    const watcher = {
+      path: normalizedPath,
+      recursive: !!options.recursive,
+      controller: null,
+      credentials: credentialsStorage.getStore(),
+    };
+    return new ReadableStream({
+      start: (controller) => {
+        watcher.controller = controller;
+        this.watchers.add(watcher);
+      },
+      cancel: () => {
+        this.watchers.delete(watcher);
+      },
+    });
+  }
+
+  initTables() {
+    // Disks created before symbolic links existed have a CHECK constraint
+    // without 'symlink', which SQLite can only change by recreating the table
+    /** @type {{sql: string}|undefined} */
+    const schema = this.sql
+      .exec(
+        "SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'files'"
+      )
+      .toArray()[0];
+    const migrate = schema && !schema.sql.includes("'symlink'");
+    if (migrate) {
+      this.sql.exec("ALTER TABLE files RENAME TO files_v1");
+    }
+
+    this.sql.exec(`
+      CREATE TABLE IF NOT EXISTS files (
+        path TEXT PRIMARY KEY,
+        parent_path TEXT,
+        name TEXT NOT NULL,
+        type TEXT NOT NULL CHECK (type IN ('file', 'directory', 'symlink')),
+        content BLOB,
+        target TEXT,
+        linked_path TEXT,
+        r2_key TEXT,
+        hash TEXT,
+        key_id TEXT,
+        size INTEGER NOT NULL DEFAULT 0,
         mode INTEGER NOT NULL DEFAULT 33188,
         uid INTEGER NOT NULL DEFAULT 0,
         gid INTEGER NOT NULL DEFAULT 0,
@@ -295,415 +4710,4135 @@ export class DOFS extends DurableObject {
         ctime INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
         atime INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
       )
-    `);
+    `);
+
+    if (migrate) {
+      this.sql.exec(`
+        INSERT INTO files
+        (path, parent_path, name, type, content, size, mode, uid, gid, mtime, ctime, atime)
+        SELECT path, parent_path, name, type, content, size, mode, uid, gid, mtime, ctime, atime
+        FROM files_v1
+      `);
+      this.sql.exec("DROP TABLE files_v1");
+    }
+
+    /** @type {{name: string}[]} */
+    const columns = this.sql
+      .exec("SELECT name FROM pragma_table_info('files')")
+      .toArray();
+    if (!columns.some((column) => column.name === "r2_key")) {
+      this.sql.exec("ALTER TABLE files ADD COLUMN r2_key TEXT");
+    }
+
+    // Directories are listed in name order, a page at a time by opendir()
+    this.sql.exec("DROP INDEX IF EXISTS idx_parent_path");
+    this.sql.exec(
+      `CREATE INDEX IF NOT EXISTS idx_parent_name ON files(parent_path, name)`
+    );
+    this.sql.exec(`CREATE INDEX IF NOT EXISTS idx_name ON files(name)`);
+    this.sql.exec(`CREATE INDEX IF NOT EXISTS idx_type ON files(type)`);
+    this.sql.exec(
+      `CREATE INDEX IF NOT EXISTS idx_linked_path ON files(linked_path)`
+    );
+
+    this.sql.exec(`
+      CREATE TABLE IF NOT EXISTS chunks (
+        path TEXT NOT NULL,
+        chunk_index INTEGER NOT NULL,
+        data BLOB NOT NULL,
+        PRIMARY KEY (path, chunk_index)
+      )
+    `);
+
+    this.sql.exec(`
+      CREATE TABLE IF NOT EXISTS moves (
+        id TEXT PRIMARY KEY,
+        src TEXT NOT NULL,
+        dest TEXT NOT NULL,
+        staging TEXT NOT NULL,
+        state TEXT NOT NULL CHECK (state IN ('copying', 'committing', 'aborting')),
+        started INTEGER NOT NULL
+      )
+    `);
+
+    // Staging directories of the imports in progress, see beginImport()
+    this.sql.exec(`
+      CREATE TABLE IF NOT EXISTS imports (
+        staging TEXT PRIMARY KEY,
+        created TEXT,
+        started INTEGER NOT NULL
+      )
+    `);
+
+    // WebDAV write locks on the paths of the disk, see handleWebDAV()
+    this.sql.exec(`
+      CREATE TABLE IF NOT EXISTS locks (
+        token TEXT PRIMARY KEY,
+        path TEXT NOT NULL,
+        depth TEXT NOT NULL CHECK (depth IN ('0', 'infinity')),
+        expires INTEGER NOT NULL
+      )
+    `);
+    this.sql.exec("CREATE INDEX IF NOT EXISTS idx_locks_path ON locks(path)");
+
+    // Previous versions of files. Content larger than CHUNK_SIZE is kept in
+    // the chunks table, see getVersionChunkPath().
+    this.sql.exec(`
+      CREATE TABLE IF NOT EXISTS versions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        path TEXT NOT NULL,
+        content BLOB,
+        r2_key TEXT,
+        hash TEXT,
+        key_id TEXT,
+        size INTEGER NOT NULL,
+        mode INTEGER NOT NULL,
+        uid INTEGER NOT NULL,
+        gid INTEGER NOT NULL,
+        mtime INTEGER NOT NULL,
+        archived INTEGER NOT NULL
+      )
+    `);
+    this.sql.exec(
+      "CREATE INDEX IF NOT EXISTS idx_versions_path ON versions(path)"
+    );
+
+    // Content shared by files and versions, see acquireBlob(). Files written
+    // before blobs existed keep their own content until they are rewritten.
+    this.sql.exec(`
+      CREATE TABLE IF NOT EXISTS blobs (
+        hash TEXT PRIMARY KEY,
+        content BLOB,
+        r2_key TEXT,
+        codec TEXT,
+        piece_sizes TEXT,
+        key_id TEXT,
+        size INTEGER NOT NULL,
+        stored_size INTEGER,
+        refs INTEGER NOT NULL
+      )
+    `);
+    /** @type {{name: string}[]} */
+    const blobColumns = this.sql
+      .exec("SELECT name FROM pragma_table_info('blobs')")
+      .toArray();
+    if (!blobColumns.some((column) => column.name === "codec")) {
+      // Blobs stored before compression existed are stored as they are
+      this.sql.exec("ALTER TABLE blobs ADD COLUMN codec TEXT");
+      this.sql.exec("ALTER TABLE blobs ADD COLUMN stored_size INTEGER");
+      this.sql.exec("UPDATE blobs SET stored_size = size");
+    }
+    if (!blobColumns.some((column) => column.name === "piece_sizes")) {
+      // Blobs compressed before pieces were compressed one at a time hold a
+      // single compressed stream, see decompressBlob()
+      this.sql.exec("ALTER TABLE blobs ADD COLUMN piece_sizes TEXT");
+    }
+    for (const [table, column, type = "TEXT"] of [
+      ["files", "hash"],
+      ["versions", "hash"],
+      ["files", "key_id"],
+      ["versions", "key_id"],
+      ["blobs", "key_id"],
+      ["files", "base_size", "INTEGER"],
+      ["versions", "base_size", "INTEGER"],
+    ]) {
+      /** @type {{name: string}[]} */
+      const columns = this.sql
+        .exec(`SELECT name FROM pragma_table_info('${table}')`)
+        .toArray();
+      if (!columns.some(({ name }) => name === column)) {
+        this.sql.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+      }
+    }
+    this.sql.exec(`CREATE INDEX IF NOT EXISTS idx_hash ON files(hash)`);
+    this.sql.exec(
+      `CREATE INDEX IF NOT EXISTS idx_versions_hash ON versions(hash)`
+    );
+
+    // Running totals of the entries inside every directory, see addUsage().
+    // Disks created before they were kept count their entries once.
+    /** @type {{count: number}} */
+    const usage = this.sql
+      .exec(
+        "SELECT COUNT(*) as count FROM sqlite_master WHERE type = 'table' AND name = 'usage'"
+      )
+      .toArray()[0];
+    this.sql.exec(`
+      CREATE TABLE IF NOT EXISTS usage (
+        path TEXT PRIMARY KEY,
+        size INTEGER NOT NULL,
+        files INTEGER NOT NULL
+      )
+    `);
+    if (!usage.count) {
+      /** @type {{path: string, size: number}[]} */
+      const entries = this.sql
+        .exec(
+          `
+          SELECT path, CASE WHEN type = 'file' AND linked_path IS NULL THEN size ELSE 0 END AS size
+          FROM files
+        `
+        )
+        .toArray();
+      for (const entry of entries) {
+        this.addUsage(entry.path, entry.size, 1);
+      }
+      /** @type {{size: number}} */
+      const versions = this.sql
+        .exec("SELECT COALESCE(SUM(size), 0) AS size FROM versions")
+        .toArray()[0];
+      this.addVersionUsage(versions.size);
+    }
+
+    // Full-text index of the lines of text files, see indexText(). FTS5
+    // reads the text from search_lines, which the triggers keep it in sync
+    // with. Disks created before it existed index their files on the first
+    // search.
+    /** @type {{count: number}} */
+    const searchIndex = this.sql
+      .exec(
+        "SELECT COUNT(*) as count FROM sqlite_master WHERE type = 'table' AND name = 'search_lines'"
+      )
+      .toArray()[0];
+    this.sql.exec(`
+      CREATE TABLE IF NOT EXISTS search_lines (
+        id INTEGER PRIMARY KEY,
+        path TEXT NOT NULL,
+        line INTEGER NOT NULL,
+        text TEXT NOT NULL
+      )
+    `);
+    this.sql.exec(
+      "CREATE INDEX IF NOT EXISTS idx_search_lines_path ON search_lines(path)"
+    );
+    this.sql.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS search_index
+      USING fts5(text, content = 'search_lines', content_rowid = 'id')
+    `);
+    this.sql.exec(`
+      CREATE TRIGGER IF NOT EXISTS search_lines_insert AFTER INSERT ON search_lines
+      BEGIN
+        INSERT INTO search_index (rowid, text) VALUES (new.id, new.text);
+      END
+    `);
+    this.sql.exec(`
+      CREATE TRIGGER IF NOT EXISTS search_lines_delete AFTER DELETE ON search_lines
+      BEGIN
+        INSERT INTO search_index (search_index, rowid, text)
+        VALUES ('delete', old.id, old.text);
+      END
+    `);
+    // Files whose content changed in place since they were indexed
+    this.sql.exec(`
+      CREATE TABLE IF NOT EXISTS search_stale (
+        path TEXT PRIMARY KEY
+      )
+    `);
+    if (!searchIndex.count) {
+      this.sql.exec(`
+        INSERT INTO search_stale (path)
+        SELECT path FROM files WHERE type = 'file' AND linked_path IS NULL
+      `);
+    }
+  }
+
+  /**
+   * Get the R2 bucket used for cold storage, if configured
+   * @returns {R2Bucket|null} - The bucket
+   */
+  getBucket() {
+    if (!coldStorage) return null;
+    return coldStorage.bucket || this.env[coldStorage.binding] || null;
+  }
+
+  /**
+   * Get the bucket holding a file's content, failing when it is not configured
+   * @param {{path: string}} file - File row or blob content with an r2_key
+   * @returns {R2Bucket} - The bucket
+   */
+  getFileBucket(file) {
+    const bucket = this.getBucket();
+    if (!bucket) {
+      throw new Error(
+        `Content of ${file.path} is in cold storage, but no bucket is configured`
+      );
+    }
+    return bucket;
+  }
+
+  /**
+   * Read the content of a file row, joining chunks for large files,
+   * fetching it from the bucket for files in cold storage and decrypting it
+   * on encrypted disks
+   * @param {File|StoredContent} file - File row, or the content of a blob
+   * @param {string} [path] - Path the content belongs to, which finds the key of its disk (defaults to the path of the row)
+   * @returns {Promise<ArrayBuffer>} - File contents
+   */
+  async readContent(file, path = file.path) {
+    // Data appended to a blob or cold content follows it in chunks
+    if ("base_size" in file && file.base_size !== null) {
+      const base = await this.readContent({ ...file, base_size: null }, path);
+      const tail = await this.readPlainPieces(
+        { ...file, content: null, r2_key: null },
+        path
+      );
+      return joinBuffers([base, ...tail]);
+    }
+    // Shared content is read from its blob
+    if ("hash" in file && file.hash) {
+      const blob = this.getBlob(file.hash);
+      return await this.decompressBlob(
+        blob,
+        await this.readPlainPieces(blob, path)
+      );
+    }
+    return joinBuffers(await this.readPlainPieces(file, path));
+  }
+
+  /**
+   * Read the pieces the content of a row is stored in and decrypt them
+   * @param {File|StoredContent} file - File row, or the content of a blob
+   * @param {string} path - Path the content belongs to
+   * @returns {Promise<ArrayBuffer[]>} - Decrypted pieces in order
+   */
+  async readPlainPieces(file, path) {
+    const pieces = await this.readPieces(file);
+    return await Promise.all(
+      pieces.map((piece) => this.decryptPiece(path, piece, file.key_id))
+    );
+  }
+
+  /**
+   * Turn the decrypted pieces of a blob into its content
+   * @param {StoredContent} blob - Content of the blob
+   * @param {ArrayBuffer[]} pieces - Decrypted pieces in order
+   * @returns {Promise<ArrayBuffer>} - Content
+   */
+  async decompressBlob(blob, pieces) {
+    if (!blob.codec) return joinBuffers(pieces);
+    // Blobs compressed before pieces were compressed one at a time hold a
+    // single compressed stream
+    if (!blob.piece_sizes) {
+      return await decompress(joinBuffers(pieces), blob.codec);
+    }
+    return joinBuffers(
+      await Promise.all(pieces.map((piece) => decompress(piece, blob.codec)))
+    );
+  }
+
+  /**
+   * Read the pieces the content of a row is stored in as they are, see
+   * encryptContent()
+   * @param {File|StoredContent} file - File row, or the content of a blob
+   * @returns {Promise<ArrayBuffer[]>} - Stored pieces in order
+   */
+  async readPieces(file) {
+    if (file.r2_key) {
+      const object = await this.getFileBucket(file).get(file.r2_key);
+      if (!object) {
+        throw new Error(`Content of ${file.path} is missing from cold storage`);
+      }
+      const buffer = await object.arrayBuffer();
+      // Encrypted or compressed content is stored in the bucket as its pieces
+      // in a row
+      if ("piece_sizes" in file && file.piece_sizes) {
+        return splitBufferBySizes(buffer, JSON.parse(file.piece_sizes));
+      }
+      return file.key_id
+        ? splitBuffer(buffer, CHUNK_SIZE + ENCRYPTION_OVERHEAD)
+        : [buffer];
+    }
+    if (file.content) return [file.content];
+
+    /** @type {Chunk[]} */
+    const chunks = this.sql
+      .exec(
+        "SELECT data FROM chunks WHERE path = ? ORDER BY chunk_index",
+        file.path
+      )
+      .toArray();
+    return chunks.map((chunk) => chunk.data);
+  }
+
+  /**
+   * Get the keys of the disk holding a path, if its mount encrypts content.
+   * They are loaded once per instance, so new keys take effect once it
+   * restarts, e.g. when the worker is deployed.
+   * @param {string} path - Path on the disk
+   * @returns {Promise<DiskKey[]|null>} - The current key followed by the previous ones, or null for unencrypted disks
+   */
+  async getKeys(path) {
+    const { entry, params } = findMount(path);
+    if (!entry.encryption) return null;
+    const disk = entry.name(...params);
+    let keys = this.keys.get(disk);
+    if (!keys) {
+      keys = this.loadKeys(entry.encryption, disk, path);
+      this.keys.set(disk, keys);
+      // Retry on the next call when the keys are not available yet
+      keys.catch(() => this.keys.delete(disk));
+    }
+    return await keys;
+  }
+
+  /**
+   * Derive the keys of a disk from its key material, and start re-encrypting
+   * content that is not encrypted with the current key
+   * @param {EncryptionOptions} encryption - Encryption options of the mount
+   * @param {string} disk - Disk name
+   * @param {string} path - Path on the disk, used in errors
+   * @returns {Promise<DiskKey[]>} - The current key followed by the previous ones
+   */
+  async loadKeys(encryption, disk, path) {
+    /** @type {(KeyMaterial|undefined)[]} */
+    const materials = encryption.secret
+      ? [encryption.secret].flat().map((name) => this.env[name])
+      : [await encryption.key?.(disk, this.env)].flat();
+    if (materials[0] == null) {
+      throw createError("ENOKEY", "open", path);
+    }
+    const keys = await Promise.all(
+      materials
+        .filter((material) => material != null)
+        .map((material) => deriveKey(material, disk))
+    );
+    if (this.findStaleContent(keys[0].id, 1).length > 0) {
+      await this.scheduleAlarm(Date.now());
+    }
+    return keys;
+  }
+
+  /**
+   * Encrypt a piece of content with a key of the disk holding a path
+   * @param {string} path - Path the content belongs to
+   * @param {ArrayBuffer} piece - Plaintext
+   * @param {string|null} keyId - ID of the key, or null to return the piece as is
+   * @returns {Promise<ArrayBuffer>} - Stored piece
+   */
+  async encryptPiece(path, piece, keyId) {
+    if (!keyId) return piece;
+    return await encryptWithKey(await this.getKey(path, keyId), piece);
+  }
+
+  /**
+   * Decrypt a piece of content stored by encryptPiece()
+   * @param {string} path - Path the content belongs to
+   * @param {ArrayBuffer} piece - Stored piece
+   * @param {string|null} keyId - ID of the key it is encrypted with, or null for plaintext
+   * @returns {Promise<ArrayBuffer>} - Plaintext
+   */
+  async decryptPiece(path, piece, keyId) {
+    if (!keyId) return piece;
+    const key = await this.getKey(path, keyId);
+    try {
+      return await crypto.subtle.decrypt(
+        { name: "AES-GCM", iv: new Uint8Array(piece, 0, 12) },
+        key.cipher,
+        new Uint8Array(piece, 12)
+      );
+    } catch {
+      // The content was modified outside of the file system
+      throw createError("EBADMSG", "read", path);
+    }
+  }
+
+  /**
+   * Find a key of the disk holding a path by its ID
+   * @param {string} path - Path on the disk
+   * @param {string} keyId - Key ID
+   * @returns {Promise<DiskKey>} - The key
+   */
+  async getKey(path, keyId) {
+    const key = (await this.getKeys(path))?.find(({ id }) => id === keyId);
+    // The content was encrypted with a key the disk was not given
+    if (!key) throw createError("EKEYREJECTED", "read", path);
+    return key;
+  }
+
+  /**
+   * Split content into the pieces it is stored in, one per chunk, and
+   * encrypt every piece on its own, so ranges can be read and written
+   * without the rest of the content
+   * @param {string} path - Path the content belongs to
+   * @param {ArrayBuffer} buffer - Content
+   * @param {string|null} keyId - ID of the key to encrypt with, or null for plaintext
+   * @returns {Promise<ArrayBuffer[]>} - Stored pieces in order
+   */
+  async encryptContent(path, buffer, keyId) {
+    return await Promise.all(
+      splitBuffer(buffer, CHUNK_SIZE).map((piece) =>
+        this.encryptPiece(path, piece, keyId)
+      )
+    );
+  }
+
+  /**
+   * Prepare new content to be stored, encrypting it with the current key on
+   * encrypted disks
+   * @param {string} path - Path the content belongs to
+   * @param {ArrayBuffer} buffer - Content
+   * @returns {Promise<{pieces: ArrayBuffer[], keyId: string|null}>} - Stored pieces and the ID of their key
+   */
+  async encodePieces(path, buffer) {
+    const keyId = (await this.getKeys(path))?.[0].id ?? null;
+    return { pieces: await this.encryptContent(path, buffer, keyId), keyId };
+  }
+
+  /**
+   * Store content in the bucket under a new key
+   * @param {ArrayBuffer} buffer - File contents
+   * @returns {Promise<string>} - Key of the new object
+   */
+  async putColdContent(buffer) {
+    const key = `${this.ctx.id}/${crypto.randomUUID()}`;
+    await this.getBucket().put(key, buffer);
+    return key;
+  }
+
+  /**
+   * Delete objects that no longer hold file content from the bucket
+   * @param {(string|null)[]} keys - Object keys (null entries are skipped)
+   */
+  async deleteColdContent(keys) {
+    const existing = keys.filter(Boolean);
+    if (existing.length === 0) return;
+    await this.getBucket()?.delete(existing);
+  }
+
+  /**
+   * Give a file its own copy of its content in SQLite, so it can be modified
+   * in place. Content in cold storage moves back on the next sweep, and
+   * shared content is shared again once the file is sealed, see sealFile().
+   * @param {File} file - File row
+   * @returns {Promise<File>} - The updated file row
+   */
+  async thaw(file) {
+    if (!file.r2_key && !file.hash) return file;
+
+    const {
+      result: { pieces, keyId },
+      changed,
+    } = await this.trackChanges(file.path, async () =>
+      this.encodePieces(file.path, await this.readContent(file))
+    );
+
+    // Another write may have thawed or replaced the file meanwhile
+    /** @type {File|undefined} */
+    const current = this.sql
+      .exec("SELECT * FROM files WHERE path = ?", file.path)
+      .toArray()[0];
+    if (!current) {
+      throw createError("ENOENT", "open", file.path);
+    }
+    if (changed) return await this.thaw(current);
+
+    const coldKeys = file.hash ? this.releaseBlob(file.hash) : [file.r2_key];
+    const content = this.writeContent(file.path, pieces);
+    this.sql.exec(
+      "UPDATE files SET content = ?, r2_key = NULL, hash = NULL, key_id = ?, base_size = NULL WHERE path = ?",
+      content,
+      keyId,
+      file.path
+    );
+    this.markChanged(file.path);
+    await this.deleteColdContent(coldKeys);
+    await this.scheduleColdStorage();
+    return {
+      ...file,
+      content,
+      r2_key: null,
+      hash: null,
+      key_id: keyId,
+      base_size: null,
+    };
+  }
+
+  /**
+   * Schedule a cold storage sweep, unless one is already scheduled
+   */
+  async scheduleColdStorage() {
+    if (!this.getBucket()) return;
+    if ((await this.ctx.storage.getAlarm()) === null) {
+      await this.ctx.storage.setAlarm(Date.now() + COLD_STORAGE_DELAY);
+    }
+  }
+
+  /**
+   * Set the alarm to go off at the given time, unless it goes off earlier
+   * @param {number} time - Unix timestamp in ms
+   */
+  async scheduleAlarm(time) {
+    const current = await this.ctx.storage.getAlarm();
+    if (current === null || current > time) {
+      await this.ctx.storage.setAlarm(time);
+    }
+  }
+
+  /**
+   * Alarm handler: settle interrupted moves to other disks, remove the
+   * staging directories of interrupted imports and expired file versions,
+   * move large and rarely accessed files to cold storage, seal files modified
+   * in place and re-encrypt content after the key of the disk changed. A step
+   * that fails fails the alarm, which is retried with a backoff.
+   */
+  async alarm() {
+    await this.recoverMoves();
+    await this.removeStaleImports();
+    await this.deleteColdContent(this.pruneAllVersions());
+    await this.moveToColdStorage();
+    if (this.getBucket() && Number.isFinite(coldStorage.coldAfterDays)) {
+      await this.scheduleAlarm(Date.now() + 24 * 60 * 60 * 1000);
+    }
+    // Fail while the keys of the disk are not available
+    await this.sealModifiedFiles();
+    await this.rotateKeys();
+  }
+
+  /**
+   * Seal the files modified in place since they were written as a whole,
+   * see sealFile(), so their content is shared and compressed like other
+   * content. Content encrypted with a key the disk is no longer given, or
+   * modified outside of the file system, stays as it is.
+   * @returns {Promise<number>} - Number of files sealed
+   */
+  async sealModifiedFiles() {
+    /** @type {{path: string}[]} */
+    const files = this.sql
+      .exec(
+        `
+        SELECT path FROM files
+        WHERE type = 'file' AND linked_path IS NULL AND (hash IS NULL OR base_size IS NOT NULL) AND size <= ?
+      `,
+        MAX_SEAL_SIZE
+      )
+      .toArray();
+
+    let sealed = 0;
+    for (const { path } of files) {
+      try {
+        const file = await this.sealFile(path);
+        if (file?.hash && file.base_size === null) sealed++;
+      } catch (error) {
+        if (error.code !== "EKEYREJECTED" && error.code !== "EBADMSG") {
+          throw error;
+        }
+      }
+    }
+    return sealed;
+  }
+
+  /**
+   * Settle the moves to other disks whose worker has not finished them within
+   * MOVE_TIMEOUT, see settleMove(). A move that fails to settle fails the
+   * alarm, which is retried with a backoff.
+   */
+  async recoverMoves() {
+    /** @type {Move[]} */
+    const moves = this.sql
+      .exec("SELECT * FROM moves ORDER BY started")
+      .toArray();
+    for (const move of moves) {
+      if (move.started + MOVE_TIMEOUT > Date.now()) continue;
+      // Nobody is waiting for why an undone move could not be committed
+      await settleMove(this, move);
+    }
+
+    /** @type {{started: number}|undefined} */
+    const next = this.sql
+      .exec("SELECT started FROM moves ORDER BY started LIMIT 1")
+      .toArray()[0];
+    if (next) {
+      await this.scheduleAlarm(
+        Math.max(next.started + MOVE_TIMEOUT, Date.now() + COLD_STORAGE_DELAY)
+      );
+    }
+  }
+
+  /**
+   * Remove the staging directories of the imports whose worker has not
+   * committed them within IMPORT_TIMEOUT
+   */
+  async removeStaleImports() {
+    /** @type {{staging: string, started: number}[]} */
+    const imports = this.sql
+      .exec("SELECT staging, started FROM imports ORDER BY started")
+      .toArray();
+    for (const { staging, started } of imports) {
+      if (started + IMPORT_TIMEOUT > Date.now()) continue;
+      await this.endImport(staging);
+    }
+
+    /** @type {{started: number}|undefined} */
+    const next = this.sql
+      .exec("SELECT started FROM imports ORDER BY started LIMIT 1")
+      .toArray()[0];
+    if (next) {
+      await this.scheduleAlarm(
+        Math.max(next.started + IMPORT_TIMEOUT, Date.now() + COLD_STORAGE_DELAY)
+      );
+    }
+  }
+
+  /**
+   * Move the content of files and blobs of at least `minSize` bytes, or not
+   * accessed for `coldAfterDays` days, from SQLite to the bucket
+   * @returns {Promise<number>} - Number of files and blobs moved
+   */
+  async moveToColdStorage() {
+    if (!this.getBucket()) return 0;
+    const minSize = coldStorage.minSize ?? Infinity;
+    const coldAfterDays = coldStorage.coldAfterDays ?? Infinity;
+    const accessedBefore =
+      Math.floor(Date.now() / 1000) - coldAfterDays * 24 * 60 * 60;
+
+    /** @type {File[]} */
+    const files = this.sql
+      .exec(
+        `
+        SELECT path, size, mtime FROM files
+        WHERE type = 'file' AND r2_key IS NULL AND hash IS NULL AND linked_path IS NULL AND size > 0
+        AND (size >= ? OR atime < ?)
+      `,
+        Number.isFinite(minSize) ? minSize : Number.MAX_SAFE_INTEGER,
+        Number.isFinite(accessedBefore) ? accessedBefore : 0
+      )
+      .toArray();
+
+    let moved = await this.moveBlobsToColdStorage(minSize, accessedBefore);
+    for (const { path } of files) {
+      /** @type {File} */
+      const file = this.sql
+        .exec("SELECT * FROM files WHERE path = ?", path)
+        .toArray()[0];
+      // Content moves as it is stored, encrypted content stays encrypted
+      const { result: key, changed } = await this.trackChanges(path, async () =>
+        this.putColdContent(joinBuffers(await this.readPieces(file)))
+      );
+
+      // The file may have changed while the content was uploaded
+      /** @type {File|undefined} */
+      const current = this.sql
+        .exec(
+          "SELECT size, mtime, r2_key, hash, key_id FROM files WHERE path = ?",
+          path
+        )
+        .toArray()[0];
+      if (
+        changed ||
+        !current ||
+        current.r2_key ||
+        current.hash ||
+        current.key_id !== file.key_id ||
+        current.size !== file.size ||
+        current.mtime !== file.mtime
+      ) {
+        await this.deleteColdContent([key]);
+        continue;
+      }
+
+      this.sql.exec("DELETE FROM chunks WHERE path = ?", path);
+      this.sql.exec(
+        "UPDATE files SET content = NULL, r2_key = ? WHERE path = ?",
+        key,
+        path
+      );
+      this.markChanged(path);
+      moved++;
+    }
+    return moved;
+  }
+
+  /**
+   * Move the content of blobs to the bucket, see moveToColdStorage(). A blob
+   * counts as accessed when any file referencing it is.
+   * @param {number} minSize - Size from which content is moved
+   * @param {number} accessedBefore - Unix time before which content counts as not accessed
+   * @returns {Promise<number>} - Number of blobs moved
+   */
+  async moveBlobsToColdStorage(minSize, accessedBefore) {
+    /** @type {{hash: string}[]} */
+    const blobs = this.sql
+      .exec(
+        `
+        SELECT hash FROM blobs
+        WHERE r2_key IS NULL AND size > 0 AND (size >= ? OR NOT EXISTS (
+          SELECT 1 FROM files WHERE files.hash = blobs.hash AND atime >= ?
+        ))
+      `,
+        Number.isFinite(minSize) ? minSize : Number.MAX_SAFE_INTEGER,
+        Number.isFinite(accessedBefore) ? accessedBefore : 0
+      )
+      .toArray();
+
+    let moved = 0;
+    for (const { hash } of blobs) {
+      const key = await this.putColdContent(
+        joinBuffers(await this.readPieces(this.getBlob(hash)))
+      );
+
+      // The blob may have been deleted or moved meanwhile. Its content
+      // can't change.
+      /** @type {{r2_key: string|null}|undefined} */
+      const current = this.sql
+        .exec("SELECT r2_key FROM blobs WHERE hash = ?", hash)
+        .toArray()[0];
+      if (!current || current.r2_key) {
+        await this.deleteColdContent([key]);
+        continue;
+      }
+
+      this.sql.exec(
+        "DELETE FROM chunks WHERE path = ?",
+        getBlobChunkPath(hash)
+      );
+      this.sql.exec(
+        "UPDATE blobs SET content = NULL, r2_key = ? WHERE hash = ?",
+        key,
+        hash
+      );
+      moved++;
+    }
+    return moved;
+  }
+
+  /**
+   * Find content that is not encrypted with the current key of the disk:
+   * content encrypted with a previous key, or stored before the disk was
+   * encrypted
+   * @param {string} keyId - ID of the current key
+   * @param {number} limit - Maximum number of rows of each table
+   * @returns {{kind: 'files'|'versions'|'blobs', id: string|number}[]} - Path of each file, ID of each version and hash of each blob
+   */
+  findStaleContent(keyId, limit) {
+    return this.sql
+      .exec(
+        `
+        SELECT * FROM (
+          SELECT 'files' AS kind, path AS id FROM files
+          WHERE type = 'file' AND linked_path IS NULL AND (hash IS NULL OR base_size IS NOT NULL) AND key_id IS NOT ?
+          LIMIT ?
+        )
+        UNION ALL SELECT * FROM (
+          SELECT 'versions' AS kind, id FROM versions
+          WHERE (hash IS NULL OR base_size IS NOT NULL) AND key_id IS NOT ?
+          LIMIT ?
+        )
+        UNION ALL SELECT * FROM (
+          SELECT 'blobs' AS kind, hash AS id FROM blobs
+          WHERE key_id IS NOT ?
+          LIMIT ?
+        )
+      `,
+        keyId,
+        limit,
+        keyId,
+        limit,
+        keyId,
+        limit
+      )
+      .toArray();
+  }
+
+  /**
+   * Re-encrypt a batch of content that is not encrypted with the current key
+   * of the disk, and schedule the alarm again while there is more. Content
+   * encrypted with a key the disk is no longer given can't be read anymore,
+   * and is skipped. Other failures are thrown.
+   * @returns {Promise<number>} - Number of rows re-encrypted
+   */
+  async rotateKeys() {
+    // Any path on the disk finds its keys
+    /** @type {{path: string}|undefined} */
+    const any = this.sql
+      .exec(
+        "SELECT path FROM files UNION ALL SELECT path FROM versions LIMIT 1"
+      )
+      .toArray()[0];
+    const keys = any && (await this.getKeys(any.path));
+    if (!keys) return 0;
+
+    const stale = this.findStaleContent(keys[0].id, ROTATION_BATCH_SIZE);
+    let rotated = 0;
+    let failed = 0;
+    for (const { kind, id } of stale) {
+      try {
+        if (kind === "files") {
+          if (await this.reencryptFile(String(id))) rotated++;
+        } else if (kind === "versions") {
+          if (await this.reencryptVersion(Number(id))) rotated++;
+        } else if (await this.reencryptBlob(String(id))) {
+          rotated++;
+        }
+      } catch (error) {
+        // Content encrypted with a key that is gone, or modified outside of
+        // the file system, stays as it is
+        if (error.code !== "EKEYREJECTED" && error.code !== "EBADMSG") {
+          throw error;
+        }
+        failed++;
+      }
+    }
+
+    // Content that changed meanwhile is tried again by the next alarm
+    if (failed < stale.length && this.findStaleContent(keys[0].id, 1).length) {
+      await this.scheduleAlarm(Date.now());
+    }
+    return rotated;
+  }
+
+  /**
+   * Re-encrypt the content of a file with the current key, see rotateKeys().
+   * Data appended to a blob is re-encrypted along with the blob's content.
+   * @param {string} path - File path
+   * @returns {Promise<boolean>} - Whether the file was re-encrypted
+   */
+  async reencryptFile(path) {
+    /** @type {File} */
+    const file = this.sql
+      .exec("SELECT * FROM files WHERE path = ?", path)
+      .toArray()[0];
+    const {
+      result: { pieces, keyId, r2Key },
+      changed,
+    } = await this.trackChanges(path, async () => {
+      const { pieces, keyId } = await this.encodePieces(
+        path,
+        await this.readContent(file)
+      );
+      const r2Key = file.r2_key
+        ? await this.putColdContent(joinBuffers(pieces))
+        : null;
+      return { pieces, keyId, r2Key };
+    });
+
+    // The file may have been replaced, moved or re-encrypted meanwhile
+    /** @type {File|undefined} */
+    const current = this.sql
+      .exec("SELECT r2_key, hash, key_id FROM files WHERE path = ?", path)
+      .toArray()[0];
+    if (
+      changed ||
+      !current ||
+      current.hash !== file.hash ||
+      current.r2_key !== file.r2_key ||
+      current.key_id !== file.key_id
+    ) {
+      await this.deleteColdContent([r2Key]);
+      return false;
+    }
+
+    const coldKeys = file.hash ? this.releaseBlob(file.hash) : [file.r2_key];
+    const content = r2Key ? null : this.writeContent(path, pieces);
+    if (r2Key) this.sql.exec("DELETE FROM chunks WHERE path = ?", path);
+    this.sql.exec(
+      "UPDATE files SET content = ?, r2_key = ?, hash = NULL, key_id = ?, base_size = NULL WHERE path = ?",
+      content,
+      r2Key,
+      keyId,
+      path
+    );
+    this.markChanged(path);
+    await this.deleteColdContent(coldKeys);
+    return true;
+  }
+
+  /**
+   * Re-encrypt the content of a version with the current key, see
+   * rotateKeys(). Versions don't change, but may be pruned meanwhile.
+   * @param {number} id - Version ID
+   * @returns {Promise<boolean>} - Whether the version was re-encrypted
+   */
+  async reencryptVersion(id) {
+    /** @type {File} */
+    const version = this.sql
+      .exec("SELECT * FROM versions WHERE id = ?", id)
+      .toArray()[0];
+    const chunkPath = getVersionChunkPath(id);
+    const { pieces, keyId } = await this.encodePieces(
+      version.path,
+      await this.readContent({ ...version, path: chunkPath }, version.path)
+    );
+    const r2Key = version.r2_key
+      ? await this.putColdContent(joinBuffers(pieces))
+      : null;
+
+    /** @type {{key_id: string|null}|undefined} */
+    const current = this.sql
+      .exec("SELECT key_id FROM versions WHERE id = ?", id)
+      .toArray()[0];
+    if (!current || current.key_id !== version.key_id) {
+      await this.deleteColdContent([r2Key]);
+      return false;
+    }
+
+    const coldKeys = version.hash
+      ? this.releaseBlob(version.hash)
+      : [version.r2_key];
+    const content = r2Key ? null : this.writeContent(chunkPath, pieces);
+    if (r2Key) this.sql.exec("DELETE FROM chunks WHERE path = ?", chunkPath);
+    this.sql.exec(
+      "UPDATE versions SET content = ?, r2_key = ?, hash = NULL, key_id = ?, base_size = NULL WHERE id = ?",
+      content,
+      r2Key,
+      keyId,
+      id
+    );
+    await this.deleteColdContent(coldKeys);
+    return true;
+  }
+
+  /**
+   * Re-encrypt the content of a blob with the current key, see rotateKeys().
+   * As the hash of a blob depends on the key, the blob gets a new hash.
+   * @param {string} hash - Content hash
+   * @returns {Promise<boolean>} - Whether the blob was re-encrypted
+   */
+  async reencryptBlob(hash) {
+    /** @type {{path: string}|undefined} */
+    const owner = this.sql
+      .exec(
+        "SELECT path FROM files WHERE hash = ? UNION ALL SELECT path FROM versions WHERE hash = ? LIMIT 1",
+        hash,
+        hash
+      )
+      .toArray()[0];
+    if (!owner) return false;
+
+    const blob = this.getBlob(hash);
+    // The content stays compressed in the same pieces, but the new hash is of
+    // its decompressed bytes
+    const stored = await this.readPlainPieces(blob, owner.path);
+    const [key] = await this.getKeys(owner.path);
+    const newHash = await hashContent(
+      await this.decompressBlob(blob, stored),
+      key
+    );
+    const pieces = await Promise.all(
+      (blob.piece_sizes
+        ? stored
+        : splitBuffer(joinBuffers(stored), CHUNK_SIZE)
+      ).map((piece) => this.encryptPiece(owner.path, piece, key.id))
+    );
+    const r2Key = blob.r2_key
+      ? await this.putColdContent(joinBuffers(pieces))
+      : null;
+
+    /** @type {ContentBlob|undefined} */
+    const current = this.sql
+      .exec("SELECT * FROM blobs WHERE hash = ?", hash)
+      .toArray()[0];
+    if (!current || current.key_id !== blob.key_id) {
+      await this.deleteColdContent([r2Key]);
+      return false;
+    }
+
+    const coldKeys = [current.r2_key];
+    if (this.hasBlob(newHash)) {
+      // The content was written again since the key changed
+      this.sql.exec(
+        "UPDATE blobs SET refs = refs + ? WHERE hash = ?",
+        current.refs,
+        newHash
+      );
+      coldKeys.push(r2Key);
+    } else {
+      const inline = r2Key
+        ? null
+        : this.writeContent(getBlobChunkPath(newHash), pieces);
+      this.sql.exec(
+        `
+        INSERT INTO blobs (hash, content, r2_key, codec, piece_sizes, key_id, size, stored_size, refs)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `,
+        newHash,
+        inline,
+        r2Key,
+        current.codec,
+        current.piece_sizes && getPieceSizes(pieces),
+        key.id,
+        current.size,
+        pieces.reduce((total, piece) => total + piece.byteLength, 0),
+        current.refs
+      );
+    }
+    this.sql.exec("DELETE FROM blobs WHERE hash = ?", hash);
+    this.sql.exec("DELETE FROM chunks WHERE path = ?", getBlobChunkPath(hash));
+    this.sql.exec("UPDATE files SET hash = ? WHERE hash = ?", newHash, hash);
+    this.sql.exec("UPDATE versions SET hash = ? WHERE hash = ?", newHash, hash);
+    await this.deleteColdContent(coldKeys);
+    return true;
+  }
+
+  /**
+   * Store the pieces of file content, see encryptContent(), as chunks when
+   * there is more than one. Returns the value for the `content` column (null
+   * when chunked).
+   * @param {string} path - File path
+   * @param {ArrayBuffer[]} pieces - Stored pieces of the content
+   * @returns {ArrayBuffer|null} - Inline content
+   */
+  writeContent(path, pieces) {
+    this.sql.exec("DELETE FROM chunks WHERE path = ?", path);
+    if (pieces.length === 1) return pieces[0];
+
+    pieces.forEach((piece, i) => {
+      this.sql.exec(
+        "INSERT INTO chunks (path, chunk_index, data) VALUES (?, ?, ?)",
+        path,
+        i,
+        piece
+      );
+    });
+    return null;
+  }
+
+  /**
+   * Get where the content of a blob is stored
+   * @param {string} hash - Content hash
+   * @returns {StoredContent} - Content of the blob
+   */
+  getBlob(hash) {
+    /** @type {{content: ArrayBuffer|null, r2_key: string|null, codec: Codec|null, piece_sizes: string|null, key_id: string|null, size: number}} */
+    const blob = this.sql
+      .exec(
+        "SELECT content, r2_key, codec, piece_sizes, key_id, stored_size AS size FROM blobs WHERE hash = ?",
+        hash
+      )
+      .toArray()[0];
+    return { ...blob, path: getBlobChunkPath(hash) };
+  }
+
+  /**
+   * Check whether the disk holds a blob
+   * @param {string} hash - Content hash
+   * @returns {boolean} - Whether the blob exists
+   */
+  hasBlob(hash) {
+    return (
+      this.sql.exec("SELECT 1 FROM blobs WHERE hash = ?", hash).toArray()
+        .length > 0
+    );
+  }
+
+  /**
+   * Hash content and, unless the disk holds it already, compress it with the
+   * given format or the one of the path's mount. Content that does not get
+   * smaller is stored as is. Every piece is compressed on its own before it
+   * is encrypted, so ranges decompress only the pieces they cover, see
+   * readFileRange().
+   * @param {string} path - Normalized path the content is written to
+   * @param {ArrayBuffer} buffer - Content
+   * @param {Codec|null} [compression] - Compression format, overriding the mount's
+   * @returns {Promise<EncodedContent>} - The content to store
+   */
+  async encodeContent(path, buffer, compression) {
+    const codec =
+      compression === undefined
+        ? findMount(path).entry.compression
+        : compression;
+    if (codec && !CODECS.includes(codec)) {
+      throw createError("EINVAL", "open", path);
+    }
+
+    const key = (await this.getKeys(path))?.[0];
+    const hash = await hashContent(buffer, key);
+    let pieces = splitBuffer(buffer, CHUNK_SIZE);
+    let compressed = false;
+    if (codec && buffer.byteLength > 0 && !this.hasBlob(hash)) {
+      const compressedPieces = await Promise.all(
+        pieces.map((piece) => compress(piece, codec))
+      );
+      const compressedSize = compressedPieces.reduce(
+        (total, piece) => total + piece.byteLength,
+        0
+      );
+      if (compressedSize < buffer.byteLength) {
+        pieces = compressedPieces;
+        compressed = true;
+      }
+    }
+    const keyId = key?.id ?? null;
+    return {
+      hash,
+      size: buffer.byteLength,
+      codec: compressed ? codec : null,
+      keyId,
+      pieces: await Promise.all(
+        pieces.map((piece) => this.encryptPiece(path, piece, keyId))
+      ),
+    };
+  }
+
+  /**
+   * Add a reference to the blob with the given content, storing the content
+   * when there is no such blob yet
+   * @param {EncodedContent} content - Content
+   * @param {string|null} r2Key - Key of the cold storage object already holding the encoded content, if any
+   * @returns {string[]} - Keys of the cold storage objects not needed because the blob exists already
+   */
+  acquireBlob(content, r2Key) {
+    if (this.addBlobReference(content.hash)) return r2Key ? [r2Key] : [];
+
+    const inline = r2Key
+      ? null
+      : this.writeContent(getBlobChunkPath(content.hash), content.pieces);
+    this.sql.exec(
+      `
+      INSERT INTO blobs (hash, content, r2_key, codec, piece_sizes, key_id, size, stored_size, refs)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1)
+    `,
+      content.hash,
+      inline,
+      r2Key,
+      content.codec,
+      content.codec && getPieceSizes(content.pieces),
+      content.keyId,
+      content.size,
+      content.pieces.reduce((total, piece) => total + piece.byteLength, 0)
+    );
+    return [];
+  }
+
+  /**
+   * Add a reference to an existing blob
+   * @param {string} hash - Content hash
+   * @returns {boolean} - Whether the blob exists
+   */
+  addBlobReference(hash) {
+    return (
+      this.sql
+        .exec(
+          "UPDATE blobs SET refs = refs + 1 WHERE hash = ? RETURNING refs",
+          hash
+        )
+        .toArray().length > 0
+    );
+  }
+
+  /**
+   * Remove a reference to a blob, deleting the blob once nothing references it
+   * @param {string} hash - Content hash
+   * @returns {string[]} - Keys of the cold storage objects of a deleted blob
+   */
+  releaseBlob(hash) {
+    /** @type {{refs: number, r2_key: string|null}|undefined} */
+    const blob = this.sql
+      .exec(
+        "UPDATE blobs SET refs = refs - 1 WHERE hash = ? RETURNING refs, r2_key",
+        hash
+      )
+      .toArray()[0];
+    if (!blob || blob.refs > 0) return [];
+
+    this.sql.exec("DELETE FROM blobs WHERE hash = ?", hash);
+    this.sql.exec("DELETE FROM chunks WHERE path = ?", getBlobChunkPath(hash));
+    return blob.r2_key ? [blob.r2_key] : [];
+  }
+
+  /**
+   * Move the content of a file written in pieces, by a stream or in place,
+   * into a shared blob. Files larger than MAX_SEAL_SIZE, and files that
+   * change while they are hashed, keep their own content.
+   * @param {string} path - File path
+   * @returns {Promise<File|undefined>} - The file row afterwards
+   */
+  async sealFile(path) {
+    const normalizedPath = this.resolveFile(path, "open");
+    /** @type {File|undefined} */
+    const file = this.sql
+      .exec("SELECT * FROM files WHERE path = ?", normalizedPath)
+      .toArray()[0];
+    if (
+      !file ||
+      file.type !== "file" ||
+      (file.hash && file.base_size === null) ||
+      file.size > MAX_SEAL_SIZE
+    ) {
+      return file;
+    }
+
+    const {
+      result: { buffer, content },
+      changed,
+    } = await this.trackChanges(normalizedPath, async () => {
+      const buffer = await this.readContent(file);
+      return {
+        buffer,
+        content: await this.encodeContent(normalizedPath, buffer),
+      };
+    });
+
+    /** @type {File|undefined} */
+    const current = this.sql
+      .exec("SELECT * FROM files WHERE path = ?", normalizedPath)
+      .toArray()[0];
+    if (changed || !current || (current.hash && current.base_size === null)) {
+      return current;
+    }
+
+    // Content in cold storage (possibly moved there meanwhile) stays in its
+    // object, unless the blob stores it compressed or with another key, or
+    // data was appended to it
+    const r2Key =
+      content.codec ||
+      current.key_id !== content.keyId ||
+      current.base_size !== null
+        ? null
+        : current.r2_key;
+    const coldKeys = this.acquireBlob(content, r2Key);
+    if (current.r2_key && !r2Key) coldKeys.push(current.r2_key);
+    if (current.hash) coldKeys.push(...this.releaseBlob(current.hash));
+    this.sql.exec("DELETE FROM chunks WHERE path = ?", normalizedPath);
+    this.sql.exec(
+      "UPDATE files SET content = NULL, r2_key = NULL, hash = ?, key_id = NULL, base_size = NULL WHERE path = ?",
+      content.hash,
+      normalizedPath
+    );
+    this.markChanged(normalizedPath);
+    this.indexText(normalizedPath, buffer);
+    await this.deleteColdContent(coldKeys);
+    await this.scheduleColdStorage();
+    return {
+      ...current,
+      content: null,
+      r2_key: null,
+      hash: content.hash,
+      key_id: null,
+      base_size: null,
+    };
+  }
+
+  /**
+   * Run an asynchronous read of a file, reporting whether the file was
+   * changed while it ran (see notify()), in which case what was read is
+   * outdated
+   * @template T
+   * @param {string} path - Normalized file path
+   * @param {() => Promise<T>} read - Function reading the file
+   * @returns {Promise<{result: T, changed: boolean}>} - Result of the read, and whether the file changed
+   */
+  async trackChanges(path, read) {
+    let tracked = this.tracked.get(path);
+    if (!tracked) {
+      tracked = { readers: 0, changes: 0 };
+      this.tracked.set(path, tracked);
+    }
+    tracked.readers++;
+    const changes = tracked.changes;
+    try {
+      const result = await read();
+      return { result, changed: tracked.changes !== changes };
+    } finally {
+      if (--tracked.readers === 0) this.tracked.delete(path);
+    }
+  }
+
+  /**
+   * Normalize a path: slashes are collapsed, trailing ones removed and `.` and
+   * `..` segments resolved. Disks have no working directory, so relative
+   * paths start at the root.
+   * @param {string} path - Path to normalize
+   * @returns {string} - Normalized path
+   */
+  normalizePath(path) {
+    return resolveDotSegments(path);
+  }
+
+  /**
+   * Get parent directory path
+   * @param {string} path - File path
+   * @returns {string} - Parent directory path
+   */
+  getParentPath(path) {
+    const normalized = this.normalizePath(path);
+    if (normalized === "/") return null;
+    const lastSlash = normalized.lastIndexOf("/");
+    return lastSlash <= 0 ? "/" : normalized.substring(0, lastSlash);
+  }
+
+  /**
+   * Get filename from path
+   * @param {string} path - File path
+   * @returns {string} - Filename
+   */
+  getFileName(path) {
+    const normalized = this.normalizePath(path);
+    if (normalized === "/") return "";
+    const lastSlash = normalized.lastIndexOf("/");
+    return normalized.substring(lastSlash + 1);
+  }
+
+  /**
+   * Run a method with the credentials of the caller, see runAs()
+   * @param {Credentials} credentials - Credentials of the caller
+   * @param {string} method - Name of the method
+   * @param {any[]} args - Arguments of the method
+   * @returns {Promise<any>} - Return value of the method
+   */
+  async runAs(credentials, method, args) {
+    if (method === "runAs" || typeof this[method] !== "function") {
+      throw createError("EINVAL", method);
+    }
+    return await credentialsStorage.run(credentials, () =>
+      this[method](...args)
+    );
+  }
+
+  /**
+   * Throw EACCES unless the caller has the given access to a row
+   * @param {{mode: number, uid: number, gid: number}} file - File row
+   * @param {number} mode - Required access, a combination of R_OK, W_OK and X_OK
+   * @param {string} syscall - Name of the operation, used in errors
+   * @param {string} path - Path of the operation, used in errors
+   */
+  assertAccess(file, mode, syscall, path) {
+    if (!hasAccess(file, mode, credentialsStorage.getStore())) {
+      throw createError("EACCES", syscall, path);
+    }
+  }
+
+  /**
+   * Throw EACCES unless the caller may search every directory above a path
+   * @param {string} path - Normalized path
+   * @param {string} syscall - Name of the operation, used in errors
+   */
+  assertSearchable(path, syscall) {
+    if (!credentialsStorage.getStore()) return;
+
+    const ancestors = [];
+    for (let i = path.indexOf("/", 1); i !== -1; i = path.indexOf("/", i + 1)) {
+      ancestors.push(path.substring(0, i));
+    }
+    if (ancestors.length === 0) return;
+
+    /** @type {File[]} */
+    const directories = this.sql
+      .exec(
+        `SELECT mode, uid, gid FROM files WHERE path IN (${ancestors.map(
+          () => "?"
+        )})`,
+        ...ancestors
+      )
+      .toArray();
+    for (const directory of directories) {
+      this.assertAccess(directory, constants.X_OK, syscall, path);
+    }
+  }
+
+  /**
+   * Get the owner of new files: the caller, or root without credentials
+   * @returns {{uid: number, gid: number}} - User and group ID
+   */
+  getOwner() {
+    const credentials = credentialsStorage.getStore();
+    return credentials
+      ? { uid: credentials.uid, gid: credentials.gid }
+      : { uid: 0, gid: 0 };
+  }
+
+  /**
+   * Clear the bits of the caller's umask from the mode of a new entry
+   * @param {number} mode - Requested mode
+   * @returns {number} - Mode to store
+   */
+  applyUmask(mode) {
+    const umask = credentialsStorage.getStore()?.umask ?? DEFAULT_UMASK;
+    return mode & ~umask;
+  }
+
+  /**
+   * Resolve the symbolic links in a path. When the result lands on another
+   * disk, a redirect is thrown so the caller repeats the call there. Every
+   * directory above the result has to be searchable by the caller.
+   * @param {string} path - Path to resolve
+   * @param {string} syscall - Name of the operation, used in errors
+   * @param {boolean} [followLast=true] - Also follow a link in the last segment
+   * @returns {string} - Normalized path without symbolic links
+   */
+  resolvePath(path, syscall, followLast = true) {
+    const normalized = this.normalizePath(toPathString(path, syscall));
+    let resolved = normalized;
+
+    for (let depth = 0; ; depth++) {
+      const prefixes = [];
+      for (let i = resolved.indexOf("/", 1); i !== -1; ) {
+        prefixes.push(resolved.substring(0, i));
+        i = resolved.indexOf("/", i + 1);
+      }
+      if (followLast && resolved !== "/") prefixes.push(resolved);
+      if (prefixes.length === 0) break;
+
+      /** @type {{path: string, target: string}|undefined} */
+      const link = this.sql
+        .exec(
+          `
+          SELECT path, target FROM files
+          WHERE type = 'symlink' AND path IN (${prefixes.map(() => "?")})
+          ORDER BY length(path) LIMIT 1
+        `,
+          ...prefixes
+        )
+        .toArray()[0];
+      if (!link) break;
+      if (depth >= MAX_SYMLINKS) {
+        throw createError("ELOOP", syscall, normalized);
+      }
+
+      const base = link.target.startsWith("/")
+        ? ""
+        : this.getParentPath(link.path);
+      resolved = resolveDotSegments(
+        `${base}/${link.target}${resolved.substring(link.path.length)}`
+      );
+      if (getInstanceName(resolved) !== getInstanceName(normalized)) {
+        throw createRedirect(syscall, resolved);
+      }
+    }
+
+    this.assertSearchable(resolved, syscall);
+    return resolved;
+  }
+
+  /**
+   * Resolve a path to the row holding the file's content: symbolic links are
+   * followed and hard links lead to the file they share their content with
+   * @param {string} path - Path to resolve
+   * @param {string} syscall - Name of the operation, used in errors
+   * @param {boolean} [followLast=true] - Also follow a symbolic link in the last segment
+   * @returns {string} - Path of the row holding the content
+   */
+  resolveFile(path, syscall, followLast = true) {
+    const resolved = this.resolvePath(path, syscall, followLast);
+    /** @type {{linked_path: string|null}|undefined} */
+    const file = this.sql
+      .exec("SELECT linked_path FROM files WHERE path = ?", resolved)
+      .toArray()[0];
+    return file?.linked_path || resolved;
+  }
+
+  /**
+   * Resolve both paths of a two-path operation. A redirect can only carry one
+   * path, so both have to stay on this disk.
+   * @param {string} src - Source path
+   * @param {string} dest - Destination path
+   * @param {string} syscall - Name of the operation, used in errors
+   * @param {boolean} follow - Follow links to the content (otherwise only links in parent directories)
+   * @returns {[string, string]} - Resolved source and destination
+   */
+  resolvePair(src, dest, syscall, follow) {
+    if (
+      getInstanceName(this.normalizePath(src)) !==
+      getInstanceName(this.normalizePath(dest))
+    ) {
+      throw createError("EXDEV", syscall, src, dest);
+    }
+    try {
+      return follow
+        ? [this.resolveFile(src, syscall), this.resolveFile(dest, syscall)]
+        : [
+            this.resolvePath(src, syscall, false),
+            this.resolvePath(dest, syscall, false),
+          ];
+    } catch (error) {
+      if (parseRedirect(error)) {
+        throw createError("EXDEV", syscall, src, dest);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Throw unless the parent of a path is an existing directory the caller
+   * may create and remove entries in
+   * @param {string} path - Normalized path
+   * @param {string} syscall - Name of the operation, used in errors
+   */
+  assertParentDirectory(path, syscall) {
+    const parentPath = this.getParentPath(path);
+    if (!parentPath || parentPath === "/") return;
+
+    /** @type {File} */
+    const parent = this.sql
+      .exec("SELECT type, mode, uid, gid FROM files WHERE path = ?", parentPath)
+      .toArray()[0];
+    if (!parent) {
+      throw createError("ENOENT", syscall, path);
+    }
+    if (parent.type !== "directory") {
+      throw createError("ENOTDIR", syscall, path);
+    }
+    this.assertAccess(parent, constants.W_OK, syscall, path);
+  }
+
+  /**
+   * Get the running totals of the entries inside a directory
+   * @param {string} path - Normalized directory path
+   * @returns {DiskUsage} - Space used
+   */
+  getDirectoryUsage(path) {
+    /** @type {DiskUsage|undefined} */
+    const usage = this.sql
+      .exec("SELECT size, files FROM usage WHERE path = ?", path)
+      .toArray()[0];
+    return usage || { size: 0, files: 0 };
+  }
+
+  /**
+   * Get the space an entry takes, including everything inside a directory.
+   * The content of hard linked files is counted once, for the file holding it.
+   * @param {File} file - File row
+   * @returns {DiskUsage} - Space used
+   */
+  getEntryUsage(file) {
+    if (file.type === "directory") {
+      const usage = this.getDirectoryUsage(file.path);
+      return { size: usage.size, files: usage.files + 1 };
+    }
+    const holdsContent = file.type === "file" && !file.linked_path;
+    return { size: holdsContent ? file.size : 0, files: 1 };
+  }
+
+  /**
+   * Add to the running totals of every directory containing a path
+   * @param {string} path - Normalized path of the entry that changed
+   * @param {number} size - Change in bytes
+   * @param {number} files - Change in number of entries
+   */
+  addUsage(path, size, files) {
+    if (!size && !files) return;
+    for (
+      let parent = this.getParentPath(path);
+      parent;
+      parent = this.getParentPath(parent)
+    ) {
+      this.sql.exec(
+        `
+        INSERT INTO usage (path, size, files) VALUES (?, ?, ?)
+        ON CONFLICT (path) DO UPDATE
+        SET size = size + excluded.size, files = files + excluded.files
+      `,
+        parent,
+        size,
+        files
+      );
+    }
+  }
+
+  /**
+   * Add to the total of the disk, which unlike the totals of the directories
+   * below it also counts previous versions of files
+   * @param {number} size - Change in bytes of version content
+   */
+  addVersionUsage(size) {
+    if (!size) return;
+    this.sql.exec(
+      `
+      INSERT INTO usage (path, size, files) VALUES ('/', ?, 0)
+      ON CONFLICT (path) DO UPDATE SET size = size + excluded.size
+    `,
+      size
+    );
+  }
+
+  /**
+   * Get the bytes archiveFile() keeps as a version when a file is replaced,
+   * which the disk holds on top of the new content
+   * @param {File|undefined} file - File row being replaced
+   * @returns {number} - Size of the version
+   */
+  getArchivedSize(file) {
+    if (file?.type !== "file" || file.linked_path) return 0;
+    return this.getVersioning(file.path) ? file.size : 0;
+  }
+
+  /**
+   * Throw EDQUOT when growing the disk would exceed its quota, and ENOSPC
+   * when the database is full
+   * @param {number} size - Bytes to add
+   * @param {number} files - Entries to add
+   * @param {string} syscall - Name of the operation, used in errors
+   * @param {string} path - Normalized path being written
+   * @param {string} [dest] - Destination path (for two-path calls like copyfile)
+   */
+  assertSpace(size, files, syscall, path, dest) {
+    if (size <= 0 && files <= 0) return;
+    const quota = findMount(dest || path).entry.quota;
+    const usage = this.getDirectoryUsage("/");
+    if (
+      quota &&
+      ((size > 0 && usage.size + size > (quota.maxBytes ?? Infinity)) ||
+        (files > 0 && usage.files + files > (quota.maxFiles ?? Infinity)))
+    ) {
+      throw createError("EDQUOT", syscall, path, dest);
+    }
+    if (size > 0 && this.sql.databaseSize + size > DISK_CAPACITY) {
+      throw createError("ENOSPC", syscall, path, dest);
+    }
+  }
+
+  /**
+   * Build the statistics of a row. Hard links report the metadata of the
+   * file they share their content with.
+   * @param {File} file - File row
+   * @returns {Stats} - File statistics
+   */
+  toStats(file) {
+    if (file.linked_path) {
+      file = this.sql
+        .exec("SELECT * FROM files WHERE path = ?", file.linked_path)
+        .toArray()[0];
+    }
+
+    let nlink = 1;
+    if (file.type === "file") {
+      /** @type {{count:number}} */
+      const links = this.sql
+        .exec(
+          "SELECT COUNT(*) as count FROM files WHERE linked_path = ?",
+          file.path
+        )
+        .toArray()[0];
+      nlink += links.count;
+    }
+
+    // Content may be stored compressed in a blob, or encrypted. Data
+    // appended to a blob or cold content is stored next to it.
+    /** @type {{size: number}|undefined} */
+    const blob = file.hash
+      ? this.sql
+          .exec(
+            "SELECT stored_size AS size FROM blobs WHERE hash = ?",
+            file.hash
+          )
+          .toArray()[0]
+      : undefined;
+    /** @param {number} size */
+    const getStoredSize = (size) =>
+      file.key_id ? getEncryptedSize(size) : size;
+    const storedSize =
+      (blob ? blob.size : getStoredSize(file.base_size ?? file.size)) +
+      (file.base_size === null ? 0 : getStoredSize(file.size - file.base_size));
+
+    return {
+      isFile: file.type === "file",
+      isDirectory: file.type === "directory",
+      isSymbolicLink: file.type === "symlink",
+      size: file.size,
+      storedSize,
+      mode: file.mode,
+      uid: file.uid,
+      gid: file.gid,
+      nlink,
+      hash: file.base_size === null ? file.hash : null,
+      mtime: new Date(file.mtime * 1000),
+      ctime: new Date(file.ctime * 1000),
+      atime: new Date(file.atime * 1000),
+    };
+  }
+
+  /**
+   * Hand the content of a file that is about to be removed over to one of its
+   * hard links, which then holds the content for all remaining links
+   * @param {string} path - Path of the file holding the content
+   * @param {string} removedPath - Path being removed (the file or a directory containing it)
+   * @returns {boolean} - Whether a hard link took over the content
+   */
+  detachHardLinks(path, removedPath) {
+    const removed = getEntryRange("path", removedPath);
+    /** @type {{path: string}|undefined} */
+    const heir = this.sql
+      .exec(
+        `
+        SELECT path FROM files
+        WHERE linked_path = ? AND path != ? AND NOT ${removed.condition}
+        ORDER BY path LIMIT 1
+      `,
+        path,
+        removedPath,
+        ...removed.bounds
+      )
+      .toArray()[0];
+    if (!heir) return false;
+
+    /** @type {File} */
+    const file = this.sql
+      .exec("SELECT * FROM files WHERE path = ?", path)
+      .toArray()[0];
+    this.sql.exec(
+      `
+      UPDATE files
+      SET content = ?, r2_key = ?, hash = ?, key_id = ?, base_size = ?, size = ?, mode = ?, uid = ?, gid = ?, mtime = ?, ctime = ?, atime = ?, linked_path = NULL
+      WHERE path = ?
+    `,
+      file.content,
+      file.r2_key,
+      file.hash,
+      file.key_id,
+      file.base_size,
+      file.size,
+      file.mode,
+      file.uid,
+      file.gid,
+      file.mtime,
+      file.ctime,
+      file.atime,
+      heir.path
+    );
+    this.sql.exec(
+      "UPDATE files SET linked_path = ? WHERE linked_path = ?",
+      heir.path,
+      path
+    );
+    this.sql.exec("UPDATE chunks SET path = ? WHERE path = ?", heir.path, path);
+    for (const table of ["search_lines", "search_stale"]) {
+      this.sql.exec(
+        `UPDATE ${table} SET path = ? WHERE path = ?`,
+        heir.path,
+        path
+      );
+    }
+    this.sql.exec(
+      "UPDATE files SET r2_key = NULL, hash = NULL, base_size = NULL WHERE path = ?",
+      path
+    );
+    this.addUsage(heir.path, file.size, 0);
+    return true;
+  }
+
+  /**
+   * Encode data appended to the content a file holds itself, see
+   * appendFileBuffer(). All chunks except the last one always hold exactly
+   * CHUNK_SIZE bytes of content. Plaintext is added by SQLite, without
+   * reading the content, while the last piece of encrypted content is
+   * decrypted and encrypted again.
+   * @param {File} file - File row
+   * @param {ArrayBuffer} buffer - Data to append
+   * @param {string|null} keyId - ID of the key the file's own content is encrypted with
+   * @returns {Promise<ContentUpdate>} - What to store
+   */
+  async encodeAppend(file, buffer, keyId) {
+    const size = file.size - getBaseSize(file);
+    if (file.content) {
+      if (!keyId && size + buffer.byteLength <= CHUNK_SIZE) {
+        return { pieces: null, extend: buffer, chunks: [] };
+      }
+      const current = await this.decryptPiece(file.path, file.content, keyId);
+      return {
+        pieces: await this.encryptContent(
+          file.path,
+          concatBuffers(current, buffer),
+          keyId
+        ),
+        extend: null,
+        chunks: [],
+      };
+    }
+
+    let index = Math.floor(size / CHUNK_SIZE);
+    let offset = 0;
+    let extend = null;
+    /** @type {Chunk[]} */
+    const chunks = [];
+
+    const used = size % CHUNK_SIZE;
+    if (used > 0) {
+      offset = Math.min(CHUNK_SIZE - used, buffer.byteLength);
+      if (keyId) {
+        /** @type {Chunk} */
+        const last = this.sql
+          .exec(
+            "SELECT data FROM chunks WHERE path = ? AND chunk_index = ?",
+            file.path,
+            index
+          )
+          .toArray()[0];
+        const data = concatBuffers(
+          await this.decryptPiece(file.path, last.data, keyId),
+          buffer.slice(0, offset)
+        );
+        chunks.push({
+          path: file.path,
+          chunk_index: index,
+          data: await this.encryptPiece(file.path, data, keyId),
+        });
+      } else {
+        extend = buffer.slice(0, offset);
+      }
+      index++;
+    }
+
+    for (; offset < buffer.byteLength; offset += CHUNK_SIZE, index++) {
+      chunks.push({
+        path: file.path,
+        chunk_index: index,
+        data: await this.encryptPiece(
+          file.path,
+          buffer.slice(offset, offset + CHUNK_SIZE),
+          keyId
+        ),
+      });
+    }
+    return { pieces: null, extend, chunks };
+  }
+
+  /**
+   * Encode data written at a position of the content a file holds itself,
+   * see writeFileRange(). Only the pieces the write touches are rewritten.
+   * @param {File} file - File row
+   * @param {number} position - Offset in the file's own content
+   * @param {Uint8Array} bytes - Data to write
+   * @param {string|null} keyId - ID of the key the file's own content is encrypted with
+   * @returns {Promise<ContentUpdate>} - What to store
+   */
+  async encodeRange(file, position, bytes, keyId) {
+    const end = position + bytes.byteLength;
+    const current = file.size - getBaseSize(file);
+    const size = Math.max(current, end);
+
+    if (file.content) {
+      const result = new Uint8Array(size);
+      result.set(
+        new Uint8Array(await this.decryptPiece(file.path, file.content, keyId)),
+        0
+      );
+      result.set(bytes, position);
+      return {
+        pieces: await this.encryptContent(file.path, result.buffer, keyId),
+        extend: null,
+        chunks: [],
+      };
+    }
+
+    /** @type {Chunk[]} */
+    const chunks = [];
+    const first = Math.floor(Math.min(position, current) / CHUNK_SIZE);
+    const last = Math.floor((end - 1) / CHUNK_SIZE);
+    for (let index = first; index <= last; index++) {
+      const chunkStart = index * CHUNK_SIZE;
+      /** @type {Chunk} */
+      const existing = this.sql
+        .exec(
+          "SELECT data FROM chunks WHERE path = ? AND chunk_index = ?",
+          file.path,
+          index
+        )
+        .toArray()[0];
+
+      const chunk = new Uint8Array(Math.min(CHUNK_SIZE, size - chunkStart));
+      if (existing) {
+        chunk.set(
+          new Uint8Array(
+            await this.decryptPiece(file.path, existing.data, keyId)
+          ),
+          0
+        );
+      }
+      const from = Math.max(position, chunkStart);
+      const to = Math.min(end, chunkStart + chunk.byteLength);
+      if (from < to) {
+        chunk.set(
+          bytes.subarray(from - position, to - position),
+          from - chunkStart
+        );
+      }
+      chunks.push({
+        path: file.path,
+        chunk_index: index,
+        data: await this.encryptPiece(file.path, chunk.buffer, keyId),
+      });
+    }
+    return { pieces: null, extend: null, chunks };
+  }
+
+  /**
+   * Store the changes prepared by encodeAppend() or encodeRange()
+   * @param {File} file - File row they were prepared from
+   * @param {ContentUpdate} update - Changes to the file's own content
+   */
+  storeContentUpdate(file, { pieces, extend, chunks }) {
+    if (pieces) {
+      this.sql.exec(
+        "UPDATE files SET content = ? WHERE path = ?",
+        this.writeContent(file.path, pieces),
+        file.path
+      );
+    } else if (extend && file.content) {
+      this.sql.exec(
+        "UPDATE files SET content = CAST(IFNULL(content, x'') || ? AS BLOB) WHERE path = ?",
+        extend,
+        file.path
+      );
+    } else if (extend) {
+      this.sql.exec(
+        "UPDATE chunks SET data = CAST(data || ? AS BLOB) WHERE path = ? AND chunk_index = ?",
+        extend,
+        file.path,
+        Math.floor((file.size - getBaseSize(file)) / CHUNK_SIZE)
+      );
+    }
+    for (const chunk of chunks) {
+      this.sql.exec(
+        "INSERT OR REPLACE INTO chunks (path, chunk_index, data) VALUES (?, ?, ?)",
+        chunk.path,
+        chunk.chunk_index,
+        chunk.data
+      );
+    }
+  }
+
+  /**
+   * Copy a file
+   * @param {string} src - Source path
+   * @param {string} dest - Destination path
+   * @param {number} mode - Copy mode
+   */
+  async copyFile(src, dest, mode) {
+    [src, dest] = this.resolvePair(src, dest, "copyfile", true);
+    const srcFile = this.sql
+      .exec("SELECT * FROM files WHERE path = ?", src)
+      .toArray()[0];
+    if (!srcFile) {
+      throw createError("ENOENT", "copyfile", src, dest);
+    }
+    if (srcFile.type !== "file") {
+      throw createError("EISDIR", "copyfile", src, dest);
+    }
+    this.assertAccess(srcFile, constants.R_OK, "copyfile", src);
+
+    // Content written in pieces is sealed first, so the copy can share it
+    const source =
+      srcFile.hash && srcFile.base_size === null
+        ? srcFile
+        : await this.sealFile(src);
+    if (source?.type !== "file") {
+      throw createError("ENOENT", "copyfile", src, dest);
+    }
+
+    const destParent = this.getParentPath(dest);
+    if (destParent && destParent !== "/") {
+      const parent = this.sql
+        .exec("SELECT * FROM files WHERE path = ?", destParent)
+        .toArray()[0];
+      if (!parent) {
+        throw createError("ENOENT", "copyfile", src, dest);
+      }
+      if (parent.type !== "directory") {
+        throw createError("ENOTDIR", "copyfile", src, dest);
+      }
+    }
+
+    /** @type {File} */
+    const destFile = this.sql
+      .exec("SELECT * FROM files WHERE path = ?", dest)
+      .toArray()[0];
+    if (destFile) {
+      this.assertAccess(destFile, constants.W_OK, "copyfile", dest);
+    } else {
+      this.assertParentDirectory(dest, "copyfile");
+    }
+    const owner = destFile || this.getOwner();
+    const growth =
+      source.size - (destFile?.size || 0) + this.getArchivedSize(destFile);
+    this.assertSpace(growth, destFile ? 0 : 1, "copyfile", src, dest);
+
+    // Shared content only gets another reference. Files too large to seal
+    // are copied as they are stored, with content in cold storage copied to
+    // a new object.
+    const r2Key =
+      !source.hash && source.r2_key
+        ? await this.putColdContent(joinBuffers(await this.readPieces(source)))
+        : null;
+    if (source.hash) this.addBlobReference(source.hash);
+    const coldKeys = destFile ? this.archiveFile(destFile) : [];
+
+    const now = Math.floor(Date.now() / 1000);
+    this.sql.exec("DELETE FROM chunks WHERE path = ?", dest);
+    if (!source.hash || source.base_size !== null) {
+      this.sql.exec(
+        `
+        INSERT INTO chunks (path, chunk_index, data)
+        SELECT ?, chunk_index, data FROM chunks WHERE path = ?
+      `,
+        dest,
+        src
+      );
+    }
+    this.sql.exec(
+      `
+      INSERT OR REPLACE INTO files 
+      (path, parent_path, name, type, content, r2_key, hash, key_id, base_size, size, mode, uid, gid, mtime, ctime, atime)
+      VALUES (?, ?, ?, 'file', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+      dest,
+      destParent,
+      this.getFileName(dest),
+      source.content,
+      r2Key,
+      source.hash,
+      source.key_id,
+      source.base_size,
+      source.size,
+      source.mode,
+      owner.uid,
+      owner.gid,
+      now,
+      now,
+      now
+    );
+    this.copyIndex(source.path, dest);
+    this.addUsage(dest, growth, destFile ? 0 : 1);
+    this.notify(destFile ? "change" : "rename", dest);
+    await this.deleteColdContent(coldKeys);
+    await this.schedulePruning(dest);
+  }
+
+  /**
+   * Copy files and directories recursively
+   * @param {string} src - Source path
+   * @param {string} dest - Destination path
+   * @param {CopyOptions} options - Copy options
+   */
+  async cp(src, dest, options = {}) {
+    [src, dest] = this.resolvePair(src, dest, "cp", false);
+    const srcFile = this.sql
+      .exec("SELECT * FROM files WHERE path = ?", src)
+      .toArray()[0];
+    if (!srcFile) {
+      throw createError("ENOENT", "cp", src, dest);
+    }
+    // Like Node.js, refuse to copy onto itself or into itself
+    if (dest === src || isBelow(dest, src)) {
+      throw createError("EINVAL", "cp", src, dest);
+    }
+
+    if (srcFile.type === "symlink") {
+      // Like Node.js without `dereference`, copy the link itself
+      await this.rm(dest, { force: true });
+      await this.symlink(srcFile.target, dest);
+    } else if (srcFile.type === "file") {
+      await this.copyFile(src, dest, 0);
+    } else if (srcFile.type === "directory") {
+      if (!options.recursive) {
+        throw createError("EISDIR", "cp", src);
+      }
+      const usage = this.getEntryUsage(srcFile);
+      this.assertSpace(usage.size, usage.files, "cp", src, dest);
+
+      // Create destination directory
+      await this.mkdir(dest, { recursive: true });
+
+      // Copy all children
+      const children = this.sql
+        .exec("SELECT path, name FROM files WHERE parent_path = ?", src)
+        .toArray();
+      for (const child of children) {
+        const childSrc = child.path;
+        const childDest = `${dest}/${child.name}`;
+        await this.cp(childSrc, childDest, options);
+      }
+    }
+  }
+
+  /**
+   * Create directory
+   * @param {string} path - Directory path
+   * @param {MkdirOptions} options - Options
+   * @returns {Promise<string|undefined>} - First created directory path
+   */
+  async mkdir(path, options = {}) {
+    return this.createDirectory(path, options);
+  }
+
+  /**
+   * Create a directory, and its parents with `recursive`
+   * @param {string} path - Directory path
+   * @param {MkdirOptions} options - Options
+   * @returns {string|undefined} - First created directory path
+   */
+  createDirectory(path, options = {}) {
+    const normalizedPath = this.resolvePath(path, "mkdir", false);
+
+    // Check if already exists
+    const existing = this.sql
+      .exec("SELECT * FROM files WHERE path = ?", normalizedPath)
+      .toArray()[0];
+    if (existing) {
+      if (existing.type === "directory" && options.recursive) {
+        return undefined; // Already exists
+      } else {
+        throw createError("EEXIST", "mkdir", normalizedPath);
+      }
+    }
+
+    const parentPath = this.getParentPath(normalizedPath);
+    let firstCreated = undefined;
+
+    if (parentPath && parentPath !== "/") {
+      const parent = this.sql
+        .exec("SELECT * FROM files WHERE path = ?", parentPath)
+        .toArray()[0];
+      if (!parent) {
+        if (options.recursive) {
+          firstCreated = this.createDirectory(parentPath, options);
+        } else {
+          throw createError("ENOENT", "mkdir", normalizedPath);
+        }
+      } else if (parent.type !== "directory") {
+        throw createError("ENOTDIR", "mkdir", normalizedPath);
+      } else {
+        this.assertAccess(parent, constants.W_OK, "mkdir", normalizedPath);
+      }
+    }
+
+    this.assertSpace(0, 1, "mkdir", normalizedPath);
+    const now = Math.floor(Date.now() / 1000);
+    const mode = this.applyUmask(options.mode || 0o777);
+    const owner = this.getOwner();
+
+    this.sql.exec(
+      `
+      INSERT INTO files 
+      (path, parent_path, name, type, size, mode, uid, gid, mtime, ctime, atime)
+      VALUES (?, ?, ?, 'directory', 0, ?, ?, ?, ?, ?, ?)
+    `,
+      normalizedPath,
+      parentPath,
+      this.getFileName(normalizedPath),
+      mode,
+      owner.uid,
+      owner.gid,
+      now,
+      now,
+      now
+    );
+    this.addUsage(normalizedPath, 0, 1);
+    this.notify("rename", normalizedPath);
+
+    return firstCreated || normalizedPath;
+  }
+
+  /**
+   * Open a file, creating or truncating it as the flags require
+   * @param {string} path - File path
+   * @param {string} [flags='r'] - File system flag
+   * @param {number} [mode] - File mode, used when the file is created
+   * @returns {Promise<Stats>} - Statistics of the opened file
+   */
+  async open(path, flags = "r", mode) {
+    const openFlags = parseFlags(flags, path);
+    const normalizedPath = this.resolveFile(path, "open");
+    /** @type {File} */
+    const file = this.sql
+      .exec(
+        "SELECT type, mode, uid, gid FROM files WHERE path = ?",
+        normalizedPath
+      )
+      .toArray()[0];
+
+    if (file) {
+      if (openFlags.exclusive) {
+        throw createError("EEXIST", "open", normalizedPath);
+      }
+      if (file.type === "directory" && openFlags.write) {
+        throw createError("EISDIR", "open", normalizedPath);
+      }
+      this.assertAccess(
+        file,
+        (openFlags.read ? constants.R_OK : 0) |
+          (openFlags.write ? constants.W_OK : 0),
+        "open",
+        normalizedPath
+      );
+      if (openFlags.truncate) {
+        await this.writeFileBuffer(normalizedPath, new ArrayBuffer(0), {
+          mode: file.mode,
+        });
+      }
+    } else if (openFlags.create) {
+      // A file created while the empty content was encoded is opened instead
+      const content = await this.encodeContent(
+        normalizedPath,
+        new ArrayBuffer(0)
+      );
+      const created = this.sql
+        .exec("SELECT 1 FROM files WHERE path = ?", normalizedPath)
+        .toArray();
+      if (created.length > 0) return await this.open(path, flags, mode);
+      this.storeFile(normalizedPath, content, null, { mode });
+    } else {
+      throw createError("ENOENT", "open", normalizedPath);
+    }
+
+    return await this.stat(normalizedPath);
+  }
+
+  /**
+   * Read directory contents
+   * @param {string} path - Directory path
+   * @param {{withFileTypes?: boolean}} options - Read options
+   * @returns {Promise<string[]|{name: string, type: string}[]>} - Names of the entries, with their types for withFileTypes (readdir() makes them Dirents)
+   */
+  async readdir(path, options = {}) {
+    const normalizedPath = this.resolveDirectory(path, "scandir");
+
+    /** @type {{name: string, type: string}[]} */
+    const entries = this.sql
+      .exec(
+        `
+        SELECT name, type FROM files
+        WHERE parent_path = ? AND path NOT IN (SELECT staging FROM imports)
+        ORDER BY name
+      `,
+        normalizedPath
+      )
+      .toArray();
+
+    if (options.withFileTypes) {
+      return entries.map((entry) => ({ name: entry.name, type: entry.type }));
+    }
+
+    return entries.map((entry) => entry.name);
+  }
+
+  /**
+   * Read a page of a directory's entries in name order, for opendir(). Pages
+   * continue after the last name of the previous one, so entries added or
+   * removed in between don't shift them.
+   * @param {string} path - Directory path
+   * @param {string|null} after - Last name of the previous page, or null for the first page
+   * @param {number} limit - Maximum number of entries
+   * @returns {Promise<{name: string, type: 'file'|'directory'|'symlink'}[]>} - Names and types of the entries
+   */
+  async readdirPage(path, after, limit) {
+    const normalizedPath = this.resolveDirectory(path, "opendir");
+    return this.sql
+      .exec(
+        `
+        SELECT name, type FROM files
+        WHERE parent_path = ? AND name > ? AND path NOT IN (SELECT staging FROM imports)
+        ORDER BY name LIMIT ?
+      `,
+        normalizedPath,
+        after ?? "",
+        limit
+      )
+      .toArray();
+  }
+
+  /**
+   * Resolve the path of a directory to list, throwing unless it is a
+   * directory the caller may read
+   * @param {string} path - Directory path
+   * @param {string} syscall - Name of the operation, used in errors
+   * @returns {string} - Normalized path
+   */
+  resolveDirectory(path, syscall) {
+    const normalizedPath = this.resolvePath(path, syscall);
+    /** @type {File|undefined} */
+    const dir =
+      this.sql
+        .exec(
+          "SELECT type, mode, uid, gid FROM files WHERE path = ?",
+          normalizedPath
+        )
+        .toArray()[0] || (normalizedPath === "/" ? ROOT_DIRECTORY : undefined);
+
+    if (!dir) {
+      throw createError("ENOENT", syscall, normalizedPath);
+    }
+    if (dir.type !== "directory") {
+      throw createError("ENOTDIR", syscall, normalizedPath);
+    }
+    this.assertAccess(dir, constants.R_OK, syscall, normalizedPath);
+    return normalizedPath;
+  }
+
+  /**
+   * List a directory and everything below it on this disk, parents before
+   * their children, for exportArchive(). Every directory must be readable.
+   * @param {string} path - Directory path
+   * @returns {Promise<ReadableStream<Uint8Array>>} - Newline-delimited JSON entries, starting with the directory itself
+   */
+  async listTree(path) {
+    const normalizedPath = this.resolvePath(path, "scandir");
+    /** @type {File|undefined} */
+    const dir =
+      this.sql
+        .exec("SELECT * FROM files WHERE path = ?", normalizedPath)
+        .toArray()[0] || (normalizedPath === "/" ? ROOT_DIRECTORY : undefined);
+    if (!dir) {
+      throw createError("ENOENT", "scandir", normalizedPath);
+    }
+    if (dir.type !== "directory") {
+      throw createError("ENOTDIR", "scandir", normalizedPath);
+    }
+
+    const below = getEntryRange("path", normalizedPath);
+    /** @type {File[]} */
+    const rows = this.sql
+      .exec(
+        `
+        SELECT path, type, mode, size, mtime, target FROM files
+        WHERE ${below.condition}
+        ORDER BY path
+      `,
+        ...below.bounds
+      )
+      .toArray();
+    const isStaged = this.getStagedCheck();
+    const lines = [];
+    for (const row of [{ ...dir, path: normalizedPath }, ...rows]) {
+      if (isStaged(row.path)) continue;
+      if (row.type === "directory") {
+        this.assertAccess(
+          row,
+          constants.R_OK | constants.X_OK,
+          "scandir",
+          row.path
+        );
+      }
+      lines.push(
+        `${JSON.stringify({
+          path: row.path,
+          type: row.type,
+          mode: row.mode & 0o7777,
+          mtime: row.mtime,
+          size: row.size,
+          target: row.target ?? undefined,
+        })}\n`
+      );
+    }
+
+    const encoder = new TextEncoder();
+    return new ReadableStream({
+      pull(controller) {
+        controller.enqueue(encoder.encode(lines.splice(0, 1000).join("")));
+        if (lines.length === 0) controller.close();
+      },
+    });
+  }
+
+  /**
+   * Find the entries below a directory matching glob patterns, see glob()
+   * @param {string} base - Directory the patterns are relative to
+   * @param {string} prefix - Path the matches are yielded under
+   * @param {string[]} patterns - Glob patterns relative to `base`
+   * @param {string[]} exclude - Glob patterns of yielded paths to leave out, along with everything inside them
+   * @returns {Promise<ReadableStream<Uint8Array>>} - Newline-delimited JSON of `{path, type}` matches
+   */
+  async glob(base, prefix, patterns, exclude) {
+    const normalizedBase = this.resolvePath(base, "glob");
+    const credentials = credentialsStorage.getStore();
+    const matchers = patterns.map(globToRegExp);
+    const excluders = exclude.flatMap(expandBraces).map(globToRegExp);
+
+    /** @type {Map<string, string>} */
+    const candidates = new Map();
+    for (const pattern of patterns) {
+      for (const row of this.findGlobCandidates(normalizedBase, pattern)) {
+        candidates.set(row.path, row.type);
+      }
+    }
+
+    /** @type {Map<string, boolean>} */
+    const hidden = new Map();
+    /**
+     * Whether a path is excluded, or the caller may not list its directory
+     * @param {string} path - Path relative to the base
+     * @returns {boolean} - True to leave the path out
+     */
+    const isHidden = (path) => {
+      if (!path) return false;
+      if (!hidden.has(path)) {
+        const parent = path.substring(0, Math.max(path.lastIndexOf("/"), 0));
+        const parentPath = parent
+          ? joinGlobPath(normalizedBase, parent)
+          : normalizedBase;
+        /** @type {File} */
+        const directory =
+          this.sql
+            .exec("SELECT * FROM files WHERE path = ?", parentPath)
+            .toArray()[0] || ROOT_DIRECTORY;
+        const yielded = joinGlobPath(prefix, path);
+        hidden.set(
+          path,
+          isHidden(parent) ||
+            !hasAccess(
+              directory,
+              constants.R_OK | constants.X_OK,
+              credentials
+            ) ||
+            excluders.some((regex) => regex.test(yielded))
+        );
+      }
+      return hidden.get(path);
+    };
+
+    const isStaged = this.getStagedCheck();
+    const lines = [];
+    for (const path of [...candidates.keys()].sort()) {
+      if (isStaged(path)) continue;
+      const relative =
+        path === normalizedBase
+          ? ""
+          : path.substring(
+              normalizedBase === "/" ? 1 : normalizedBase.length + 1
+            );
+      const yielded = joinGlobPath(prefix, relative);
+      if (
+        !yielded ||
+        !matchers.some((regex) => regex.test(relative)) ||
+        isHidden(relative)
+      ) {
+        continue;
+      }
+      lines.push(
+        `${JSON.stringify({ path: yielded, type: candidates.get(path) })}\n`
+      );
+    }
+
+    const encoder = new TextEncoder();
+    return new ReadableStream({
+      pull(controller) {
+        controller.enqueue(encoder.encode(lines.splice(0, 1000).join("")));
+        if (lines.length === 0) controller.close();
+      },
+    });
+  }
+
+  /**
+   * Query the entries that may match a glob pattern. Segments before the
+   * first `**` are looked up directory by directory through the parent_path
+   * index. Below a `**`, all entries are taken whose name matches the last
+   * segment. The caller checks the candidates against the whole pattern.
+   * @param {string} base - Normalized directory the pattern is relative to
+   * @param {string} pattern - Glob pattern
+   * @returns {{path: string, type: string}[]} - Candidate entries
+   */
+  findGlobCandidates(base, pattern) {
+    /** @type {File|undefined} */
+    const baseRow =
+      this.sql
+        .exec("SELECT type FROM files WHERE path = ?", base)
+        .toArray()[0] || (base === "/" ? ROOT_DIRECTORY : undefined);
+    if (baseRow?.type !== "directory") return [];
+
+    const segments = pattern.split("/").filter(Boolean);
+    let directories = [base];
+    for (let i = 0; i < segments.length; i++) {
+      const segment = segments[i];
+      if (segment === "**") {
+        const last = segments[segments.length - 1];
+        const candidates = directories.map((path) => ({
+          path,
+          type: "directory",
+        }));
+        for (const directory of directories) {
+          const below = getEntryRange("path", directory);
+          candidates.push(
+            ...this.sql
+              .exec(
+                `
+                SELECT path, type FROM files
+                WHERE ${below.condition} AND name GLOB ?
+              `,
+                ...below.bounds,
+                last === "**" ? "*" : toSqlGlob(last)
+              )
+              .toArray()
+          );
+        }
+        return candidates;
+      }
+
+      /** @type {{path: string, type: string}[]} */
+      const entries = this.sql
+        .exec(
+          `
+          SELECT path, type FROM files
+          WHERE parent_path IN (SELECT value FROM json_each(?)) AND name GLOB ?
+        `,
+          JSON.stringify(directories),
+          toSqlGlob(segment)
+        )
+        .toArray();
+      if (i === segments.length - 1) return entries;
+      directories = entries
+        .filter((entry) => entry.type === "directory")
+        .map((entry) => entry.path);
+    }
+    return [];
+  }
+
+  /**
+   * Search the text files below a directory, see search(). Files changed in
+   * place since they were indexed are indexed first.
+   * @param {string} path - Directory or file path
+   * @param {string} query - FTS5 query
+   * @param {SearchOptions} options - Search options
+   * @returns {Promise<SearchMatch[]>} - Matching lines, best matches first
+   */
+  async search(path, query, options = {}) {
+    const normalizedPath = this.resolvePath(path, "search");
+    /** @type {File|undefined} */
+    const base =
+      this.sql
+        .exec("SELECT * FROM files WHERE path = ?", normalizedPath)
+        .toArray()[0] || (normalizedPath === "/" ? ROOT_DIRECTORY : undefined);
+    if (!base) {
+      throw createError("ENOENT", "search", normalizedPath);
+    }
+    await this.indexStaleFiles();
+
+    const {
+      open = "<mark>",
+      close = "</mark>",
+      ellipsis = "…",
+      tokens = 16,
+    } = options.snippet || {};
+    const limit = options.limit ?? SEARCH_LIMIT;
+    const matchers = [options.glob || []]
+      .flat()
+      .flatMap(expandBraces)
+      .map(globToRegExp);
+    const below = getEntryRange("f.path", normalizedPath);
+
+    const credentials = credentialsStorage.getStore();
+    /** @type {Map<string, boolean>} */
+    const listable = new Map();
+    /**
+     * Whether the caller may list a directory and the ones above it, up to
+     * the searched directory
+     * @param {string} directory - Directory path
+     * @returns {boolean} - True when the caller may list it
+     */
+    const canList = (directory) => {
+      if (!listable.has(directory)) {
+        /** @type {File} */
+        const row =
+          this.sql
+            .exec("SELECT * FROM files WHERE path = ?", directory)
+            .toArray()[0] || ROOT_DIRECTORY;
+        listable.set(
+          directory,
+          hasAccess(row, constants.R_OK | constants.X_OK, credentials) &&
+            (directory.length <= normalizedPath.length ||
+              canList(this.getParentPath(directory)))
+        );
+      }
+      return listable.get(directory);
+    };
+
+    const isStaged = this.getStagedCheck();
+    /** @type {SearchMatch[]} */
+    const matches = [];
+    // Lines are fetched a page at a time until the glob and permission
+    // checks, which drop some of them, leave enough
+    for (let offset = 0; matches.length < limit; offset += limit) {
+      /** @type {{path: string, mode: number, uid: number, gid: number, line: number, snippet: string}[]} */
+      let rows;
+      try {
+        // Hard links are found through the file holding their content
+        rows = this.sql
+          .exec(
+            `
+            SELECT f.path, f.mode, f.uid, f.gid, l.line,
+              snippet(search_index, 0, ?, ?, ?, ?) AS snippet
+            FROM search_index
+            JOIN search_lines l ON l.id = search_index.rowid
+            JOIN files f ON f.path = l.path OR f.linked_path = l.path
+            WHERE search_index MATCH ? AND (f.path = ? OR ${below.condition})
+            ORDER BY rank, f.path, l.line
+            LIMIT ? OFFSET ?
+          `,
+            open,
+            close,
+            ellipsis,
+            Math.min(Math.max(tokens, 1), 64),
+            query,
+            normalizedPath,
+            ...below.bounds,
+            limit,
+            offset
+          )
+          .toArray();
+      } catch {
+        // FTS5 rejects malformed queries
+        throw createError("EINVAL", "search", normalizedPath);
+      }
+
+      for (const row of rows) {
+        if (matches.length >= limit) break;
+        const relative =
+          row.path === normalizedPath
+            ? this.getFileName(row.path)
+            : row.path.substring(below.bounds[0].length);
+        if (
+          (matchers.length > 0 &&
+            !matchers.some((regex) => regex.test(relative))) ||
+          !hasAccess(row, constants.R_OK, credentials) ||
+          isStaged(row.path) ||
+          (row.path !== normalizedPath &&
+            !canList(this.getParentPath(row.path)))
+        ) {
+          continue;
+        }
+        matches.push({ path: row.path, line: row.line, snippet: row.snippet });
+      }
+      if (rows.length < limit) break;
+    }
+    return matches;
+  }
+
+  /**
+   * Put the lines of a file's content in the search index, replacing what
+   * was indexed for it. Binary content, files over MAX_SEARCH_SIZE and the
+   * files of encrypted disks (the index holds plaintext) are left out.
+   * @param {string} path - Normalized path of the row holding the content
+   * @param {ArrayBuffer} buffer - Content
+   */
+  indexText(path, buffer) {
+    this.sql.exec("DELETE FROM search_lines WHERE path = ?", path);
+    this.sql.exec("DELETE FROM search_stale WHERE path = ?", path);
+    const text = findMount(path).entry.encryption ? null : decodeText(buffer);
+    if (!text) return;
+    this.sql.exec(
+      `
+      INSERT INTO search_lines (path, line, text)
+      SELECT ?, key + 1, value FROM json_each(?) WHERE trim(value) != ''
+    `,
+      path,
+      JSON.stringify(text.split(/\r?\n/))
+    );
+  }
+
+  /**
+   * Take a file whose content changed in place out of the search index,
+   * until the next search indexes it again
+   * @param {string} path - Normalized path of the row holding the content
+   */
+  markStale(path) {
+    this.sql.exec("DELETE FROM search_lines WHERE path = ?", path);
+    this.sql.exec("INSERT OR IGNORE INTO search_stale (path) VALUES (?)", path);
+  }
+
+  /**
+   * Index a copy of a file like the file it was copied from
+   * @param {string} src - Normalized path of the row holding the content
+   * @param {string} dest - Normalized path of the copy
+   */
+  copyIndex(src, dest) {
+    this.sql.exec("DELETE FROM search_lines WHERE path = ?", dest);
+    this.sql.exec("DELETE FROM search_stale WHERE path = ?", dest);
+    this.sql.exec(
+      `
+      INSERT INTO search_lines (path, line, text)
+      SELECT ?, line, text FROM search_lines WHERE path = ? ORDER BY id
+    `,
+      dest,
+      src
+    );
+    this.sql.exec(
+      "INSERT INTO search_stale (path) SELECT ? FROM search_stale WHERE path = ?",
+      dest,
+      src
+    );
+  }
+
+  /**
+   * Index the files whose content changed in place since they were indexed.
+   * A file changing again while it is read stays stale until the next search.
+   */
+  async indexStaleFiles() {
+    /** @type {{path: string}[]} */
+    const stale = this.sql.exec("SELECT path FROM search_stale").toArray();
+    for (const { path } of stale) {
+      /** @type {File|undefined} */
+      const file = this.sql
+        .exec("SELECT * FROM files WHERE path = ?", path)
+        .toArray()[0];
+      if (
+        file?.type !== "file" ||
+        file.linked_path ||
+        file.size > MAX_SEARCH_SIZE ||
+        findMount(path).entry.encryption
+      ) {
+        this.sql.exec("DELETE FROM search_stale WHERE path = ?", path);
+        continue;
+      }
+      const { result: buffer, changed } = await this.trackChanges(
+        path,
+        async () => await this.readContent(file)
+      );
+      if (!changed) this.indexText(path, buffer);
+    }
+  }
+
+  /**
+   * Read file contents as buffer
+   * @param {string} path - File path
+   * @returns {Promise<ArrayBuffer>} - File contents
+   */
+  async readFileBuffer(path) {
+    path = this.resolveFile(path, "open");
+    /** @type {File} */
+    const file = this.sql
+      .exec("SELECT * FROM files WHERE path = ?", path)
+      .toArray()[0];
+
+    if (!file) {
+      throw createError("ENOENT", "open", path);
+    }
+    if (file.type !== "file") {
+      throw createError("EISDIR", "read", path);
+    }
+    this.assertAccess(file, constants.R_OK, "open", path);
+
+    // Update access time
+    const now = Math.floor(Date.now() / 1000);
+    this.sql.exec("UPDATE files SET atime = ? WHERE path = ?", now, path);
+
+    return this.readContent(file);
+  }
+
+  /**
+   * Read a range of bytes from a file, loading only the chunks it overlaps
+   * @param {string} path - File path
+   * @param {number} position - Byte offset to start reading from
+   * @param {number} length - Maximum number of bytes to read
+   * @returns {Promise<ArrayBuffer>} - The bytes read (shorter at end of file)
+   */
+  async readFileRange(path, position, length) {
+    const normalizedPath = this.resolveFile(path, "open");
+    // Encrypted content is only decrypted as a whole piece
+    /** @type {{path: string, type: string, size: number, mode: number, uid: number, gid: number, r2_key: string|null, hash: string|null, key_id: string|null, base_size: number|null, chunked: number, slice: ArrayBuffer|null}} */
+    const file = this.sql
+      .exec(
+        `
+        SELECT path, type, size, mode, uid, gid, r2_key, hash, key_id, base_size, content IS NULL AS chunked,
+        CASE WHEN key_id IS NULL THEN substr(content, ?, ?) ELSE content END AS slice
+        FROM files WHERE path = ?
+      `,
+        position + 1,
+        length,
+        normalizedPath
+      )
+      .toArray()[0];
+
+    if (!file) {
+      throw createError("ENOENT", "open", normalizedPath);
+    }
+    if (file.type !== "file") {
+      throw createError("EISDIR", "read", normalizedPath);
+    }
+    this.assertAccess(file, constants.R_OK, "read", normalizedPath);
+
+    const now = Math.floor(Date.now() / 1000);
+    this.sql.exec(
+      "UPDATE files SET atime = ? WHERE path = ?",
+      now,
+      normalizedPath
+    );
+
+    let end = Math.min(position + length, file.size);
+    if (end <= position) return new ArrayBuffer(0);
+
+    // A range across a blob or cold content and the data appended to it is
+    // read in two parts
+    const base = file.base_size ?? file.size;
+    if (position < base && end > base) {
+      return concatBuffers(
+        await this.readFileRange(normalizedPath, position, base - position),
+        await this.readFileRange(normalizedPath, base, end - base)
+      );
+    }
+
+    // Appended data is read from the file's chunks, shared content from its
+    // blob
+    /** @type {{path: string, r2_key: string|null, codec?: Codec|null, piece_sizes?: string|null, key_id: string|null, chunked: number, slice: ArrayBuffer|null}} */
+    let source = file;
+    if (position >= base) {
+      source = { ...file, r2_key: null, chunked: 1, slice: null };
+      position -= base;
+      end -= base;
+    } else if (file.hash) {
+      source = this.sql
+        .exec(
+          `
+          SELECT ? AS path, r2_key, codec, piece_sizes, key_id, content IS NULL AS chunked,
+          CASE WHEN key_id IS NULL AND codec IS NULL THEN substr(content, ?, ?) ELSE content END AS slice
+          FROM blobs WHERE hash = ?
+        `,
+          getBlobChunkPath(file.hash),
+          position + 1,
+          length,
+          file.hash
+        )
+        .toArray()[0];
+    }
+    if (source.codec && !source.piece_sizes) {
+      // Content compressed as a single stream can only be read as a whole
+      const buffer = await this.readContent(/** @type {File} */ (file));
+      return buffer.slice(position, end);
+    }
+    if (source.r2_key && !source.key_id && !source.codec) {
+      const object = await this.getFileBucket(source).get(source.r2_key, {
+        range: { offset: position, length: end - position },
+      });
+      if (!object) {
+        throw new Error(
+          `Content of ${source.path} is missing from cold storage`
+        );
+      }
+      return await object.arrayBuffer();
+    }
+    if (!source.chunked) {
+      if (!source.key_id && !source.codec) {
+        return source.slice || new ArrayBuffer(0);
+      }
+      const content = await this.decodePiece(
+        normalizedPath,
+        source.slice,
+        source
+      );
+      return content.slice(position, end);
+    }
+
+    const first = Math.floor(position / CHUNK_SIZE);
+    const last = Math.floor((end - 1) / CHUNK_SIZE);
+    /** @type {Chunk[]} */
+    const chunks = source.r2_key
+      ? await this.readColdPieces(source, base, first, last)
+      : this.sql
+          .exec(
+            `
+            SELECT chunk_index, data FROM chunks
+            WHERE path = ? AND chunk_index BETWEEN ? AND ?
+            ORDER BY chunk_index
+          `,
+            source.path,
+            first,
+            last
+          )
+          .toArray();
+
+    const result = new Uint8Array(end - position);
+    for (const chunk of chunks) {
+      const data = await this.decodePiece(normalizedPath, chunk.data, source);
+      const chunkStart = chunk.chunk_index * CHUNK_SIZE;
+      const from = Math.max(position - chunkStart, 0);
+      const to = Math.min(end - chunkStart, data.byteLength);
+      result.set(
+        new Uint8Array(data, from, to - from),
+        chunkStart + from - position
+      );
+    }
+    return result.buffer;
+  }
+
+  /**
+   * Decrypt and decompress a piece of stored content
+   * @param {string} path - Path the content belongs to
+   * @param {ArrayBuffer} piece - Stored piece
+   * @param {{key_id: string|null, codec?: Codec|null}} source - Row of the content
+   * @returns {Promise<ArrayBuffer>} - Content of the piece
+   */
+  async decodePiece(path, piece, source) {
+    const data = await this.decryptPiece(path, piece, source.key_id);
+    return source.codec ? await decompress(data, source.codec) : data;
+  }
+
+  /**
+   * Fetch a range of the encrypted or compressed pieces of content in cold
+   * storage, in the shape of the chunks the pieces would be stored in
+   * otherwise
+   * @param {{path: string, r2_key: string|null, piece_sizes?: string|null}} source - Row of the content
+   * @param {number} size - Size of the decoded content
+   * @param {number} first - Index of the first piece
+   * @param {number} last - Index of the last piece
+   * @returns {Promise<Chunk[]>} - The pieces
+   */
+  async readColdPieces(source, size, first, last) {
+    // Compressed pieces are listed, encrypted ones all hold CHUNK_SIZE bytes
+    // of content but the last one
+    /** @type {number[]} */
+    const sizes = source.piece_sizes
+      ? JSON.parse(source.piece_sizes)
+      : Array.from(
+          { length: Math.ceil(size / CHUNK_SIZE) },
+          (_, i) =>
+            Math.min(CHUNK_SIZE, size - i * CHUNK_SIZE) + ENCRYPTION_OVERHEAD
+        );
+    const offset = sizes.slice(0, first).reduce((total, n) => total + n, 0);
+    const pieceSizes = sizes.slice(first, last + 1);
+    const object = await this.getFileBucket(source).get(source.r2_key, {
+      range: {
+        offset,
+        length: pieceSizes.reduce((total, n) => total + n, 0),
+      },
+    });
+    if (!object) {
+      throw new Error(`Content of ${source.path} is missing from cold storage`);
+    }
+    return splitBufferBySizes(await object.arrayBuffer(), pieceSizes).map(
+      (data, i) => ({ path: source.path, chunk_index: first + i, data })
+    );
+  }
+
+  /**
+   * Read file contents
+   * @param {string} path - File path
+   * @param {ReadFileOptions|string} options - Read options
+   * @returns {Promise<ArrayBuffer|string>} - File contents
+   */
+  async readFile(path, options) {
+    const encoding = getEncoding(options, "open", path);
+
+    const flag = (typeof options === "object" && options?.flag) || "r";
+    if (!parseFlags(flag, path).read) {
+      throw createError("EBADF", "read");
+    }
+    path = this.resolveFile(path, "open");
+    if (flag !== "r") {
+      await this.open(path, flag);
+    }
+
+    const buffer = await this.readFileBuffer(path);
+
+    // Without an encoding the bytes are returned, readFile() makes them a Buffer
+    if (!encoding || encoding === "buffer") {
+      return buffer;
+    }
+    return decodeBytes(new Uint8Array(buffer), encoding);
+  }
+
+  /**
+   * Rename/move a file or directory
+   * @param {string} oldPath - Current path
+   * @param {string} newPath - New path
+   */
+  async rename(oldPath, newPath) {
+    await this.transact((coldKeys) => {
+      coldKeys.push(...this.moveEntry(oldPath, newPath));
+    });
+    await this.schedulePruning(this.normalizePath(newPath));
+  }
+
+  /**
+   * Move a file or directory within the disk, replacing the destination
+   * @param {string} oldPath - Current path
+   * @param {string} newPath - New path
+   * @returns {string[]} - Keys of the cold storage objects of a replaced destination
+   */
+  moveEntry(oldPath, newPath) {
+    const [normalizedOld, normalizedNew] = this.resolvePair(
+      oldPath,
+      newPath,
+      "rename",
+      false
+    );
+
+    const file = this.sql
+      .exec("SELECT * FROM files WHERE path = ?", normalizedOld)
+      .toArray()[0];
+    if (!file) {
+      throw createError("ENOENT", "rename", normalizedOld, normalizedNew);
+    }
+
+    if (normalizedNew.startsWith(`${normalizedOld}/`)) {
+      throw createError("EINVAL", "rename", normalizedOld, normalizedNew);
+    }
+
+    const newParent = this.getParentPath(normalizedNew);
+    if (newParent && newParent !== "/") {
+      const parent = this.sql
+        .exec("SELECT * FROM files WHERE path = ?", newParent)
+        .toArray()[0];
+      if (!parent) {
+        throw createError("ENOENT", "rename", normalizedOld, normalizedNew);
+      }
+      if (parent.type !== "directory") {
+        throw createError("ENOTDIR", "rename", normalizedOld, normalizedNew);
+      }
+    }
+    this.assertParentDirectory(normalizedOld, "rename");
+    this.assertParentDirectory(normalizedNew, "rename");
+
+    const existing = this.sql
+      .exec("SELECT * FROM files WHERE path = ?", normalizedNew)
+      .toArray()[0];
+    /** @type {string[]} */
+    let coldKeys = [];
+    if (existing && normalizedNew !== normalizedOld) {
+      if (file.type !== "directory" && existing.type === "directory") {
+        throw createError("EISDIR", "rename", normalizedOld, normalizedNew);
+      }
+      if (file.type === "directory" && existing.type !== "directory") {
+        throw createError("ENOTDIR", "rename", normalizedOld, normalizedNew);
+      }
+      if (existing.type === "directory") {
+        /** @type {{count:number}} */
+        const child = this.sql
+          .exec(
+            "SELECT COUNT(*) as count FROM files WHERE parent_path = ?",
+            normalizedNew
+          )
+          .toArray()[0];
+        if (child.count > 0) {
+          throw createError(
+            "ENOTEMPTY",
+            "rename",
+            normalizedOld,
+            normalizedNew
+          );
+        }
+      }
+      // Like POSIX rename, replace the destination
+      coldKeys = this.removeEntry(normalizedNew);
+    }
+
+    // The usage of the entry moves to the directories containing its new path
+    const usage = this.getEntryUsage(file);
+    this.addUsage(normalizedOld, -usage.size, -usage.files);
+    this.addUsage(normalizedNew, usage.size, usage.files);
+
+    const now = Math.floor(Date.now() / 1000);
+
+    // Update the file itself
+    this.sql.exec(
+      `
+      UPDATE files 
+      SET path = ?, parent_path = ?, name = ?, mtime = ?
+      WHERE path = ?
+    `,
+      normalizedNew,
+      newParent,
+      this.getFileName(normalizedNew),
+      now,
+      normalizedOld
+    );
+    this.sql.exec(
+      "UPDATE chunks SET path = ? WHERE path = ?",
+      normalizedNew,
+      normalizedOld
+    );
+    this.sql.exec(
+      "UPDATE files SET linked_path = ? WHERE linked_path = ?",
+      normalizedNew,
+      normalizedOld
+    );
+    // The search index follows the entry, and everything inside it
+    const below = getEntryRange("path", normalizedOld);
+    for (const table of ["search_lines", "search_stale"]) {
+      this.sql.exec(
+        `UPDATE ${table} SET path = ? || substr(path, ?) WHERE path = ? OR ${below.condition}`,
+        normalizedNew,
+        normalizedOld.length + 1,
+        normalizedOld,
+        ...below.bounds
+      );
+    }
+
+    // If it's a directory, update all children
+    if (file.type === "directory") {
+      /** @type {File[]} */
+      const children = this.sql
+        .exec(`SELECT * FROM files WHERE ${below.condition}`, ...below.bounds)
+        .toArray();
+      for (const child of children) {
+        const newChildPath = child.path.replace(normalizedOld, normalizedNew);
+        const newChildParent = this.getParentPath(newChildPath);
+        this.sql.exec(
+          `
+          UPDATE files 
+          SET path = ?, parent_path = ?
+          WHERE path = ?
+        `,
+          newChildPath,
+          newChildParent,
+          child.path
+        );
+        this.sql.exec(
+          "UPDATE chunks SET path = ? WHERE path = ?",
+          newChildPath,
+          child.path
+        );
+      }
+      const linked = getEntryRange("linked_path", normalizedOld);
+      this.sql.exec(
+        `
+        UPDATE files
+        SET linked_path = ? || substr(linked_path, ?)
+        WHERE ${linked.condition}
+      `,
+        normalizedNew,
+        normalizedOld.length + 1,
+        ...linked.bounds
+      );
+      this.sql.exec(
+        `
+        UPDATE usage
+        SET path = ? || substr(path, ?)
+        WHERE path = ? OR ${below.condition}
+      `,
+        normalizedNew,
+        normalizedOld.length + 1,
+        normalizedOld,
+        ...below.bounds
+      );
+    }
+
+    this.notify("rename", normalizedOld);
+    this.notify("rename", normalizedNew);
+    return coldKeys;
+  }
+
+  /**
+   * Start moving a path to another disk by adding it to the journal
+   * @param {string} oldPath - Path to move
+   * @param {string} newPath - Path on another disk to move it to
+   * @returns {Promise<Move>} - Journal entry
+   */
+  async beginMove(oldPath, newPath) {
+    const src = this.resolvePath(oldPath, "rename", false);
+    const dest = this.normalizePath(newPath);
+    const file = this.sql
+      .exec("SELECT type FROM files WHERE path = ?", src)
+      .toArray()[0];
+    if (!file) {
+      throw createError("ENOENT", "rename", src, dest);
+    }
+    if (dest.startsWith(`${src}/`)) {
+      throw createError("EINVAL", "rename", src, dest);
+    }
+    this.assertParentDirectory(src, "rename");
+
+    const id = crypto.randomUUID();
+    const parent = this.getParentPath(dest);
+    /** @type {Move} */
+    const move = {
+      id,
+      src,
+      dest,
+      staging: `${parent === "/" ? "" : parent}/.${this.getFileName(
+        dest
+      )}.move-${id}`,
+      state: "copying",
+      started: Date.now(),
+    };
+    this.sql.exec(
+      "INSERT INTO moves (id, src, dest, staging, state, started) VALUES (?, ?, ?, ?, ?, ?)",
+      move.id,
+      move.src,
+      move.dest,
+      move.staging,
+      move.state,
+      move.started
+    );
+    await this.scheduleAlarm(move.started + MOVE_TIMEOUT);
+    return move;
+  }
+
+  /**
+   * Change the state of a move in the journal
+   * @param {string} id - Move ID
+   * @param {Move['state']} from - State the move must be in
+   * @param {Move['state']} to - New state
+   */
+  async updateMove(id, from, to) {
+    /** @type {{state: string}|undefined} */
+    const move = this.sql
+      .exec("SELECT state FROM moves WHERE id = ?", id)
+      .toArray()[0];
+    if (move?.state !== from) {
+      throw new Error(`Move ${id} is ${move?.state || "settled"}, not ${from}`);
+    }
+    this.sql.exec("UPDATE moves SET state = ? WHERE id = ?", to, id);
+  }
+
+  /**
+   * Finish a committed move by removing its source and journal entry
+   * @param {string} id - Move ID
+   */
+  async completeMove(id) {
+    const coldKeys = this.ctx.storage.transactionSync(() => {
+      /** @type {Move|undefined} */
+      const move = this.sql
+        .exec("SELECT * FROM moves WHERE id = ?", id)
+        .toArray()[0];
+      if (!move) return [];
+      this.sql.exec("DELETE FROM moves WHERE id = ?", id);
+      return this.removeEntry(move.src, { recursive: true, force: true });
+    });
+    await this.deleteColdContent(coldKeys);
+  }
+
+  /**
+   * Remove an undone move from the journal
+   * @param {string} id - Move ID
+   */
+  async forgetMove(id) {
+    this.sql.exec("DELETE FROM moves WHERE id = ?", id);
+  }
+
+  /**
+   * Find the unexpired WebDAV locks of the disk covering a path: locks on
+   * the path, locks with depth infinity on the directories above it and, when
+   * asked, locks on the entries below it
+   * @param {string} path - Path
+   * @param {boolean} below - Also find locks on the entries below the path
+   * @returns {Promise<string[]>} - Tokens of the locks
+   */
+  async findLocks(path, below) {
+    return this.getLocks(this.normalizePath(path), below);
+  }
+
+  /**
+   * Shared implementation of findLocks() and lock()
+   * @param {string} path - Normalized path
+   * @param {boolean} below - Also find locks on the entries below the path
+   * @returns {string[]} - Tokens of the locks
+   */
+  getLocks(path, below) {
+    const range = getEntryRange("path", path);
+    const ancestors = ["/"];
+    for (let i = path.indexOf("/", 1); i !== -1; i = path.indexOf("/", i + 1)) {
+      ancestors.push(path.substring(0, i));
+    }
+    /** @type {{token: string}[]} */
+    const locks = this.sql
+      .exec(
+        `
+        SELECT token FROM locks WHERE expires > ? AND (
+          path = ?
+          OR (depth = 'infinity' AND path IN (${ancestors.map(() => "?")}))
+          OR (? AND ${range.condition})
+        )
+      `,
+        Date.now(),
+        path,
+        ...ancestors,
+        below ? 1 : 0,
+        ...range.bounds
+      )
+      .toArray();
+    return locks.map((lock) => lock.token);
+  }
 
+  /**
+   * Grant an exclusive WebDAV write lock on a path, unless a lock on the disk
+   * covers it already, see findLocks()
+   * @param {string} path - Path to lock
+   * @param {'0'|'infinity'} depth - Whether the lock also covers the entries below the path
+   * @param {number} seconds - Time until the lock expires
+   * @returns {Promise<string|null>} - Token of the lock, or null when the path is locked
+   */
+  async lock(path, depth, seconds) {
+    const normalizedPath = this.normalizePath(path);
+    this.sql.exec("DELETE FROM locks WHERE expires <= ?", Date.now());
+    if (this.getLocks(normalizedPath, depth === "infinity").length > 0) {
+      return null;
+    }
+    const token = `opaquelocktoken:${crypto.randomUUID()}`;
     this.sql.exec(
-      `CREATE INDEX IF NOT EXISTS idx_parent_path ON files(parent_path)`
+      "INSERT INTO locks (token, path, depth, expires) VALUES (?, ?, ?, ?)",
+      token,
+      normalizedPath,
+      depth,
+      Date.now() + seconds * 1000
     );
-    this.sql.exec(`CREATE INDEX IF NOT EXISTS idx_name ON files(name)`);
-    this.sql.exec(`CREATE INDEX IF NOT EXISTS idx_type ON files(type)`);
+    return token;
+  }
+
+  /**
+   * Extend a WebDAV lock on a path
+   * @param {string} path - Locked path
+   * @param {string} token - Token of the lock
+   * @param {number} seconds - Time from now until the lock expires
+   * @returns {Promise<'0'|'infinity'|null>} - Depth of the lock, or null when the path has no such lock
+   */
+  async refreshLock(path, token, seconds) {
+    /** @type {{depth: '0'|'infinity'}|undefined} */
+    const lock = this.sql
+      .exec(
+        "UPDATE locks SET expires = ? WHERE token = ? AND path = ? AND expires > ? RETURNING depth",
+        Date.now() + seconds * 1000,
+        token,
+        this.normalizePath(path),
+        Date.now()
+      )
+      .toArray()[0];
+    return lock?.depth ?? null;
+  }
+
+  /**
+   * Remove a WebDAV lock on a path
+   * @param {string} path - Locked path
+   * @param {string} token - Token of the lock
+   * @returns {Promise<boolean>} - Whether the path had the lock
+   */
+  async unlock(path, token) {
+    return (
+      this.sql
+        .exec(
+          "DELETE FROM locks WHERE token = ? AND path = ? RETURNING token",
+          token,
+          this.normalizePath(path)
+        )
+        .toArray().length > 0
+    );
+  }
+
+  /**
+   * Remove the WebDAV locks on a path and the entries below it, once they
+   * were removed or moved away
+   * @param {string} path - Path
+   */
+  async releaseLocks(path) {
+    const normalizedPath = this.normalizePath(path);
+    const below = getEntryRange("path", normalizedPath);
+    this.sql.exec(
+      `DELETE FROM locks WHERE path = ? OR ${below.condition}`,
+      normalizedPath,
+      ...below.bounds
+    );
+  }
+
+  /**
+   * Remove files and directories
+   * @param {string} path - Path to remove
+   * @param {RmOptions} options - Remove options
+   */
+  async rm(path, options = {}) {
+    await this.transact((coldKeys) => {
+      coldKeys.push(...this.removeEntry(path, options));
+    });
+    await this.schedulePruning(this.normalizePath(path));
+  }
+
+  /**
+   * Remove a file or directory from the disk. Objects holding the removed
+   * content in cold storage are left for the caller to delete.
+   * @param {string} path - Path to remove
+   * @param {RmOptions} options - Remove options
+   * @returns {string[]} - Keys of the cold storage objects to delete
+   */
+  removeEntry(path, options = {}) {
+    const normalizedPath = this.resolvePath(path, "rm", false);
+    const file = this.sql
+      .exec("SELECT * FROM files WHERE path = ?", normalizedPath)
+      .toArray()[0];
+
+    if (!file) {
+      if (options.force) {
+        return [];
+      }
+      throw createError("ENOENT", "rm", normalizedPath);
+    }
+    this.assertParentDirectory(normalizedPath, "rm");
+    const usage = this.getEntryUsage(file);
+
+    /** @type {string[]} */
+    const coldKeys = [];
+    if (file.type === "directory") {
+      if (!options.recursive) {
+        /** @type {{count:number}} */
+        const child = this.sql
+          .exec(
+            "SELECT COUNT(*) as count FROM files WHERE parent_path = ?",
+            normalizedPath
+          )
+          .toArray()[0];
+        if (child.count > 0) {
+          throw createError("ENOTEMPTY", "rm", normalizedPath);
+        }
+      } else {
+        this.assertAccess(file, constants.W_OK, "rm", normalizedPath);
+        const below = getEntryRange("path", normalizedPath);
+        const links = getEntryRange("linked_path", normalizedPath);
+
+        /** @type {{linked_path: string}[]} */
+        const linked = this.sql
+          .exec(
+            `SELECT DISTINCT linked_path FROM files WHERE ${links.condition}`,
+            ...links.bounds
+          )
+          .toArray();
+        const detached = new Set();
+        for (const { linked_path } of linked) {
+          if (this.detachHardLinks(linked_path, normalizedPath)) {
+            detached.add(linked_path);
+          }
+        }
+
+        if (this.getVersioning(normalizedPath)) {
+          /** @type {File[]} */
+          const files = this.sql
+            .exec(
+              `SELECT * FROM files WHERE ${below.condition} AND type = 'file' AND linked_path IS NULL`,
+              ...below.bounds
+            )
+            .toArray();
+          for (const child of files) {
+            if (!detached.has(child.path)) {
+              coldKeys.push(...this.archiveFile(child));
+            }
+          }
+        } else {
+          /** @type {{r2_key: string|null, hash: string|null}[]} */
+          const stored = this.sql
+            .exec(
+              `SELECT r2_key, hash FROM files WHERE ${below.condition} AND (r2_key IS NOT NULL OR hash IS NOT NULL)`,
+              ...below.bounds
+            )
+            .toArray();
+          for (const row of stored) {
+            coldKeys.push(
+              ...(row.hash ? this.releaseBlob(row.hash) : [row.r2_key])
+            );
+          }
+        }
+
+        // Remove all children recursively
+        for (const table of [
+          "files",
+          "chunks",
+          "usage",
+          "search_lines",
+          "search_stale",
+        ]) {
+          this.sql.exec(
+            `DELETE FROM ${table} WHERE ${below.condition}`,
+            ...below.bounds
+          );
+        }
+      }
+    } else if (file.type === "file" && !file.linked_path) {
+      if (!this.detachHardLinks(normalizedPath, normalizedPath)) {
+        coldKeys.push(...this.archiveFile(file));
+      }
+    }
+
+    // Remove the file/directory itself
+    this.sql.exec("DELETE FROM files WHERE path = ?", normalizedPath);
+    this.sql.exec("DELETE FROM chunks WHERE path = ?", normalizedPath);
+    this.sql.exec("DELETE FROM usage WHERE path = ?", normalizedPath);
+    for (const table of ["search_lines", "search_stale"]) {
+      this.sql.exec(`DELETE FROM ${table} WHERE path = ?`, normalizedPath);
+    }
+    this.addUsage(normalizedPath, -usage.size, -usage.files);
+    this.notify("rename", normalizedPath);
+    return coldKeys;
+  }
+
+  /**
+   * Run operations in one transaction, see batch(). Watchers are notified,
+   * and replaced content is deleted from cold storage, once it commits.
+   * @param {BatchOperation[]} operations - Operations to run, in order
+   * @returns {Promise<any[]>} - The result of every operation
+   */
+  async batch(operations) {
+    // Written content is encoded up front, as the transaction can't wait
+    const contents = await Promise.all(
+      operations.map(([name, path, data, options]) => {
+        const buffer =
+          name === "writeFile"
+            ? encodeData(data, getEncoding(options, "open", path))
+            : null;
+        return buffer
+          ? this.encodeContent(
+              this.normalizePath(path),
+              buffer,
+              typeof options === "object" ? options?.compression : undefined
+            )
+          : null;
+      })
+    );
+
+    const results = await this.transact((coldKeys) =>
+      operations.map(([name, ...args], index) =>
+        this.runOperation(name, args, coldKeys, contents[index])
+      )
+    );
+    await this.scheduleColdStorage();
+    for (const [, path] of operations) {
+      await this.schedulePruning(this.normalizePath(path));
+    }
+    return results;
+  }
+
+  /**
+   * Make changes in one transaction. Their change events are sent, and the
+   * cold storage objects they free deleted, once it committed.
+   * @template T
+   * @param {(coldKeys: string[]) => T} changes - Makes the changes, collecting the keys of cold storage objects to delete
+   * @returns {Promise<T>} - What `changes` returned
+   */
+  async transact(changes) {
+    /** @type {string[]} */
+    const coldKeys = [];
+    const events = [];
+    this.pendingEvents = events;
+    let result;
+    try {
+      result = this.ctx.storage.transactionSync(() => changes(coldKeys));
+    } finally {
+      this.pendingEvents = null;
+    }
+
+    for (const [eventType, path] of events) {
+      this.notify(eventType, path);
+    }
+    await this.deleteColdContent(coldKeys);
+    return result;
+  }
+
+  /**
+   * Create the staging directory of an import, see importArchive(). It is
+   * kept in a journal, so readdir(), glob(), search() and watch() leave it
+   * out and the alarm removes it when the import is not committed within
+   * IMPORT_TIMEOUT.
+   * @param {string} staging - Staging directory
+   */
+  async beginImport(staging) {
+    const normalizedPath = this.normalizePath(staging);
+    const started = Date.now();
+    await this.transact(() => {
+      const created = this.createDirectory(normalizedPath, { recursive: true });
+      this.sql.exec(
+        "INSERT INTO imports (staging, created, started) VALUES (?, ?, ?)",
+        normalizedPath,
+        created === normalizedPath ? null : created,
+        started
+      );
+    });
+    await this.scheduleAlarm(started + IMPORT_TIMEOUT);
+  }
+
+  /**
+   * Remove the staging directory of an import that failed or timed out, the
+   * directories created for it while they are still empty, and its journal
+   * entry
+   * @param {string} staging - Staging directory
+   */
+  async endImport(staging) {
+    const normalizedPath = this.normalizePath(staging);
+    /** @type {{created: string|null}|undefined} */
+    const entry = this.sql
+      .exec("SELECT created FROM imports WHERE staging = ?", normalizedPath)
+      .toArray()[0];
+    const created = entry?.created;
+    await this.transact((coldKeys) => {
+      coldKeys.push(
+        ...this.removeEntry(normalizedPath, { recursive: true, force: true })
+      );
+      for (
+        let directory = this.getParentPath(normalizedPath);
+        created && (directory === created || isBelow(directory, created));
+        directory = this.getParentPath(directory)
+      ) {
+        const children = this.sql
+          .exec("SELECT 1 FROM files WHERE parent_path = ? LIMIT 1", directory)
+          .toArray();
+        if (children.length > 0) break;
+        coldKeys.push(...this.removeEntry(directory, { force: true }));
+      }
+    });
+    // Removed after the change events were sent, which leave it out
+    this.sql.exec("DELETE FROM imports WHERE staging = ?", normalizedPath);
+  }
+
+  /**
+   * Get a check for whether a path is in the staging directory of an import
+   * in progress, see beginImport()
+   * @returns {(path: string) => boolean} - Check of a normalized path
+   */
+  getStagedCheck() {
+    /** @type {string[]} */
+    const stagings = this.sql
+      .exec("SELECT staging FROM imports")
+      .toArray()
+      .map((row) => row.staging);
+    return (path) =>
+      stagings.some((staging) => path === staging || isBelow(path, staging));
+  }
+
+  /**
+   * Move the entries importArchive() unpacked into a staging directory to
+   * their place, creating the directory they go to, and remove the staging
+   * directory, in one transaction
+   * @param {string} staging - Staging directory
+   * @param {string} root - Directory the entries are unpacked into
+   * @param {ArchiveEntry[]} entries - Entries, named relative to both directories, parents before their children
+   * @param {boolean} overwrite - Replace existing entries instead of failing with EEXIST
+   */
+  async commitImport(staging, root, entries, overwrite) {
+    const base = root === "/" ? "" : this.normalizePath(root);
+    await this.transact((coldKeys) => {
+      if (base) this.createDirectory(base, { recursive: true });
+      for (const entry of entries) {
+        const path = `${base}/${entry.name}`;
+        const existing = this.sql
+          .exec("SELECT type FROM files WHERE path = ?", path)
+          .toArray()[0];
+        // Directories are merged into existing ones
+        if (existing?.type === "directory" && entry.type === "directory") {
+          entry.mtime = null;
+          continue;
+        }
+        if (existing && !overwrite) {
+          throw createError("EEXIST", "import", path);
+        }
+        if (existing) {
+          coldKeys.push(...this.removeEntry(path, { recursive: true }));
+        }
+        if (entry.type === "directory") {
+          this.createDirectory(path, { mode: entry.mode });
+        } else {
+          coldKeys.push(...this.moveEntry(`${staging}/${entry.name}`, path));
+        }
+      }
+      // Moving entries in changes the times of the directories above them
+      for (const entry of entries) {
+        if (entry.mtime !== null) {
+          this.changeTimes(
+            `${base}/${entry.name}`,
+            entry.mtime,
+            entry.mtime,
+            "utime",
+            false
+          );
+        }
+      }
+      coldKeys.push(...this.removeEntry(staging, { recursive: true }));
+    });
+    this.sql.exec(
+      "DELETE FROM imports WHERE staging = ?",
+      this.normalizePath(staging)
+    );
+    await this.scheduleColdStorage();
+    await this.schedulePruning(this.normalizePath(root));
+  }
+
+  /**
+   * Run a single operation of a batch
+   * @param {string} name - Name of the operation
+   * @param {any[]} args - Arguments of the operation
+   * @param {string[]} coldKeys - Collects the keys of cold storage objects to delete after the batch
+   * @param {EncodedContent|null} content - Content written by a writeFile operation
+   * @returns {any} - Result of the operation
+   */
+  runOperation(name, args, coldKeys, content) {
+    try {
+      switch (name) {
+        case "mkdir":
+          return this.createDirectory(args[0], args[1]);
+        case "writeFile": {
+          const [path, data, options] = args;
+          const writeOptions =
+            typeof options === "string" ? { encoding: options } : options || {};
+          if ((writeOptions.flag || "w") !== "w") {
+            throw createError("EINVAL", "open", path);
+          }
+          if (!content) {
+            throw createError("EINVAL", "write", path);
+          }
+          coldKeys.push(...this.storeFile(path, content, null, writeOptions));
+          this.indexText(
+            this.resolveFile(path, "open"),
+            encodeData(data, getEncoding(writeOptions, "open", path))
+          );
+          return undefined;
+        }
+        case "rename":
+          coldKeys.push(...this.moveEntry(args[0], args[1]));
+          return undefined;
+        case "rm":
+          coldKeys.push(...this.removeEntry(args[0], args[1]));
+          return undefined;
+        case "stat":
+          return this.getStats(args[0], "stat", true);
+        default:
+          throw createError("EINVAL", "batch", name);
+      }
+    } catch (error) {
+      // Links to other disks can't be followed inside a transaction
+      const redirect = parseRedirect(error);
+      if (redirect) throw createError("EXDEV", redirect.syscall, args[0]);
+      throw error;
+    }
+  }
+
+  /**
+   * Get file statistics
+   * @param {string} path - File path
+   * @param {Object} options - Stat options
+   * @returns {Promise<Stats>} - File statistics
+   */
+  async stat(path, options = {}) {
+    return this.getStats(path, "stat", true);
   }
 
   /**
-   * Normalize path by removing trailing slashes and resolving relative parts
-   * @param {string} path - Path to normalize
-   * @returns {string} - Normalized path
+   * Get file statistics without following a final symbolic link
+   * @param {string} path - File path
+   * @param {Object} options - Stat options
+   * @returns {Promise<Stats>} - File statistics
    */
-  normalizePath(path) {
-    if (path === "/") return "/";
-    return path.replace(/\/+$/, "").replace(/\/+/g, "/");
+  async lstat(path, options = {}) {
+    return this.getStats(path, "lstat", false);
   }
 
   /**
-   * Get parent directory path
+   * Get the statistics of a path
    * @param {string} path - File path
-   * @returns {string} - Parent directory path
+   * @param {string} syscall - Name of the operation, used in errors
+   * @param {boolean} followLast - Follow a symbolic link in the last segment
+   * @returns {Stats} - File statistics
    */
-  getParentPath(path) {
-    const normalized = this.normalizePath(path);
-    if (normalized === "/") return null;
-    const lastSlash = normalized.lastIndexOf("/");
-    return lastSlash <= 0 ? "/" : normalized.substring(0, lastSlash);
+  getStats(path, syscall, followLast) {
+    path = this.resolvePath(path, syscall, followLast);
+    /** @type {File} */
+    const file =
+      this.sql.exec("SELECT * FROM files WHERE path = ?", path).toArray()[0] ||
+      (path === "/" ? ROOT_DIRECTORY : undefined);
+    if (!file) {
+      throw createError("ENOENT", syscall, path);
+    }
+
+    return this.toStats(file);
   }
 
   /**
-   * Get filename from path
-   * @param {string} path - File path
-   * @returns {string} - Filename
+   * Get statistics of the disk
+   * @param {string} path - Any existing path on the disk
+   * @returns {Promise<StatFs>} - Filesystem statistics
    */
-  getFileName(path) {
-    const normalized = this.normalizePath(path);
-    if (normalized === "/") return "";
-    const lastSlash = normalized.lastIndexOf("/");
-    return normalized.substring(lastSlash + 1);
+  async statfs(path) {
+    const normalizedPath = this.resolvePath(path, "statfs");
+    this.getStats(normalizedPath, "statfs", false);
+
+    const quota = findMount(normalizedPath).entry.quota;
+    const usage = this.getDirectoryUsage("/");
+    const capacity = Math.min(quota?.maxBytes ?? Infinity, DISK_CAPACITY);
+    const free = Math.min(
+      capacity - usage.size,
+      DISK_CAPACITY - this.sql.databaseSize
+    );
+    const maxFiles = quota?.maxFiles ?? 0;
+    return {
+      type: DOFS_MAGIC,
+      bsize: BLOCK_SIZE,
+      blocks: Math.floor(capacity / BLOCK_SIZE),
+      bfree: Math.max(0, Math.floor(free / BLOCK_SIZE)),
+      bavail: Math.max(0, Math.floor(free / BLOCK_SIZE)),
+      files: maxFiles,
+      ffree: Math.max(0, maxFiles - usage.files),
+    };
   }
 
   /**
-   * Copy a file
-   * @param {string} src - Source path
-   * @param {string} dest - Destination path
-   * @param {number} mode - Copy mode
+   * Get the space used by everything inside a directory
+   * @param {string} path - Directory path
+   * @returns {Promise<DiskUsage>} - Space used
    */
-  async copyFile(src, dest, mode) {
-    const srcFile = this.sql
-      .exec("SELECT * FROM files WHERE path = ?", src)
-      .toArray()[0];
-    if (!srcFile || srcFile.type !== "file") {
-      throw new Error("Source file not found");
+  async du(path) {
+    const normalizedPath = this.resolvePath(path, "du");
+    if (!this.getStats(normalizedPath, "du", false).isDirectory) {
+      throw createError("ENOTDIR", "du", normalizedPath);
     }
+    return this.getDirectoryUsage(normalizedPath);
+  }
 
-    const destParent = this.getParentPath(dest);
-    if (destParent && destParent !== "/") {
-      const parent = this.sql
-        .exec("SELECT * FROM files WHERE path = ?", destParent)
-        .toArray()[0];
-      if (!parent || parent.type !== "directory") {
-        throw new Error("Destination directory does not exist");
-      }
+  /**
+   * Create a symbolic link
+   * @param {string} target - Path the link points to, stored as given
+   * @param {string} path - Path of the link
+   */
+  async symlink(target, path) {
+    const normalizedPath = this.resolvePath(path, "symlink", false);
+    const existing = this.sql
+      .exec("SELECT type FROM files WHERE path = ?", normalizedPath)
+      .toArray()[0];
+    if (existing) {
+      throw createError("EEXIST", "symlink", target, normalizedPath);
     }
+    this.assertParentDirectory(normalizedPath, "symlink");
+    this.assertSpace(0, 1, "symlink", target, normalizedPath);
 
     const now = Math.floor(Date.now() / 1000);
+    const owner = this.getOwner();
     this.sql.exec(
       `
-      INSERT OR REPLACE INTO files 
-      (path, parent_path, name, type, content, size, mode, uid, gid, mtime, ctime, atime)
-      VALUES (?, ?, ?, 'file', ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO files
+      (path, parent_path, name, type, target, size, mode, uid, gid, mtime, ctime, atime)
+      VALUES (?, ?, ?, 'symlink', ?, ?, ?, ?, ?, ?, ?, ?)
     `,
-      dest,
-      destParent,
-      this.getFileName(dest),
-      srcFile.content,
-      srcFile.size,
-      srcFile.mode,
-      srcFile.uid,
-      srcFile.gid,
+      normalizedPath,
+      this.getParentPath(normalizedPath),
+      this.getFileName(normalizedPath),
+      target,
+      new TextEncoder().encode(target).byteLength,
+      SYMLINK_MODE,
+      owner.uid,
+      owner.gid,
       now,
       now,
       now
     );
+    this.addUsage(normalizedPath, 0, 1);
+    this.notify("rename", normalizedPath);
   }
 
   /**
-   * Copy files and directories recursively
-   * @param {string} src - Source path
-   * @param {string} dest - Destination path
-   * @param {CopyOptions} options - Copy options
+   * Read the target of a symbolic link
+   * @param {string} path - Path of the link
+   * @returns {Promise<string>} - Link target
    */
-  async cp(src, dest, options = {}) {
-    const srcFile = this.sql
-      .exec("SELECT * FROM files WHERE path = ?", src)
+  async readlink(path) {
+    const normalizedPath = this.resolvePath(path, "readlink", false);
+    /** @type {File} */
+    const file = this.sql
+      .exec("SELECT type, target FROM files WHERE path = ?", normalizedPath)
       .toArray()[0];
-    if (!srcFile) {
-      throw new Error("Source does not exist");
+    if (!file) {
+      throw createError("ENOENT", "readlink", normalizedPath);
     }
-
-    if (srcFile.type === "file") {
-      await this.copyFile(src, dest, 0);
-    } else if (srcFile.type === "directory") {
-      if (!options.recursive) {
-        throw new Error("Cannot copy directory without recursive option");
-      }
-
-      // Create destination directory
-      await this.mkdir(dest, { recursive: true });
-
-      // Copy all children
-      const children = this.sql
-        .exec("SELECT * FROM files WHERE parent_path = ?", src)
-        .toArray();
-      for (const child of children) {
-        const childSrc = child.path;
-        const childDest = `${dest}/${child.name}`;
-        await this.cp(childSrc, childDest, options);
-      }
+    if (file.type !== "symlink") {
+      throw createError("EINVAL", "readlink", normalizedPath);
     }
+    return file.target;
   }
 
   /**
-   * Create directory
-   * @param {string} path - Directory path
-   * @param {MkdirOptions} options - Options
-   * @returns {Promise<string|undefined>} - First created directory path
+   * Create a hard link: a new row sharing the content of an existing file
+   * @param {string} existingPath - Path of the existing file
+   * @param {string} newPath - Path of the link
    */
-  async mkdir(path, options = {}) {
-    const normalizedPath = this.normalizePath(path);
-
-    // Check if already exists
+  async link(existingPath, newPath) {
+    const [src, dest] = this.resolvePair(existingPath, newPath, "link", false);
+    /** @type {File} */
+    const file = this.sql
+      .exec("SELECT * FROM files WHERE path = ?", src)
+      .toArray()[0];
+    if (!file) {
+      throw createError("ENOENT", "link", src, dest);
+    }
+    if (file.type === "directory") {
+      throw createError("EPERM", "link", src, dest);
+    }
     const existing = this.sql
-      .exec("SELECT * FROM files WHERE path = ?", normalizedPath)
+      .exec("SELECT type FROM files WHERE path = ?", dest)
       .toArray()[0];
     if (existing) {
-      if (existing.type === "directory") {
-        return undefined; // Already exists
-      } else {
-        throw new Error("File exists and is not a directory");
-      }
-    }
-
-    const parentPath = this.getParentPath(normalizedPath);
-    let firstCreated = undefined;
-
-    if (parentPath && parentPath !== "/") {
-      const parent = this.sql
-        .exec("SELECT * FROM files WHERE path = ?", parentPath)
-        .toArray()[0];
-      if (!parent) {
-        if (options.recursive) {
-          firstCreated = await this.mkdir(parentPath, options);
-        } else {
-          throw new Error("Parent directory does not exist");
-        }
-      } else if (parent.type !== "directory") {
-        throw new Error("Parent is not a directory");
-      }
+      throw createError("EEXIST", "link", src, dest);
     }
+    this.assertParentDirectory(dest, "link");
+    this.assertSpace(0, 1, "link", src, dest);
 
+    // A link to a symbolic link is another symbolic link with the same target
     const now = Math.floor(Date.now() / 1000);
-    const mode = options.mode || 0o777;
-
     this.sql.exec(
       `
-      INSERT INTO files 
-      (path, parent_path, name, type, size, mode, uid, gid, mtime, ctime, atime)
-      VALUES (?, ?, ?, 'directory', 0, ?, 0, 0, ?, ?, ?)
+      INSERT INTO files
+      (path, parent_path, name, type, target, linked_path, size, mode, uid, gid, mtime, ctime, atime)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `,
-      normalizedPath,
-      parentPath,
-      this.getFileName(normalizedPath),
-      mode,
+      dest,
+      this.getParentPath(dest),
+      this.getFileName(dest),
+      file.type,
+      file.target,
+      file.type === "file" ? file.linked_path || src : null,
+      file.size,
+      file.mode,
+      file.uid,
+      file.gid,
       now,
       now,
       now
     );
-
-    return firstCreated || normalizedPath;
+    this.addUsage(dest, 0, 1);
+    this.notify("rename", dest);
   }
 
   /**
-   * Read directory contents
-   * @param {string} path - Directory path
-   * @param {Object} options - Read options
-   * @returns {Promise<string[]|Object[]>} - Directory entries
+   * Resolve a path to its canonical form, following all symbolic links
+   * @param {string} path - Path to resolve
+   * @returns {Promise<string>} - Resolved path
    */
-  async readdir(path, options = {}) {
-    const normalizedPath = this.normalizePath(path);
-    const dir = this.sql
-      .exec("SELECT * FROM files WHERE path = ?", normalizedPath)
+  async realpath(path) {
+    const resolved = this.resolvePath(path, "realpath");
+    if (resolved === "/") return resolved;
+    const file = this.sql
+      .exec("SELECT type FROM files WHERE path = ?", resolved)
       .toArray()[0];
-
-    if (!dir) {
-      throw new Error("Directory does not exist");
-    }
-    if (dir.type !== "directory") {
-      throw new Error("Not a directory");
-    }
-
-    /**
-     * @type {File[]}
-     */
-    const entries = this.sql
-      .exec(
-        "SELECT * FROM files WHERE parent_path = ? ORDER BY name",
-        normalizedPath
-      )
-      .toArray();
-
-    if (options.withFileTypes) {
-      return entries.map((entry) => ({
-        name: entry.name,
-        isFile: () => entry.type === "file",
-        isDirectory: () => entry.type === "directory",
-        isSymbolicLink: () => false,
-      }));
+    if (!file) {
+      throw createError("ENOENT", "realpath", resolved);
     }
-
-    return entries.map((entry) => entry.name);
+    return resolved;
   }
 
   /**
-   * Read file contents as buffer
+   * Check whether the caller can access a path
    * @param {string} path - File path
-   * @returns {Promise<ArrayBuffer>} - File contents
+   * @param {number} [mode=constants.F_OK] - Access to check
    */
-  async readFileBuffer(path) {
+  async access(path, mode = constants.F_OK) {
+    const normalizedPath = this.resolveFile(path, "access");
     /** @type {File} */
     const file = this.sql
-      .exec("SELECT * FROM files WHERE path = ?", path)
+      .exec("SELECT mode, uid, gid FROM files WHERE path = ?", normalizedPath)
       .toArray()[0];
-
-    if (!file) {
-      throw new Error("File does not exist");
+    if (!file && normalizedPath !== "/") {
+      throw createError("ENOENT", "access", normalizedPath);
     }
-    if (file.type !== "file") {
-      throw new Error("Not a file");
+    if (file) {
+      this.assertAccess(file, mode, "access", normalizedPath);
     }
-
-    // Update access time
-    const now = Math.floor(Date.now() / 1000);
-    this.sql.exec("UPDATE files SET atime = ? WHERE path = ?", now, path);
-
-    return file.content || new ArrayBuffer(0);
   }
 
   /**
-   * Read file contents
+   * Get the row whose metadata an operation changes, checking that the
+   * caller owns it (or is root)
    * @param {string} path - File path
-   * @param {ReadFileOptions|string} options - Read options
-   * @returns {Promise<ArrayBuffer|string>} - File contents
+   * @param {string} syscall - Name of the operation, used in errors
+   * @param {boolean} followLast - Follow a symbolic link in the last segment
+   * @returns {File} - File row
    */
-  async readFile(path, options) {
-    const buffer = await this.readFileBuffer(path);
-
-    let encoding = null;
-    if (typeof options === "string") {
-      encoding = options;
-    } else if (options && options.encoding) {
-      encoding = options.encoding;
+  getOwnedFile(path, syscall, followLast) {
+    const normalizedPath = this.resolveFile(path, syscall, followLast);
+    /** @type {File} */
+    const file = this.sql
+      .exec("SELECT * FROM files WHERE path = ?", normalizedPath)
+      .toArray()[0];
+    if (!file) {
+      throw createError("ENOENT", syscall, normalizedPath);
     }
-
-    // If no encoding specified, return ArrayBuffer (like Node.js Buffer)
-    if (!encoding) {
-      return buffer;
+    const credentials = credentialsStorage.getStore();
+    if (credentials && credentials.uid !== 0 && credentials.uid !== file.uid) {
+      throw createError("EPERM", syscall, normalizedPath);
     }
-
-    const decoder = new TextDecoder(encoding);
-    return decoder.decode(buffer);
+    return file;
   }
 
   /**
-   * Rename/move a file or directory
-   * @param {string} oldPath - Current path
-   * @param {string} newPath - New path
+   * Change the permission bits of a file
+   * @param {string} path - File path
+   * @param {number|string} mode - New mode, as a number or octal string
    */
-  async rename(oldPath, newPath) {
-    const normalizedOld = this.normalizePath(oldPath);
-    const normalizedNew = this.normalizePath(newPath);
-
-    const file = this.sql
-      .exec("SELECT * FROM files WHERE path = ?", normalizedOld)
-      .toArray()[0];
-    if (!file) {
-      throw new Error("Source does not exist");
+  async chmod(path, mode) {
+    const file = this.getOwnedFile(path, "chmod", true);
+    const bits = typeof mode === "string" ? parseInt(mode, 8) : mode;
+    if (!Number.isInteger(bits)) {
+      throw createError("EINVAL", "chmod", file.path);
     }
-
-    const newParent = this.getParentPath(normalizedNew);
-    if (newParent && newParent !== "/") {
-      const parent = this.sql
-        .exec("SELECT * FROM files WHERE path = ?", newParent)
-        .toArray()[0];
-      if (!parent || parent.type !== "directory") {
-        throw new Error("Destination directory does not exist");
-      }
-    }
-
-    const now = Math.floor(Date.now() / 1000);
-
-    // Update the file itself
     this.sql.exec(
-      `
-      UPDATE files 
-      SET path = ?, parent_path = ?, name = ?, mtime = ?
-      WHERE path = ?
-    `,
-      normalizedNew,
-      newParent,
-      this.getFileName(normalizedNew),
-      now,
-      normalizedOld
+      "UPDATE files SET mode = ?, ctime = ? WHERE path = ?",
+      (file.mode & ~0o7777) | (bits & 0o7777),
+      Math.floor(Date.now() / 1000),
+      file.path
     );
+    this.notify("change", file.path);
+  }
 
-    // If it's a directory, update all children
-    if (file.type === "directory") {
-      /** @type {File[]} */
-      const children = this.sql
-        .exec("SELECT * FROM files WHERE path LIKE ?", `${normalizedOld}/%`)
-        .toArray();
-      for (const child of children) {
-        const newChildPath = child.path.replace(normalizedOld, normalizedNew);
-        const newChildParent = this.getParentPath(newChildPath);
-        this.sql.exec(
-          `
-          UPDATE files 
-          SET path = ?, parent_path = ?
-          WHERE path = ?
-        `,
-          newChildPath,
-          newChildParent,
-          child.path
-        );
-      }
-    }
+  /**
+   * Change the owner and group of a file. Only root can change the owner;
+   * the owner can only change the group to one of their own groups.
+   * @param {string} path - File path
+   * @param {number} uid - New user ID (-1 keeps the current one)
+   * @param {number} gid - New group ID (-1 keeps the current one)
+   */
+  async chown(path, uid, gid) {
+    this.changeOwner(path, uid, gid, "chown", true);
   }
 
   /**
-   * Remove files and directories
-   * @param {string} path - Path to remove
-   * @param {RmOptions} options - Remove options
+   * Change the owner and group of a file without following a final symbolic link
+   * @param {string} path - File path
+   * @param {number} uid - New user ID (-1 keeps the current one)
+   * @param {number} gid - New group ID (-1 keeps the current one)
    */
-  async rm(path, options = {}) {
-    const normalizedPath = this.normalizePath(path);
-    const file = this.sql
-      .exec("SELECT * FROM files WHERE path = ?", normalizedPath)
-      .toArray()[0];
+  async lchown(path, uid, gid) {
+    this.changeOwner(path, uid, gid, "lchown", false);
+  }
 
-    if (!file) {
-      if (options.force) {
-        return;
-      }
-      throw new Error("File does not exist");
-    }
+  /**
+   * Shared implementation of chown() and lchown()
+   * @param {string} path - File path
+   * @param {number} uid - New user ID (-1 keeps the current one)
+   * @param {number} gid - New group ID (-1 keeps the current one)
+   * @param {string} syscall - Name of the operation, used in errors
+   * @param {boolean} followLast - Follow a symbolic link in the last segment
+   */
+  changeOwner(path, uid, gid, syscall, followLast) {
+    const file = this.getOwnedFile(path, syscall, followLast);
+    const newUid = uid === -1 ? file.uid : uid;
+    const newGid = gid === -1 ? file.gid : gid;
 
-    if (file.type === "directory") {
-      if (!options.recursive) {
-        /** @type {{count:number}} */
-        const child = this.sql
-          .exec(
-            "SELECT COUNT(*) as count FROM files WHERE parent_path = ?",
-            normalizedPath
-          )
-          .toArray()[0];
-        if (child.count > 0) {
-          throw new Error("Directory not empty");
-        }
-      } else {
-        // Remove all children recursively
-        this.sql.exec(
-          "DELETE FROM files WHERE path LIKE ?",
-          `${normalizedPath}/%`
-        );
-      }
+    const credentials = credentialsStorage.getStore();
+    if (
+      credentials &&
+      credentials.uid !== 0 &&
+      (newUid !== file.uid ||
+        (newGid !== file.gid && !isMember(credentials, newGid)))
+    ) {
+      throw createError("EPERM", syscall, file.path);
     }
 
-    // Remove the file/directory itself
-    this.sql.exec("DELETE FROM files WHERE path = ?", normalizedPath);
+    this.sql.exec(
+      "UPDATE files SET uid = ?, gid = ?, ctime = ? WHERE path = ?",
+      newUid,
+      newGid,
+      Math.floor(Date.now() / 1000),
+      file.path
+    );
+    this.notify("change", file.path);
   }
 
   /**
-   * Get file statistics
+   * Change the access and modification times of a file
    * @param {string} path - File path
-   * @param {Object} options - Stat options
-   * @returns {Promise<Stats>} - File statistics
+   * @param {number|string|Date} atime - New access time
+   * @param {number|string|Date} mtime - New modification time
    */
-  async stat(path, options = {}) {
-    const file = this.sql
-      .exec("SELECT * FROM files WHERE path = ?", path)
-      .toArray()[0];
-    if (!file) {
-      throw new Error("File does not exist");
-    }
+  async utimes(path, atime, mtime) {
+    this.changeTimes(path, atime, mtime, "utime", true);
+  }
 
-    return {
-      isFile: file.type === "file",
-      isDirectory: file.type === "directory",
-      isSymbolicLink: false,
-      size: file.size,
-      mode: file.mode,
-      uid: file.uid,
-      gid: file.gid,
-      mtime: new Date(file.mtime * 1000),
-      ctime: new Date(file.ctime * 1000),
-      atime: new Date(file.atime * 1000),
-    };
+  /**
+   * Change the access and modification times of a file without following a
+   * final symbolic link
+   * @param {string} path - File path
+   * @param {number|string|Date} atime - New access time
+   * @param {number|string|Date} mtime - New modification time
+   */
+  async lutimes(path, atime, mtime) {
+    this.changeTimes(path, atime, mtime, "lutime", false);
+  }
+
+  /**
+   * Shared implementation of utimes() and lutimes()
+   * @param {string} path - File path
+   * @param {number|string|Date} atime - New access time
+   * @param {number|string|Date} mtime - New modification time
+   * @param {string} syscall - Name of the operation, used in errors
+   * @param {boolean} followLast - Follow a symbolic link in the last segment
+   */
+  changeTimes(path, atime, mtime, syscall, followLast) {
+    const file = this.getOwnedFile(path, syscall, followLast);
+    const newAtime = toUnixTime(atime);
+    const newMtime = toUnixTime(mtime);
+    if (!Number.isFinite(newAtime) || !Number.isFinite(newMtime)) {
+      throw createError("EINVAL", syscall, file.path);
+    }
+    this.sql.exec(
+      "UPDATE files SET atime = ?, mtime = ? WHERE path = ?",
+      newAtime,
+      newMtime,
+      file.path
+    );
+    this.notify("change", file.path);
   }
 
   /**
@@ -713,74 +8848,413 @@ export class DOFS extends DurableObject {
    * @param {Object} options - Write options
    */
   async writeFileBuffer(path, data, options = {}) {
-    const normalizedPath = this.normalizePath(path);
+    const buffer = toArrayBuffer(data);
+    const content = await this.encodeContent(
+      this.normalizePath(path),
+      buffer,
+      options.compression
+    );
+
+    // Large files go straight to cold storage when it is configured, unless
+    // the disk holds their content already
+    let r2Key = null;
+    if (
+      this.getBucket() &&
+      buffer.byteLength > 0 &&
+      buffer.byteLength >= (coldStorage.minSize ?? Infinity) &&
+      !this.hasBlob(content.hash)
+    ) {
+      r2Key = await this.putColdContent(joinBuffers(content.pieces));
+    }
+
+    let coldKeys;
+    try {
+      coldKeys = this.storeFile(path, content, r2Key, options);
+    } catch (error) {
+      await this.deleteColdContent([r2Key]);
+      throw error;
+    }
+    this.indexText(this.resolveFile(path, "open"), buffer);
+    await this.deleteColdContent(coldKeys);
+    await this.scheduleColdStorage();
+    await this.schedulePruning(this.normalizePath(path));
+  }
+
+  /**
+   * Create or replace a file with the given content, which is stored as a
+   * blob shared with identical files
+   * @param {string} path - File path
+   * @param {EncodedContent} content - File contents, see encodeContent()
+   * @param {string|null} r2Key - Key of the cold storage object already holding the encoded contents, if any
+   * @param {Object} options - Write options
+   * @returns {string[]} - Keys of the cold storage objects no longer needed
+   */
+  storeFile(path, content, r2Key, options = {}) {
+    const normalizedPath = this.resolveFile(path, "open");
     const parentPath = this.getParentPath(normalizedPath);
 
     if (parentPath && parentPath !== "/") {
       const parent = this.sql
         .exec("SELECT * FROM files WHERE path = ?", parentPath)
         .toArray()[0];
-      if (!parent || parent.type !== "directory") {
-        throw new Error("Parent directory does not exist");
+      if (!parent) {
+        throw createError("ENOENT", "open", normalizedPath);
+      }
+      if (parent.type !== "directory") {
+        throw createError("ENOTDIR", "open", normalizedPath);
       }
     }
 
-    const buffer =
-      data instanceof ArrayBuffer
-        ? data
-        : data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
-    const size = buffer.byteLength;
-    const mode = options.mode || 0o666;
+    const size = content.size;
+    const mode = this.applyUmask(options.mode || 0o666);
     const now = Math.floor(Date.now() / 1000);
 
     const existing = this.sql
       .exec("SELECT * FROM files WHERE path = ?", normalizedPath)
       .toArray()[0];
+    if (existing && existing.type === "directory") {
+      throw createError("EISDIR", "open", normalizedPath);
+    }
+    if (existing) {
+      this.assertAccess(existing, constants.W_OK, "open", normalizedPath);
+    } else {
+      this.assertParentDirectory(normalizedPath, "open");
+    }
+    const growth =
+      size - (existing?.size || 0) + this.getArchivedSize(existing);
+    this.assertSpace(growth, existing ? 0 : 1, "open", normalizedPath);
+    // The new content is referenced before the old content is released, so
+    // rewriting a file with the same content keeps its blob
+    const coldKeys = this.acquireBlob(content, r2Key);
+    if (existing) coldKeys.push(...this.archiveFile(existing));
+    this.sql.exec("DELETE FROM chunks WHERE path = ?", normalizedPath);
 
     if (existing) {
-      // Update existing file
+      // Update existing file, keeping its mode like Node.js does
       this.sql.exec(
         `
         UPDATE files 
-        SET content = ?, size = ?, mode = ?, mtime = ?, atime = ?
+        SET content = NULL, r2_key = NULL, hash = ?, key_id = NULL, base_size = NULL, size = ?, mtime = ?, atime = ?
         WHERE path = ?
       `,
-        buffer,
+        content.hash,
         size,
-        mode,
         now,
         now,
         normalizedPath
       );
     } else {
       // Create new file
+      const owner = this.getOwner();
       this.sql.exec(
         `
         INSERT INTO files 
-        (path, parent_path, name, type, content, size, mode, uid, gid, mtime, ctime, atime)
-        VALUES (?, ?, ?, 'file', ?, ?, ?, 0, 0, ?, ?, ?)
+        (path, parent_path, name, type, hash, size, mode, uid, gid, mtime, ctime, atime)
+        VALUES (?, ?, ?, 'file', ?, ?, ?, ?, ?, ?, ?, ?)
       `,
         normalizedPath,
         parentPath,
         this.getFileName(normalizedPath),
-        buffer,
+        content.hash,
         size,
         mode,
+        owner.uid,
+        owner.gid,
         now,
         now,
         now
       );
     }
+    this.addUsage(normalizedPath, growth, existing ? 0 : 1);
+    this.notify(existing ? "change" : "rename", normalizedPath);
+    return coldKeys;
+  }
+
+  /**
+   * Write buffer into a file at a byte position, extending the file (with
+   * zeros for any gap) when writing past its end. Only the chunks the write
+   * touches are rewritten. Writes after the end of a blob or cold content go
+   * next to it, see getBaseSize(), while writes inside it give the file its
+   * own copy first.
+   * @param {string} path - File path
+   * @param {number} position - Byte offset to start writing at
+   * @param {ArrayBuffer|Uint8Array} data - Data to write
+   */
+  async writeFileRange(path, position, data) {
+    const normalizedPath = this.resolveFile(path, "open");
+    // Load the keys of an encrypted disk before the file is read, so the
+    // file can't change while they load
+    const keyId = (await this.getKeys(normalizedPath))?.[0].id ?? null;
+    const bytes = new Uint8Array(toArrayBuffer(data));
+
+    // Encrypted pieces are rewritten, during which another write may change
+    // the file, in which case the write starts over
+    for (;;) {
+      /** @type {File} */
+      const file = this.sql
+        .exec("SELECT * FROM files WHERE path = ?", normalizedPath)
+        .toArray()[0];
+
+      if (!file) {
+        throw createError("ENOENT", "open", normalizedPath);
+      }
+      if (file.type !== "file") {
+        throw createError("EISDIR", "write", normalizedPath);
+      }
+      this.assertAccess(file, constants.W_OK, "write", normalizedPath);
+
+      if (bytes.byteLength === 0) return;
+      const size = Math.max(file.size, position + bytes.byteLength);
+      this.assertSpace(size - file.size, 0, "write", normalizedPath);
+      // Writes inside a blob or cold content give the file its own copy
+      // first, and so do writes to an empty one, which is not kept
+      const baseSize = getBaseSize(file);
+      if (position < baseSize || (!file.size && (file.hash || file.r2_key))) {
+        await this.thaw(file);
+        continue;
+      }
+
+      const ownKeyId =
+        file.hash && file.base_size === null ? keyId : file.key_id;
+      const { result: update, changed } = await this.trackChanges(
+        normalizedPath,
+        () => this.encodeRange(file, position - baseSize, bytes, ownKeyId)
+      );
+      if (changed) continue;
+
+      const now = Math.floor(Date.now() / 1000);
+      this.storeContentUpdate(file, update);
+      this.sql.exec(
+        `
+        UPDATE files 
+        SET key_id = ?, base_size = ?, size = ?, mtime = ?, atime = ?
+        WHERE path = ?
+      `,
+        ownKeyId,
+        file.hash || file.r2_key ? baseSize : null,
+        size,
+        now,
+        now,
+        normalizedPath
+      );
+      this.addUsage(normalizedPath, size - file.size, 0);
+      this.markStale(normalizedPath);
+      this.notify("change", normalizedPath);
+      // The alarm seals the file, see sealModifiedFiles()
+      await this.scheduleAlarm(Date.now() + COLD_STORAGE_DELAY);
+      return;
+    }
+  }
+
+  /**
+   * Truncate (or extend with zeros) a file to a given length
+   * @param {string} path - File path
+   * @param {number} [len=0] - New length of the file
+   */
+  async truncate(path, len = 0) {
+    const normalizedPath = this.resolveFile(path, "open");
+    if (!Number.isSafeInteger(len)) {
+      throw createError("EINVAL", "ftruncate", normalizedPath);
+    }
+    // Like Node.js, a negative length truncates to zero
+    len = Math.max(len, 0);
+    await this.getKeys(normalizedPath);
+
+    for (;;) {
+      /** @type {File} */
+      const file = this.sql
+        .exec("SELECT * FROM files WHERE path = ?", normalizedPath)
+        .toArray()[0];
+
+      if (!file) {
+        throw createError("ENOENT", "open", normalizedPath);
+      }
+      if (file.type !== "file") {
+        throw createError("EISDIR", "ftruncate", normalizedPath);
+      }
+      this.assertAccess(file, constants.W_OK, "ftruncate", normalizedPath);
+
+      if (len > file.size) {
+        // Writing the last byte fills the gap with zeros
+        await this.writeFileRange(normalizedPath, len - 1, new Uint8Array(1));
+        return;
+      }
+      if (len === file.size) return;
+      // Data appended to a blob or cold content can be cut off, the blob
+      // itself only once the file has its own copy
+      const baseSize = getBaseSize(file);
+      if (len < baseSize) {
+        await this.thaw(file);
+        continue;
+      }
+
+      const own = len - baseSize;
+      const last = Math.floor((own - 1) / CHUNK_SIZE);
+      const {
+        result: { pieces, data },
+        changed,
+      } = await this.trackChanges(normalizedPath, async () => {
+        if (file.content) {
+          const current = await this.decryptPiece(
+            normalizedPath,
+            file.content,
+            file.key_id
+          );
+          const piece = await this.encryptPiece(
+            normalizedPath,
+            current.slice(0, own),
+            file.key_id
+          );
+          return { pieces: [piece], data: null };
+        }
+        if (!file.hash && !file.r2_key && own <= CHUNK_SIZE) {
+          const first = await this.readFileRange(normalizedPath, 0, own);
+          return {
+            pieces: await this.encryptContent(
+              normalizedPath,
+              first,
+              file.key_id
+            ),
+            data: null,
+          };
+        }
+        if (own === 0) return { pieces: null, data: null };
+
+        /** @type {Chunk} */
+        const chunk = this.sql
+          .exec(
+            "SELECT data FROM chunks WHERE path = ? AND chunk_index = ?",
+            normalizedPath,
+            last
+          )
+          .toArray()[0];
+        const used = own - last * CHUNK_SIZE;
+        const data = file.key_id
+          ? await this.encryptPiece(
+              normalizedPath,
+              (
+                await this.decryptPiece(normalizedPath, chunk.data, file.key_id)
+              ).slice(0, used),
+              file.key_id
+            )
+          : chunk.data.slice(0, used);
+        return { pieces: null, data };
+      });
+      if (changed) continue;
+
+      const now = Math.floor(Date.now() / 1000);
+      let content = null;
+      if (pieces) {
+        content = this.writeContent(normalizedPath, pieces);
+      } else {
+        this.sql.exec(
+          "DELETE FROM chunks WHERE path = ? AND chunk_index > ?",
+          normalizedPath,
+          last
+        );
+        if (data) {
+          this.sql.exec(
+            "UPDATE chunks SET data = ? WHERE path = ? AND chunk_index = ?",
+            data,
+            normalizedPath,
+            last
+          );
+        }
+      }
+
+      this.sql.exec(
+        `
+        UPDATE files 
+        SET content = ?, base_size = ?, size = ?, mtime = ?
+        WHERE path = ?
+      `,
+        content,
+        (file.hash || file.r2_key) && own ? baseSize : null,
+        len,
+        now,
+        normalizedPath
+      );
+      this.addUsage(normalizedPath, len - file.size, 0);
+      this.markStale(normalizedPath);
+      this.notify("change", normalizedPath);
+      await this.scheduleAlarm(Date.now() + COLD_STORAGE_DELAY);
+      return;
+    }
+  }
+
+  /**
+   * Append buffer to file, creating the file if it does not exist. SQLite
+   * adds the data to the inline content or the last chunk, so the content is
+   * not read, except for encrypted content, of which only the last piece is
+   * rewritten. Data appended to a blob or cold content is kept next to it,
+   * see getBaseSize().
+   * @param {string} path - File path
+   * @param {ArrayBuffer|Uint8Array} data - Data to append
+   * @param {Object} options - Write options
+   */
+  async appendFileBuffer(path, data, options = {}) {
+    const normalizedPath = this.resolveFile(path, "open");
+    const keyId = (await this.getKeys(normalizedPath))?.[0].id ?? null;
+    const buffer = toArrayBuffer(data);
+
+    // Encrypted pieces are rewritten, during which another write may change
+    // the file, in which case the append starts over
+    for (;;) {
+      /** @type {File} */
+      const file = this.sql
+        .exec("SELECT * FROM files WHERE path = ?", normalizedPath)
+        .toArray()[0];
+
+      // Appends creating the file at the same time all keep their data
+      if (!file) {
+        await this.open(normalizedPath, "a", options.mode);
+        continue;
+      }
+      if (file.type !== "file") {
+        throw createError("EISDIR", "write", normalizedPath);
+      }
+      this.assertAccess(file, constants.W_OK, "write", normalizedPath);
+      this.assertSpace(buffer.byteLength, 0, "write", normalizedPath);
+      // Data is not appended to an empty blob, which is not kept
+      if (!file.size && (file.hash || file.r2_key)) {
+        await this.thaw(file);
+        continue;
+      }
+
+      const ownKeyId =
+        file.hash && file.base_size === null ? keyId : file.key_id;
+      const { result: update, changed } = await this.trackChanges(
+        normalizedPath,
+        () => this.encodeAppend(file, buffer, ownKeyId)
+      );
+      if (changed) continue;
+
+      const now = Math.floor(Date.now() / 1000);
+      this.storeContentUpdate(file, update);
+      this.sql.exec(
+        "UPDATE files SET key_id = ?, base_size = ?, size = ?, mtime = ?, atime = ? WHERE path = ?",
+        ownKeyId,
+        file.hash || file.r2_key ? getBaseSize(file) : null,
+        file.size + buffer.byteLength,
+        now,
+        now,
+        normalizedPath
+      );
+      this.addUsage(normalizedPath, buffer.byteLength, 0);
+      this.markStale(normalizedPath);
+      this.notify("change", normalizedPath);
+      await this.scheduleAlarm(Date.now() + COLD_STORAGE_DELAY);
+      return;
+    }
   }
 
   /**
    * Write data to file
    * @param {string} path - File path
-   * @param {string|ArrayBuffer|Uint8Array} data - Data to write
+   * @param {string|ArrayBuffer|ArrayBufferView} data - Data to write
    * @param {WriteFileOptions|string} options - Write options
    */
   async writeFile(path, data, options) {
-    let buffer;
     let writeOptions = {};
 
     if (typeof options === "string") {
@@ -789,21 +9263,268 @@ export class DOFS extends DurableObject {
       writeOptions = options;
     }
 
-    if (typeof data === "string") {
-      const encoding = writeOptions.encoding || "utf8";
-      const encoder = new TextEncoder();
-      buffer = encoder.encode(data).buffer;
-    } else if (data instanceof ArrayBuffer) {
-      buffer = data;
-    } else if (data instanceof Uint8Array) {
-      buffer = data.buffer.slice(
-        data.byteOffset,
-        data.byteOffset + data.byteLength
-      );
+    const buffer = encodeData(data, getEncoding(writeOptions, "open", path));
+    if (!buffer) {
+      throw createError("EINVAL", "write", path);
+    }
+
+    const flag = writeOptions.flag || "w";
+    const openFlags = parseFlags(flag, path);
+    if (!openFlags.write) {
+      throw createError("EBADF", "write");
+    }
+    path = this.resolveFile(path, "open");
+    if (flag !== "w") {
+      await this.open(path, flag, writeOptions.mode);
+    }
+
+    if (openFlags.append) {
+      await this.appendFileBuffer(path, buffer, writeOptions);
+    } else if (openFlags.truncate) {
+      await this.writeFileBuffer(path, buffer, writeOptions);
     } else {
-      throw new Error("Unsupported data type");
+      await this.writeFileRange(path, 0, buffer);
+    }
+  }
+
+  /**
+   * Get the versioning options of the mount a path is on
+   * @param {string} path - Normalized path
+   * @returns {VersioningOptions|null} - Versioning options, or null without versioning
+   */
+  getVersioning(path) {
+    return findMount(path).entry.versioning;
+  }
+
+  /**
+   * Keep the content of a file that is about to be replaced or removed as a
+   * version, if its mount has versioning. A cold storage object or blob
+   * holding the content then belongs to the version.
+   * @param {File} file - File row
+   * @returns {string[]} - Keys of the cold storage objects that are no longer needed
+   */
+  archiveFile(file) {
+    if (file.type !== "file" || file.linked_path) return [];
+    if (!this.getVersioning(file.path) || !file.size) {
+      if (file.hash) return this.releaseBlob(file.hash);
+      return file.r2_key ? [file.r2_key] : [];
+    }
+
+    /** @type {{id: number}} */
+    const version = this.sql
+      .exec(
+        `
+        INSERT INTO versions (path, content, r2_key, hash, key_id, base_size, size, mode, uid, gid, mtime, archived)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        RETURNING id
+      `,
+        file.path,
+        file.content,
+        file.r2_key,
+        file.hash,
+        file.key_id,
+        file.base_size,
+        file.size,
+        file.mode,
+        file.uid,
+        file.gid,
+        file.mtime,
+        Math.floor(Date.now() / 1000)
+      )
+      .toArray()[0];
+    this.addVersionUsage(file.size);
+    this.sql.exec(
+      `
+      INSERT INTO chunks (path, chunk_index, data)
+      SELECT ?, chunk_index, data FROM chunks WHERE path = ?
+    `,
+      getVersionChunkPath(version.id),
+      file.path
+    );
+    if (file.r2_key || file.hash) {
+      this.sql.exec(
+        "UPDATE files SET r2_key = NULL, hash = NULL, base_size = NULL WHERE path = ?",
+        file.path
+      );
     }
+    return this.pruneVersions(file.path);
+  }
+
+  /**
+   * Remove the versions of a file beyond the `maxVersions` or `maxAgeDays`
+   * of its mount
+   * @param {string} path - Normalized file path
+   * @returns {string[]} - Keys of the cold storage objects of removed versions
+   */
+  pruneVersions(path) {
+    const versioning = this.getVersioning(path);
+    if (!versioning) return [];
+    const { maxVersions = Infinity, maxAgeDays = Infinity } = versioning;
+    const archivedBefore = Number.isFinite(maxAgeDays)
+      ? Math.floor(Date.now() / 1000) - maxAgeDays * 24 * 60 * 60
+      : 0;
+
+    /** @type {{id: number, size: number, r2_key: string|null, hash: string|null}[]} */
+    const pruned = this.sql
+      .exec(
+        `
+        SELECT id, size, r2_key, hash FROM versions
+        WHERE path = ? AND (archived < ? OR id NOT IN (
+          SELECT id FROM versions WHERE path = ? ORDER BY id DESC LIMIT ?
+        ))
+      `,
+        path,
+        archivedBefore,
+        path,
+        Number.isFinite(maxVersions) ? maxVersions : -1
+      )
+      .toArray();
+    /** @type {string[]} */
+    const coldKeys = [];
+    for (const version of pruned) {
+      this.sql.exec(
+        "DELETE FROM chunks WHERE path = ?",
+        getVersionChunkPath(version.id)
+      );
+      this.sql.exec("DELETE FROM versions WHERE id = ?", version.id);
+      this.addVersionUsage(-version.size);
+      if (version.hash) {
+        coldKeys.push(...this.releaseBlob(version.hash));
+      } else if (version.r2_key) {
+        coldKeys.push(version.r2_key);
+      }
+    }
+    return coldKeys;
+  }
+
+  /**
+   * Remove the expired versions of every file
+   * @returns {string[]} - Keys of the cold storage objects of removed versions
+   */
+  pruneAllVersions() {
+    /** @type {{path: string}[]} */
+    const paths = this.sql.exec("SELECT DISTINCT path FROM versions").toArray();
+    return paths.flatMap(({ path }) => this.pruneVersions(path));
+  }
+
+  /**
+   * Make sure the alarm removes versions of files on a mount with
+   * `maxAgeDays` once they expire
+   * @param {string} path - Normalized path that may have gotten a version
+   */
+  async schedulePruning(path) {
+    const maxAgeDays = this.getVersioning(path)?.maxAgeDays ?? Infinity;
+    if (Number.isFinite(maxAgeDays)) {
+      await this.scheduleAlarm(Date.now() + 24 * 60 * 60 * 1000);
+    }
+  }
+
+  /**
+   * Get a version of a file the caller may read
+   * @param {string} path - File path
+   * @param {number} versionId - Version ID
+   * @returns {{path: string, version: File}} - Normalized path, and the version as a file row (holding its chunks)
+   */
+  getReadableVersion(path, versionId) {
+    const normalizedPath = this.resolveFile(path, "open");
+    /** @type {File|undefined} */
+    const version = this.sql
+      .exec(
+        "SELECT * FROM versions WHERE id = ? AND path = ?",
+        versionId,
+        normalizedPath
+      )
+      .toArray()[0];
+    if (!version) {
+      throw createError("ENOENT", "open", normalizedPath);
+    }
+    this.assertAccess(version, constants.R_OK, "open", normalizedPath);
+    return {
+      path: normalizedPath,
+      version: { ...version, path: getVersionChunkPath(versionId) },
+    };
+  }
+
+  /**
+   * List the previous versions of a file, newest first
+   * @param {string} path - File path (which may have been removed)
+   * @returns {Promise<FileVersion[]>} - Versions
+   */
+  async listVersions(path) {
+    const normalizedPath = this.resolveFile(path, "open");
+    /** @type {{id: number, size: number, mtime: number, archived: number}[]} */
+    const versions = this.sql
+      .exec(
+        "SELECT id, size, mtime, archived FROM versions WHERE path = ? ORDER BY id DESC",
+        normalizedPath
+      )
+      .toArray();
+    return versions.map((version) => ({
+      id: version.id,
+      size: version.size,
+      mtime: new Date(version.mtime * 1000),
+      archived: new Date(version.archived * 1000),
+    }));
+  }
+
+  /**
+   * Read a previous version of a file
+   * @param {string} path - File path
+   * @param {number} versionId - Version ID
+   * @param {ReadFileOptions|string} [options] - Read options
+   * @returns {Promise<ArrayBuffer|string>} - Contents of the version
+   */
+  async readFileVersion(path, versionId, options) {
+    const encoding = getEncoding(options, "open", path);
+    const { path: normalizedPath, version } = this.getReadableVersion(
+      path,
+      versionId
+    );
+    const buffer = await this.readContent(version, normalizedPath);
+    return encoding && encoding !== "buffer"
+      ? decodeBytes(new Uint8Array(buffer), encoding)
+      : buffer;
+  }
+
+  /**
+   * Make a previous version the current content of a file. The content it
+   * replaces becomes a version itself, so a restore can be undone.
+   * @param {string} path - File path
+   * @param {number} versionId - Version ID
+   */
+  async restoreVersion(path, versionId) {
+    const { path: normalizedPath, version } = this.getReadableVersion(
+      path,
+      versionId
+    );
+    const buffer = await this.readContent(version, normalizedPath);
+    await this.writeFileBuffer(normalizedPath, buffer, { mode: version.mode });
+  }
 
-    await this.writeFileBuffer(path, buffer, writeOptions);
+  /**
+   * Make the disk go back to a point in time once it restarts, see
+   * restoreDisk(). Only root may do this.
+   * @param {number|string} time - Unix timestamp in ms, or a bookmark
+   * @returns {Promise<string>} - Bookmark of the disk before the restore
+   */
+  async prepareRestore(time) {
+    if (this.getOwner().uid !== 0) {
+      throw createError("EPERM", "restore");
+    }
+    const bookmark =
+      typeof time === "string"
+        ? time
+        : await this.ctx.storage.getBookmarkForTime(time);
+    return await this.ctx.storage.onNextSessionRestoreBookmark(bookmark);
+  }
+
+  /**
+   * Restart the disk, applying a restore prepared by prepareRestore()
+   */
+  async restart() {
+    if (this.getOwner().uid !== 0) {
+      throw createError("EPERM", "restore");
+    }
+    this.ctx.abort("Restoring disk to an earlier point in time");
   }
 }
@@ -0,0 +1,140 @@
+//@ts-check
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  access,
+  appendFile,
+  cp,
+  DOFS,
+  mkdir,
+  mount,
+  readdir,
+  readFile,
+  rm,
+  setBackend,
+  stat,
+  writeFile,
+} from "./fs.js";
+import { createBackend } from "./node.js";
+import { scenarios } from "./test.js";
+
+// Run the scenarios of the test worker on disks kept in memory, with
+// `npm test` (node --import ./node.js --test fs.test.js)
+const backend = createBackend({ DOFS });
+setBackend(backend);
+
+for (const { name, run } of scenarios) {
+  test(name, run);
+}
+
+// Moves to /moves whose worker died, settled by the alarm of the default disk
+mount("/moves", { name: "moves" });
+
+test("Interrupted moves", async (t) => {
+  const disk = /** @type {any} */ (backend.get("DOFS", "default"));
+  // Run the alarm once the moves are older than MOVE_TIMEOUT (15 minutes)
+  const runLateAlarm = async () => {
+    t.mock.timers.enable({ apis: ["Date"], now: Date.now() + 16 * 60 * 1000 });
+    try {
+      await disk.alarm();
+    } finally {
+      t.mock.timers.reset();
+    }
+  };
+  /**
+   * Start a move the way rename() does, and copy it to its staging path
+   * @param {string} name - Name of the file to move
+   * @returns {Promise<import("./fs.js").Move>} - Journal entry
+   */
+  const startMove = async (name) => {
+    await writeFile(`/tmp/moving/${name}`, name);
+    const move = await disk.beginMove(`/tmp/moving/${name}`, `/moves/${name}`);
+    await cp(move.src, move.staging);
+    return move;
+  };
+  await mkdir("/tmp/moving", { recursive: true });
+  await mkdir("/moves");
+
+  // Copied but not committed: undone
+  const copied = await startMove("copied.txt");
+  await disk.alarm();
+  assert.equal(await readFile(copied.staging, "utf8"), "copied.txt");
+  await runLateAlarm();
+  await assert.rejects(access(copied.staging), { code: "ENOENT" });
+  await assert.rejects(access(copied.dest), { code: "ENOENT" });
+  assert.equal(await readFile(copied.src, "utf8"), "copied.txt");
+  await assert.rejects(disk.updateMove(copied.id, "copying", "committing"));
+
+  // Committing: finished
+  const committed = await startMove("committed.txt");
+  await disk.updateMove(committed.id, "copying", "committing");
+  await runLateAlarm();
+  assert.equal(await readFile(committed.dest, "utf8"), "committed.txt");
+  await assert.rejects(access(committed.src), { code: "ENOENT" });
+  await assert.rejects(access(committed.staging), { code: "ENOENT" });
+
+  // Committing onto a directory that appeared since: aborted and undone
+  const blocked = await startMove("blocked.txt");
+  await disk.updateMove(blocked.id, "copying", "committing");
+  await mkdir("/moves/blocked.txt/inside", { recursive: true });
+  await runLateAlarm();
+  await assert.rejects(access(blocked.staging), { code: "ENOENT" });
+  assert.equal(await readFile(blocked.src, "utf8"), "blocked.txt");
+  await access("/moves/blocked.txt/inside");
+
+  // Failing to settle fails the alarm and keeps the move in the journal
+  const failing = await startMove("failing.txt");
+  mount("/moves", { name: "moves", readOnly: true });
+  try {
+    await assert.rejects(runLateAlarm(), /read-only file system/);
+  } finally {
+    mount("/moves", { name: "moves" });
+  }
+  assert.equal(await readFile(failing.staging, "utf8"), "failing.txt");
+  await runLateAlarm();
+  await assert.rejects(access(failing.staging), { code: "ENOENT" });
+
+  await rm("/tmp/moving", { recursive: true });
+  await rm("/moves", { recursive: true });
+});
+
+test("Interrupted imports", async (t) => {
+  const disk = /** @type {any} */ (backend.get("DOFS", "default"));
+  const staging = "/imports/.import-interrupted";
+  await disk.beginImport(staging);
+  await writeFile(`${staging}/index.html`, "<h1>Hi</h1>");
+  assert.deepEqual(await readdir("/imports"), []);
+
+  // Removed with the directory created for it once IMPORT_TIMEOUT (1 hour)
+  // passed
+  await disk.alarm();
+  await access(staging);
+  t.mock.timers.enable({ apis: ["Date"], now: Date.now() + 61 * 60 * 1000 });
+  try {
+    await disk.alarm();
+  } finally {
+    t.mock.timers.reset();
+  }
+  await assert.rejects(access("/imports"), { code: "ENOENT" });
+});
+
+test("Sealing files modified in place", async () => {
+  const disk = /** @type {any} */ (backend.get("DOFS", "/compressed"));
+  const line = "GET /index.html 200\n";
+  await mkdir("/compressed");
+  for (let i = 0; i < 100; i++) {
+    await appendFile("/compressed/access.log", line);
+  }
+  assert.equal((await stat("/compressed/access.log")).hash, null);
+
+  // The alarm shares and compresses the content like a write of all of it
+  await disk.alarm();
+  const stats = await stat("/compressed/access.log");
+  assert.ok(stats.hash, "Appended file was not sealed");
+  assert.ok(stats.storedSize < stats.size, "Appended file was not compressed");
+  assert.equal(
+    await readFile("/compressed/access.log", "utf8"),
+    line.repeat(100)
+  );
+  await rm("/compressed", { recursive: true });
+});
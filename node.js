@@ -0,0 +1,311 @@
+//@ts-check
+/// <reference lib="esnext" />
+/// <reference types="@cloudflare/workers-types" />
+import { createHash } from "node:crypto";
+import { mkdirSync } from "node:fs";
+import { registerHooks } from "node:module";
+import { join } from "node:path";
+import { DatabaseSync } from "node:sqlite";
+
+/**
+ * Run fs.js under plain Node.js (22.15 or later), e.g. to unit test code
+ * using it. Preload this module so that `cloudflare:workers` resolves to it,
+ * then put the disks on an in-process backend:
+ *
+ *   node --import ./node.js --test
+ *
+ *   import { DOFS, setBackend } from "./fs.js";
+ *   import { createBackend } from "./node.js";
+ *   setBackend(createBackend({ DOFS }));
+ */
+
+// fs.js imports DurableObject and env from here
+registerHooks({
+  resolve(specifier, context, nextResolve) {
+    if (specifier === "cloudflare:workers") {
+      return { url: import.meta.url, shortCircuit: true };
+    }
+    return nextResolve(specifier, context);
+  },
+});
+
+/**
+ * Bindings of the Durable Objects, what fs.js and the disks get as `env`. Put
+ * the R2 buckets and secrets the disks use on it.
+ * @type {Record<string, any>}
+ */
+export const env = {};
+
+/**
+ * Base class of Durable Objects, standing in for the one of Workers
+ */
+export class DurableObject {
+  /**
+   * @param {DurableObjectState} ctx - State of the object
+   * @param {any} env - Bindings
+   */
+  constructor(ctx, env) {
+    this.ctx = ctx;
+    this.env = env;
+  }
+}
+
+/**
+ * @typedef {Object} BackendOptions
+ * @property {string} [directory] - Directory keeping a SQLite database per disk, so disks outlive the process. Without it disks are kept in memory.
+ * @property {(error: unknown) => void} [onAlarmError] - Called with the error of an alarm that failed its last retry, or that was scheduled again before failing. Such alarms are dropped otherwise, as on Workers.
+ */
+
+/**
+ * Maximum number of times a failing alarm is retried, as on Workers
+ */
+const MAX_ALARM_RETRIES = 6;
+
+/**
+ * Create a backend running every disk in-process on `node:sqlite`, see
+ * setBackend(). Calls go through the same steps as Durable Object RPC:
+ * arguments and results are copied, and thrown errors only keep their name
+ * and message.
+ * @param {Record<string, new (ctx: any, env: any) => any>} bindings - Durable Object classes by binding name, e.g. `{ DOFS }`
+ * @param {BackendOptions} [options] - Backend options
+ * @returns {import("./fs.js").Backend} - Backend
+ */
+export function createBackend(bindings, options = {}) {
+  if (options.directory) mkdirSync(options.directory, { recursive: true });
+  /** @type {Map<string, DatabaseSync>} */
+  const databases = new Map();
+  /** @type {Map<string, any>} */
+  const instances = new Map();
+
+  /**
+   * Get the Durable Object of a disk, creating it on first use
+   * @param {string} binding - Binding name
+   * @param {string} name - Disk name
+   * @returns {any} - Durable Object
+   */
+  const getObject = (binding, name) => {
+    const id = createHash("sha256").update(`${binding}:${name}`).digest("hex");
+    if (!instances.has(id)) {
+      const ObjectClass = bindings[binding];
+      if (!ObjectClass) {
+        throw new Error(`Durable Object binding ${binding} not found`);
+      }
+      if (!databases.has(id)) {
+        databases.set(
+          id,
+          new DatabaseSync(
+            options.directory
+              ? join(options.directory, `${id}.sqlite`)
+              : ":memory:"
+          )
+        );
+      }
+      const ctx = createState(
+        databases.get(id),
+        { name, id },
+        () => {
+          instances.delete(id);
+        },
+        options.onAlarmError
+      );
+      const instance = new ObjectClass(ctx, env);
+      ctx.onAlarm = () => instance.alarm?.();
+      instances.set(id, instance);
+    }
+    return instances.get(id);
+  };
+
+  return {
+    get(binding, name) {
+      getObject(binding, name);
+      // Calls go to the object of the moment, which changes when it's reset
+      return /** @type {any} */ (
+        new Proxy(
+          {},
+          {
+            get(_, property) {
+              const instance = getObject(binding, name);
+              if (
+                typeof property !== "string" ||
+                property === "constructor" ||
+                typeof instance[property] !== "function"
+              ) {
+                return undefined;
+              }
+              return async (/** @type {any[]} */ ...args) => {
+                try {
+                  return copy(
+                    await getObject(binding, name)[property](...args.map(copy))
+                  );
+                } catch (error) {
+                  throw copy(error);
+                }
+              };
+            },
+          }
+        )
+      );
+    },
+  };
+}
+
+/**
+ * Copy a value the way Durable Object RPC does. Streams are handed over as
+ * they are, and errors lose their own properties (like `code`).
+ * @param {any} value - Value
+ * @returns {any} - Copy
+ */
+function copy(value) {
+  if (value instanceof ReadableStream || value instanceof WritableStream) {
+    return value;
+  }
+  return structuredClone(value);
+}
+
+/**
+ * Create the `ctx` of a Durable Object on a SQLite database
+ * @param {DatabaseSync} database - Database of the object
+ * @param {{name: string, id: string}} identity - Name and hex ID of the object
+ * @param {() => void} reset - Drop the object, so the next call creates it again
+ * @param {(error: unknown) => void} [onAlarmError] - Called with the error of an alarm that is not retried
+ * @returns {any} - State, with an `onAlarm` callback to set
+ */
+function createState(database, { name, id }, reset, onAlarmError) {
+  /** @type {number|null} */
+  let alarm = null;
+  /** @type {ReturnType<typeof setTimeout>|undefined} */
+  let timer;
+
+  /**
+   * Run the alarm handler, retrying it with a backoff when it fails
+   * @param {number} retries - Number of retries so far
+   */
+  const runAlarm = async (retries) => {
+    const scheduled = alarm;
+    alarm = null;
+    try {
+      await ctx.onAlarm?.();
+    } catch (error) {
+      if (alarm !== null || retries >= MAX_ALARM_RETRIES) {
+        onAlarmError?.(error);
+        return;
+      }
+      alarm = scheduled;
+      timer = setTimeout(() => runAlarm(retries + 1), 2000 * 2 ** retries);
+      timer.unref?.();
+    }
+  };
+
+  const sql = {
+    /**
+     * @param {string} query - SQL statement
+     * @param {...any} bindings - Values of its parameters
+     */
+    exec(query, ...bindings) {
+      const rows = database
+        .prepare(query)
+        .all(
+          ...bindings.map((value) =>
+            value instanceof ArrayBuffer ? new Uint8Array(value) : value
+          )
+        )
+        .map((row) => {
+          /** @type {Record<string, any>} */
+          const result = {};
+          for (const [column, value] of Object.entries(row)) {
+            // Blobs come back as ArrayBuffers, as from Durable Object storage
+            result[column] =
+              value instanceof Uint8Array
+                ? value.buffer.slice(
+                    value.byteOffset,
+                    value.byteOffset + value.byteLength
+                  )
+                : value;
+          }
+          return result;
+        });
+      return {
+        toArray: () => rows,
+        one: () => {
+          if (rows.length !== 1) {
+            throw new Error(`Expected exactly one result, got ${rows.length}`);
+          }
+          return rows[0];
+        },
+        [Symbol.iterator]: () => rows[Symbol.iterator](),
+      };
+    },
+    get databaseSize() {
+      const [{ size }] = /** @type {any[]} */ (
+        database
+          .prepare(
+            "SELECT page_count * page_size AS size FROM pragma_page_count(), pragma_page_size()"
+          )
+          .all()
+      );
+      return Number(size);
+    },
+  };
+
+  let savepoints = 0;
+  const ctx = {
+    id: { name, toString: () => id, equals: (other) => `${other}` === id },
+    storage: {
+      sql,
+      /**
+       * @template T
+       * @param {() => T} fn - Function making the changes
+       * @returns {T} - What the function returned
+       */
+      transactionSync(fn) {
+        const savepoint = `transaction_${savepoints++}`;
+        database.exec(`SAVEPOINT ${savepoint}`);
+        try {
+          const result = fn();
+          database.exec(`RELEASE ${savepoint}`);
+          return result;
+        } catch (error) {
+          database.exec(`ROLLBACK TO ${savepoint}`);
+          database.exec(`RELEASE ${savepoint}`);
+          throw error;
+        } finally {
+          savepoints--;
+        }
+      },
+      async getAlarm() {
+        return alarm;
+      },
+      /**
+       * @param {number|Date} time - When the alarm goes off
+       */
+      async setAlarm(time) {
+        clearTimeout(timer);
+        alarm = Number(time);
+        timer = setTimeout(() => runAlarm(0), Math.max(alarm - Date.now(), 0));
+        // Alarms don't keep the process alive
+        timer.unref?.();
+      },
+      async deleteAlarm() {
+        clearTimeout(timer);
+        alarm = null;
+      },
+      async getBookmarkForTime() {
+        throw new Error("Point-in-time recovery is not available in Node.js");
+      },
+      async onNextSessionRestoreBookmark() {
+        throw new Error("Point-in-time recovery is not available in Node.js");
+      },
+    },
+    /** @type {(() => any)|undefined} */
+    onAlarm: undefined,
+    /**
+     * @param {string} [reason] - Why the object is reset
+     */
+    abort(reason) {
+      clearTimeout(timer);
+      reset();
+      throw new Error(reason || "Durable Object reset");
+    },
+  };
+  return ctx;
+}
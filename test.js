@@ -1,18 +1,1050 @@
+import assert from "node:assert/strict";
 import {
+  access,
+  appendFile,
+  batch,
+  chdir,
+  chmod,
+  chown,
+  constants,
   copyFile,
   cp,
+  du,
+  exportArchive,
+  glob,
+  createReadStream,
+  createWriteStream,
+  cwd,
+  handleWebDAV,
+  importArchive,
+  link,
+  listVersions,
+  lstat,
   mkdir,
+  mount,
+  open,
+  opendir,
   readdir,
   readFile,
+  readFileVersion,
+  readlink,
+  realpath,
   rename,
+  restoreVersion,
   rm,
+  runAs,
+  runIn,
+  search,
+  setColdStorage,
   stat,
+  statfs,
+  symlink,
+  truncate,
+  utimes,
+  watch,
   writeFile,
   DOFS,
 } from "./fs.js";
 
 export { DOFS };
 
+// Every project gets its own disk, /projects/templates and /readonly can't
+// be written to, /versioned keeps the previous two versions of every file,
+// /quota is limited to 64KB, /history keeps the previous version of every
+// file within 64KB, /compressed gzips the content of its files and
+// /encrypted encrypts it
+mount("/projects/:id", { name: (id) => `project-${id}` });
+mount("/projects/templates", { readOnly: true });
+mount("/readonly", { readOnly: true });
+mount("/versioned", { versioning: { maxVersions: 2 } });
+mount("/quota", { quota: { maxBytes: 64 * 1024 } });
+mount("/history", {
+  versioning: { maxVersions: 1 },
+  quota: { maxBytes: 64 * 1024 },
+});
+mount("/compressed", { compression: "gzip" });
+mount("/encrypted", { encryption: { key: () => "test key material" } });
+
+/**
+ * In-memory stand-in for an R2 bucket, implementing just what fs.js uses
+ */
+class MemoryBucket {
+  /** @type {Map<string, ArrayBuffer>} */
+  objects = new Map();
+
+  async put(key, value) {
+    this.objects.set(key, value.slice(0));
+  }
+
+  async get(key, options = {}) {
+    const value = this.objects.get(key);
+    if (!value) return null;
+    const { offset = 0, length = value.byteLength - offset } =
+      options.range || {};
+    return { arrayBuffer: async () => value.slice(offset, offset + length) };
+  }
+
+  async delete(keys) {
+    for (const key of [].concat(keys)) this.objects.delete(key);
+  }
+}
+
+// Files of 4MB or more are stored in the bucket instead of SQLite
+const bucket = new MemoryBucket();
+setColdStorage({ bucket, minSize: 4 * 1024 * 1024 });
+
+/**
+ * Scenarios run in order by the worker's /test page and by `npm test` under
+ * Node.js (see fs.test.js). Later scenarios use the directories the first
+ * ones create.
+ * @type {{name: string, run: () => Promise<void>}[]}
+ */
+export const scenarios = [];
+
+/**
+ * Add a scenario
+ * @param {string} name - What it tests
+ * @param {() => Promise<void>} run - Runs it, throwing when an assertion fails
+ */
+function scenario(name, run) {
+  scenarios.push({ name, run });
+}
+
+scenario("Creating directories", async () => {
+  await mkdir("/Users/testuser/documents", { recursive: true });
+  await mkdir("/Users/testuser/projects/myapp", { recursive: true });
+  await mkdir("/tmp", { recursive: true });
+  assert.ok((await stat("/Users/testuser/projects/myapp")).isDirectory);
+});
+
+scenario("Writing files", async () => {
+  await writeFile("/Users/testuser/documents/readme.txt", "Hello, World!");
+  await writeFile(
+    "/Users/testuser/projects/myapp/package.json",
+    JSON.stringify(
+      {
+        name: "myapp",
+        version: "1.0.0",
+      },
+      null,
+      2
+    )
+  );
+  await writeFile("/tmp/temp.log", "Temporary file content");
+});
+
+scenario("Reading files", async () => {
+  assert.equal(
+    await readFile("/Users/testuser/documents/readme.txt", "utf8"),
+    "Hello, World!"
+  );
+  const packageJson = await readFile(
+    "/Users/testuser/projects/myapp/package.json",
+    "utf8"
+  );
+  assert.equal(JSON.parse(packageJson).name, "myapp");
+  assert.equal(
+    await readFile("/tmp/temp.log", "utf8"),
+    "Temporary file content"
+  );
+});
+
+scenario("Listing directories", async () => {
+  assert.deepEqual(await readdir("/Users/testuser"), ["documents", "projects"]);
+  assert.deepEqual(await readdir("/Users/testuser/documents"), ["readme.txt"]);
+  assert.deepEqual(await readdir("/Users/testuser/projects"), ["myapp"]);
+});
+
+scenario("Getting file stats", async () => {
+  const readmeStats = await stat("/Users/testuser/documents/readme.txt");
+  assert.ok(readmeStats.isFile);
+  assert.equal(readmeStats.size, 13);
+  assert.ok((await stat("/Users/testuser/documents")).isDirectory);
+});
+
+scenario("Copying files", async () => {
+  await copyFile(
+    "/Users/testuser/documents/readme.txt",
+    "/tmp/readme-copy.txt"
+  );
+  assert.equal(await readFile("/tmp/readme-copy.txt", "utf8"), "Hello, World!");
+});
+
+scenario("Copying directory across instances", async () => {
+  await cp("/Users/testuser/documents", "/tmp/documents-backup", {
+    recursive: true,
+  });
+  assert.deepEqual(await readdir("/tmp/documents-backup"), ["readme.txt"]);
+  await assert.rejects(
+    cp("/tmp/documents-backup", "/tmp/documents-backup/nested", {
+      recursive: true,
+    }),
+    { code: "EINVAL" }
+  );
+});
+
+scenario("Renaming files", async () => {
+  await rename("/tmp/temp.log", "/tmp/renamed.log");
+  assert.deepEqual(await readdir("/tmp"), [
+    "documents-backup",
+    "readme-copy.txt",
+    "renamed.log",
+  ]);
+});
+
+scenario("Binary file handling", async () => {
+  const binaryData = new Uint8Array([
+    0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+  ]); // PNG header
+  await writeFile("/Users/testuser/documents/test.png", binaryData);
+
+  // Read without encoding to get ArrayBuffer
+  const readBinary = await readFile("/Users/testuser/documents/test.png");
+  assert.deepEqual(new Uint8Array(readBinary), binaryData);
+});
+
+/**
+ * Create content of a given size that isn't the same in every chunk
+ * @param {number} size - Size in bytes
+ * @param {number} period - Number of bytes after which the content repeats
+ * @returns {Uint8Array} - Content
+ */
+function createData(size, period) {
+  const data = new Uint8Array(size);
+  for (let i = 0; i < data.length; i++) data[i] = i % period;
+  return data;
+}
+
+scenario("Large file handling", async () => {
+  const largeData = createData(3 * 1024 * 1024 + 123, 251);
+  await writeFile("/tmp/large.bin", largeData);
+  await copyFile("/tmp/large.bin", "/tmp/large-copy.bin");
+  await rename("/tmp/large-copy.bin", "/tmp/large-renamed.bin");
+  const readLarge = new Uint8Array(await readFile("/tmp/large-renamed.bin"));
+  assert.deepEqual(readLarge, largeData, "Large file content mismatch");
+  await rm("/tmp/large.bin");
+  await rm("/tmp/large-renamed.bin");
+});
+
+scenario("Streaming", async () => {
+  const largeData = createData(3 * 1024 * 1024 + 123, 251);
+  await new ReadableStream({
+    start(controller) {
+      controller.enqueue("Hello, ");
+      controller.enqueue(largeData);
+      controller.enqueue("Streams!");
+      controller.close();
+    },
+  }).pipeTo(createWriteStream("/tmp/stream.bin"));
+  const streamed = await new Response(
+    createReadStream("/tmp/stream.bin", {
+      start: 7 + largeData.length,
+      highWaterMark: 3,
+    })
+  ).text();
+  assert.equal(streamed, "Streams!");
+  assert.equal((await stat("/tmp/stream.bin")).size, largeData.length + 15);
+  await rm("/tmp/stream.bin");
+
+  // Streams open their file with the flags, like open()
+  const writeStream = async (flags, text) => {
+    const writer = createWriteStream("/tmp/flags.txt", { flags }).getWriter();
+    await writer.write(text);
+    await writer.close();
+  };
+  await writeStream("wx", "Hello, flags!");
+  await assert.rejects(writeStream("wx", "Overwritten"), { code: "EEXIST" });
+  await writeStream("r+", "Jello");
+  await writeStream("a", " Bye!");
+  assert.equal(await readFile("/tmp/flags.txt", "utf8"), "Jello, flags! Bye!");
+  await rm("/tmp/flags.txt");
+  await assert.rejects(writeStream("r+", "Missing"), { code: "ENOENT" });
+  assert.throws(() => createWriteStream("/tmp/flags.txt", { flags: "r" }), {
+    code: "EBADF",
+  });
+});
+
+scenario("File handles", async () => {
+  const handle = await open("/tmp/handle.txt", "w+");
+  await handle.write("Hello, handles!");
+  await handle.write("H", 7);
+  const handleBuffer = new Uint8Array(7);
+  await handle.read(handleBuffer, 0, 7, 7);
+  assert.equal(new TextDecoder().decode(handleBuffer), "Handles");
+  await assert.rejects(handle.read(new Uint8Array(1), 0, 10, 0), {
+    name: "RangeError",
+    code: "ERR_OUT_OF_RANGE",
+  });
+  await assert.rejects(handle.write(new Uint8Array(1), 2), {
+    code: "ERR_OUT_OF_RANGE",
+  });
+  await handle.truncate(5);
+  await handle.close();
+  const appendHandle = await open("/tmp/handle.txt", "a");
+  await appendHandle.write(" world");
+  await appendHandle.close();
+  assert.equal(await readFile("/tmp/handle.txt", "utf8"), "Hello world");
+  await assert.rejects(open("/tmp/handle.txt", "wx"), { code: "EEXIST" });
+  await rm("/tmp/handle.txt");
+});
+
+scenario("Symbolic and hard links", async () => {
+  await mkdir("/tmp/links", { recursive: true });
+  await mkdir("/Users/alice", { recursive: true });
+  await writeFile("/tmp/links/original.txt", "Linked content");
+  await symlink("original.txt", "/tmp/links/relative");
+  await symlink("/tmp/links", "/Users/alice/shared");
+  assert.equal(await readlink("/tmp/links/relative"), "original.txt");
+  // Read through a link to another disk
+  assert.equal(
+    await readFile("/Users/alice/shared/relative", "utf8"),
+    "Linked content"
+  );
+  assert.equal(
+    await realpath("/Users/alice/shared/relative"),
+    "/tmp/links/original.txt"
+  );
+  assert.ok((await lstat("/tmp/links/relative")).isSymbolicLink);
+  assert.ok((await stat("/tmp/links/relative")).isFile);
+  await link("/tmp/links/original.txt", "/tmp/links/hard.txt");
+  await rm("/tmp/links/original.txt");
+  assert.equal(await readFile("/tmp/links/hard.txt", "utf8"), "Linked content");
+  await symlink("loop-b", "/tmp/links/loop-a");
+  await symlink("loop-a", "/tmp/links/loop-b");
+  await assert.rejects(stat("/tmp/links/loop-a"), { code: "ELOOP" });
+  await rm("/Users/alice/shared");
+  await rm("/tmp/links", { recursive: true });
+});
+
+scenario("Permissions", async () => {
+  const owner = { uid: 1000, gid: 1000 };
+  const stranger = { uid: 2000, gid: 2000 };
+  await writeFile("/tmp/secret.txt", "Top secret");
+  await chown("/tmp/secret.txt", owner.uid, owner.gid);
+  await chmod("/tmp/secret.txt", 0o600);
+  const secretStats = await stat("/tmp/secret.txt");
+  assert.equal(secretStats.mode & 0o777, 0o600);
+  assert.equal(secretStats.uid, owner.uid);
+  assert.equal(
+    await runAs(owner, () => readFile("/tmp/secret.txt", "utf8")),
+    "Top secret"
+  );
+  await assert.rejects(
+    runAs(stranger, () => readFile("/tmp/secret.txt")),
+    { code: "EACCES" }
+  );
+  await assert.rejects(
+    runAs(stranger, () =>
+      access("/tmp/secret.txt", constants.R_OK | constants.W_OK)
+    ),
+    { code: "EACCES" }
+  );
+  // Supplementary groups get the group bits
+  const member = { uid: 3000, gid: 3000, groups: [owner.gid] };
+  await chmod("/tmp/secret.txt", 0o640);
+  assert.equal(
+    await runAs(member, () => readFile("/tmp/secret.txt", "utf8")),
+    "Top secret"
+  );
+  await assert.rejects(
+    runAs(member, () => access("/tmp/secret.txt", constants.W_OK)),
+    { code: "EACCES" }
+  );
+  await runAs({ ...owner, groups: [500] }, () =>
+    chown("/tmp/secret.txt", -1, 500)
+  );
+  assert.equal((await stat("/tmp/secret.txt")).gid, 500);
+  await assert.rejects(
+    runAs(owner, () => chown("/tmp/secret.txt", -1, 600)),
+    { code: "EPERM" }
+  );
+  await utimes("/tmp/secret.txt", new Date(0), new Date(1000000 * 1000));
+  assert.equal((await stat("/tmp/secret.txt")).mtime.getTime(), 1000000 * 1000);
+  await rm("/tmp/secret.txt");
+  // New files and directories lose the bits of the umask
+  await writeFile("/tmp/public.txt", "Public");
+  assert.equal((await stat("/tmp/public.txt")).mode & 0o777, 0o644);
+  await runAs({ uid: 0, gid: 0, umask: 0o077 }, async () => {
+    await writeFile("/tmp/private.txt", "Private");
+    await mkdir("/tmp/private");
+  });
+  assert.equal((await stat("/tmp/private.txt")).mode & 0o777, 0o600);
+  assert.equal((await stat("/tmp/private")).mode & 0o777, 0o700);
+  await rm("/tmp/public.txt");
+  await rm("/tmp/private.txt");
+  await rm("/tmp/private");
+});
+
+scenario("Watching", async () => {
+  await mkdir("/tmp/watched/sub", { recursive: true });
+  await mkdir("/tmp/watched/private", { mode: 0o700 });
+  const stranger = { uid: 2000, gid: 2000 };
+  /**
+   * Collect the events below /tmp/watched until there are `count` of them
+   * @param {string[]} events - Receives the events
+   * @param {number} count - Number of events to wait for
+   */
+  const collect = async (events, count) => {
+    for await (const event of watch("/tmp/watched", { recursive: true })) {
+      events.push(`${event.eventType} ${event.filename}`);
+      if (events.length === count) return;
+    }
+  };
+  const events = [];
+  const strangerEvents = [];
+  const watching = Promise.all([
+    collect(events, 4),
+    // Changes in directories the watcher can't list are left out
+    runAs(stranger, () => collect(strangerEvents, 3)),
+  ]);
+  // Give the watchers time to register on the disk
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  await writeFile("/tmp/watched/index.html", "<h1>Hi</h1>");
+  await writeFile("/tmp/watched/index.html", "<h1>Hello</h1>");
+  await writeFile("/tmp/watched/private/secret.txt", "Top secret");
+  await writeFile("/tmp/watched/sub/style.css", "h1 {}");
+  await watching;
+  assert.deepEqual(events, [
+    "rename index.html",
+    "change index.html",
+    "rename private/secret.txt",
+    "rename sub/style.css",
+  ]);
+  assert.deepEqual(strangerEvents, [
+    "rename index.html",
+    "change index.html",
+    "rename sub/style.css",
+  ]);
+  await assert.rejects(
+    runAs(stranger, () => watch("/tmp/watched/private").next()),
+    { code: "EACCES" }
+  );
+  await rm("/tmp/watched", { recursive: true });
+});
+
+scenario("Mounts", async () => {
+  await mkdir("/projects/abc/src", { recursive: true });
+  await writeFile("/projects/abc/src/index.js", "export {};");
+  await rename("/projects/abc/src/index.js", "/projects/abc/src/main.js");
+  await copyFile("/projects/abc/src/main.js", "/tmp/main.js");
+  assert.deepEqual(await readdir("/projects/abc/src"), ["main.js"]);
+  assert.equal(await readFile("/tmp/main.js", "utf8"), "export {};");
+  await assert.rejects(writeFile("/readonly/file.txt", "Nope"), {
+    code: "EROFS",
+  });
+  await assert.rejects(writeFile("/projects/templates/file.txt", "Nope"), {
+    code: "EROFS",
+  });
+  await mkdir("/tmp/moving/nested", { recursive: true });
+  await writeFile("/tmp/moving/nested/data.txt", "Moved across disks");
+  await rename("/tmp/moving", "/projects/abc/moved");
+  assert.deepEqual(await readdir("/projects/abc"), ["moved", "src"]);
+  assert.equal(
+    await readFile("/projects/abc/moved/nested/data.txt", "utf8"),
+    "Moved across disks"
+  );
+  await assert.rejects(stat("/tmp/moving"), { code: "ENOENT" });
+  await rm("/tmp/main.js");
+  await rm("/projects/abc", { recursive: true });
+});
+
+scenario("Cold storage", async () => {
+  const coldData = createData(5 * 1024 * 1024, 241);
+  await writeFile("/tmp/cold.bin", coldData);
+  await copyFile("/tmp/cold.bin", "/tmp/cold-copy.bin");
+  await rename("/tmp/cold-copy.bin", "/tmp/cold-renamed.bin");
+  assert.equal(
+    bucket.objects.size,
+    1,
+    "Large files were not moved to the bucket once"
+  );
+  const readCold = new Uint8Array(await readFile("/tmp/cold-renamed.bin"));
+  assert.deepEqual(readCold, coldData, "Cold file content mismatch");
+  const coldHandle = await open("/tmp/cold.bin", "a+");
+  const coldRange = new Uint8Array(3);
+  await coldHandle.read(coldRange, 0, 3, 1000);
+  assert.deepEqual(coldRange, coldData.subarray(1000, 1003));
+  await coldHandle.write("!");
+  await coldHandle.close();
+  assert.equal((await stat("/tmp/cold.bin")).size, coldData.length + 1);
+  await rm("/tmp/cold.bin");
+  await rm("/tmp/cold-renamed.bin");
+  assert.equal(bucket.objects.size, 0, "Removed files were left in the bucket");
+});
+
+scenario("WebDAV", async () => {
+  const dav = (method, path, init = {}) =>
+    handleWebDAV(
+      new Request(`http://localhost/dav${path}`, { method, ...init }),
+      { prefix: "/dav" }
+    );
+  assert.equal((await dav("MKCOL", "/tmp/dav")).status, 201);
+  const put = await dav("PUT", "/tmp/dav/hello%20world.txt", {
+    body: "Hello, WebDAV!",
+  });
+  assert.equal(put.status, 201);
+  const propfind = await dav("PROPFIND", "/tmp/dav", {
+    headers: { Depth: "1" },
+  });
+  assert.equal(propfind.status, 207);
+  const hrefs = [
+    ...(await propfind.text()).matchAll(/<D:href>(.*?)<\/D:href>/g),
+  ].map((match) => match[1]);
+  assert.deepEqual(hrefs, ["/dav/tmp/dav/", "/dav/tmp/dav/hello%20world.txt"]);
+  const got = await dav("GET", "/tmp/dav/hello%20world.txt", {
+    headers: { Range: "bytes=7-" },
+  });
+  assert.equal(got.status, 206);
+  assert.equal(await got.text(), "WebDAV!");
+  const notModified = await dav("GET", "/tmp/dav/hello%20world.txt", {
+    headers: { "If-None-Match": got.headers.get("ETag") },
+  });
+  assert.equal(notModified.status, 304);
+  const copied = await dav("COPY", "/tmp/dav/hello%20world.txt", {
+    headers: { Destination: "http://localhost/dav/tmp/dav/copy.txt" },
+  });
+  assert.equal(copied.status, 201);
+  const moved = await dav("MOVE", "/tmp/dav/copy.txt", {
+    headers: {
+      Destination: "http://localhost/dav/tmp/dav/hello%20world.txt",
+      Overwrite: "F",
+    },
+  });
+  assert.equal(moved.status, 412);
+  // Overlapping paths would remove the source or never finish
+  assert.equal((await dav("MKCOL", "/tmp/dav/dir")).status, 201);
+  const onto = await dav("MOVE", "/tmp/dav/copy.txt", {
+    headers: { Destination: "http://localhost/dav/tmp/dav" },
+  });
+  assert.equal(onto.status, 403);
+  const into = await dav("COPY", "/tmp/dav", {
+    headers: { Destination: "http://localhost/dav/tmp/dav/dir/copy" },
+  });
+  assert.equal(into.status, 403);
+  const elsewhere = await dav("COPY", "/tmp/dav/copy.txt", {
+    headers: { Destination: "http://example.com/dav/tmp/dav/other.txt" },
+  });
+  assert.equal(elsewhere.status, 502);
+  const replaced = await dav("COPY", "/tmp/dav/dir", {
+    headers: { Destination: "http://localhost/dav/tmp/dav/hello%20world.txt" },
+  });
+  assert.equal(replaced.status, 204);
+  assert.deepEqual(await readdir("/tmp/dav"), [
+    "copy.txt",
+    "dir",
+    "hello world.txt",
+  ]);
+  assert.equal((await dav("DELETE", "/tmp/dav/hello%20world.txt")).status, 204);
+  const lock = await dav("LOCK", "/tmp/dav/copy.txt");
+  assert.equal(lock.status, 200);
+  const lockToken = lock.headers.get("Lock-Token");
+  assert.ok(lockToken);
+  // Changes to locked resources need the token
+  assert.equal((await dav("LOCK", "/tmp/dav")).status, 423);
+  assert.equal(
+    (await dav("PUT", "/tmp/dav/copy.txt", { body: "Changed" })).status,
+    423
+  );
+  assert.equal((await dav("DELETE", "/tmp/dav")).status, 423);
+  const locked = await dav("PUT", "/tmp/dav/copy.txt", {
+    body: "Changed",
+    headers: { If: `(${lockToken})` },
+  });
+  assert.equal(locked.status, 204);
+  assert.equal(
+    (
+      await dav("UNLOCK", "/tmp/dav/copy.txt", {
+        headers: { "Lock-Token": lockToken },
+      })
+    ).status,
+    204
+  );
+  assert.equal((await dav("DELETE", "/tmp/dav")).status, 204);
+  assert.equal((await dav("GET", "/tmp/dav")).status, 404);
+});
+
+scenario("Batches", async () => {
+  const scaffold = [["mkdir", "/projects/batch/src", { recursive: true }]];
+  for (let i = 0; i < 100; i++) {
+    scaffold.push(["writeFile", `/projects/batch/src/${i}.js`, `${i}`]);
+  }
+  scaffold.push(["stat", "/projects/batch/src/99.js"]);
+  const results = await batch("/projects/batch", scaffold);
+  assert.equal(results.length, 102);
+  assert.equal(results.at(-1).size, 2);
+  await assert.rejects(
+    batch("/projects/batch", [
+      ["writeFile", "/projects/batch/src/0.js", "changed"],
+      ["rename", "/projects/batch/src/1.js", "/projects/batch/lib/1.js"],
+    ]),
+    { code: "ENOENT" }
+  );
+  assert.equal(
+    await readFile("/projects/batch/src/0.js", "utf8"),
+    "0",
+    "Failed batch was not rolled back"
+  );
+  await rm("/projects/batch", { recursive: true });
+});
+
+scenario("Versions", async () => {
+  await mkdir("/versioned");
+  for (const content of ["first", "second", "third"]) {
+    await writeFile("/versioned/notes.txt", content);
+  }
+  const versions = await listVersions("/versioned/notes.txt");
+  assert.equal(versions.length, 2);
+  assert.equal(
+    await readFileVersion("/versioned/notes.txt", versions[0].id, "utf8"),
+    "second"
+  );
+  await rm("/versioned/notes.txt");
+  const removed = await listVersions("/versioned/notes.txt");
+  await restoreVersion("/versioned/notes.txt", removed[0].id);
+  assert.equal(await readFile("/versioned/notes.txt", "utf8"), "third");
+  await rm("/versioned", { recursive: true });
+});
+
+scenario("Quotas", async () => {
+  await mkdir("/quota/logs", { recursive: true });
+  await writeFile("/quota/logs/a.log", new Uint8Array(60000));
+  await assert.rejects(writeFile("/quota/logs/b.log", new Uint8Array(10000)), {
+    code: "EDQUOT",
+  });
+  const usage = await du("/quota");
+  assert.equal(usage.size, 60000, "Usage was not counted");
+  assert.equal(usage.files, 2);
+  const fsStats = await statfs("/quota/logs");
+  assert.equal(fsStats.blocks * fsStats.bsize, 64 * 1024);
+  assert.equal(fsStats.bfree * fsStats.bsize, 4096);
+  await rm("/quota/logs", { recursive: true });
+  assert.equal((await du("/quota")).size, 0);
+
+  // Versions count towards the total of the disk and its quota
+  await mkdir("/history");
+  await writeFile("/history/data.bin", new Uint8Array(20000));
+  await writeFile("/history/data.bin", new Uint8Array(20000));
+  assert.equal((await du("/history")).size, 40000);
+  await assert.rejects(writeFile("/history/data.bin", new Uint8Array(30000)), {
+    code: "EDQUOT",
+  });
+  await rm("/history/data.bin");
+  assert.equal((await du("/history")).size, 20000);
+  await rm("/history", { recursive: true });
+});
+
+scenario("Similar paths", async () => {
+  // Case and "_" must not make one directory's entries match another's
+  await mkdir("/tmp/similar/docs/in", { recursive: true });
+  await writeFile("/tmp/similar/docs/in/b.txt", "bravo");
+  await link("/tmp/similar/docs/in/b.txt", "/tmp/similar/docs/link.txt");
+  await mkdir("/tmp/similar/Docs/in", { recursive: true });
+  await writeFile("/tmp/similar/Docs/in/a.txt", "alpha");
+  await mkdir("/tmp/similar/a_b");
+  await mkdir("/tmp/similar/axb");
+  await writeFile("/tmp/similar/axb/c.txt", "charlie");
+  // Appended content is kept in chunks under the file's own path
+  const large = createData(1024 * 1024 + 10, 251);
+  await appendFile("/tmp/similar/axb/large.bin", large);
+
+  await rename("/tmp/similar/Docs", "/tmp/similar/Other");
+  assert.equal(await readFile("/tmp/similar/docs/in/b.txt", "utf8"), "bravo");
+  assert.deepEqual(
+    (await search("/tmp/similar", "bravo")).map((match) => match.path),
+    ["/tmp/similar/docs/in/b.txt", "/tmp/similar/docs/link.txt"]
+  );
+  await rm("/tmp/similar/Other", { recursive: true });
+  await rm("/tmp/similar/a_b", { recursive: true });
+  assert.equal(await readFile("/tmp/similar/axb/c.txt", "utf8"), "charlie");
+  assert.equal(await readFile("/tmp/similar/docs/link.txt", "utf8"), "bravo");
+  assert.equal(
+    (await readFile("/tmp/similar/axb/large.bin")).byteLength,
+    large.length
+  );
+  assert.deepEqual(await du("/tmp/similar"), {
+    size: 12 + large.length,
+    files: 7,
+  });
+  assert.equal((await search("/tmp/similar", "bravo")).length, 2);
+  await rm("/tmp/similar", { recursive: true });
+});
+
+scenario("Glob", async () => {
+  await batch("/projects/glob", [
+    ["mkdir", "/projects/glob/guide/drafts", { recursive: true }],
+    ["writeFile", "/projects/glob/README.md", "# Glob"],
+    ["writeFile", "/projects/glob/guide/intro.md", "# Intro"],
+    ["writeFile", "/projects/glob/guide/setup.txt", "Setup"],
+    ["writeFile", "/projects/glob/guide/drafts/next.md", "# Next"],
+  ]);
+  const markdown = [];
+  for await (const path of glob("**/*.md", {
+    cwd: "/projects/glob",
+    exclude: ["guide/drafts"],
+  })) {
+    markdown.push(path);
+  }
+  assert.deepEqual(markdown, ["README.md", "guide/intro.md"]);
+  const entries = [];
+  for await (const entry of glob("/projects/glob/guide/*.{md,txt}", {
+    withFileTypes: true,
+  })) {
+    entries.push(`${entry.parentPath}/${entry.name}`);
+  }
+  assert.deepEqual(entries, [
+    "/projects/glob/guide/intro.md",
+    "/projects/glob/guide/setup.txt",
+  ]);
+  await rm("/projects/glob", { recursive: true });
+});
+
+scenario("Deduplication", async () => {
+  await writeFile("/tmp/dedup-a.txt", "Stored once");
+  await writeFile("/tmp/dedup-b.txt", "Stored once");
+  await copyFile("/tmp/dedup-a.txt", "/tmp/dedup-c.txt");
+  const hashes = [];
+  for (const name of ["a", "b", "c"]) {
+    hashes.push((await stat(`/tmp/dedup-${name}.txt`)).hash);
+  }
+  assert.ok(hashes[0]);
+  assert.deepEqual(
+    hashes,
+    [hashes[0], hashes[0], hashes[0]],
+    "Identical files do not share their content"
+  );
+  const dedupHandle = await open("/tmp/dedup-c.txt", "r+");
+  await dedupHandle.write("s", 0, 1, 0);
+  await dedupHandle.close();
+  assert.equal(await readFile("/tmp/dedup-c.txt", "utf8"), "stored once");
+  assert.equal(await readFile("/tmp/dedup-a.txt", "utf8"), "Stored once");
+  assert.notEqual((await stat("/tmp/dedup-c.txt")).hash, hashes[0]);
+  for (const name of ["a", "b", "c"]) {
+    await rm(`/tmp/dedup-${name}.txt`);
+  }
+});
+
+scenario("Compression", async () => {
+  const logText = "GET /index.html 200\n".repeat(1000);
+  await mkdir("/compressed");
+  await writeFile("/compressed/access.log", logText);
+  const logStats = await stat("/compressed/access.log");
+  assert.equal(
+    logStats.size,
+    logText.length,
+    "Compressed file does not report its logical size"
+  );
+  assert.ok(logStats.storedSize < logStats.size, "Content was not compressed");
+  assert.equal(await readFile("/compressed/access.log", "utf8"), logText);
+  // Appended data is stored next to the compressed content
+  await appendFile("/compressed/access.log", "GET /about.html 200\n");
+  assert.equal(
+    (await stat("/compressed/access.log")).storedSize,
+    logStats.storedSize + 20
+  );
+  assert.equal(
+    await readFile("/compressed/access.log", "utf8"),
+    `${logText}GET /about.html 200\n`
+  );
+  await writeFile("/compressed/plain.log", `${logText}!`, {
+    compression: null,
+  });
+  assert.equal(
+    (await stat("/compressed/plain.log")).storedSize,
+    logText.length + 1
+  );
+  // Chunks are compressed on their own, so ranges across them read back
+  const largeLog = logText.repeat(150);
+  await writeFile("/compressed/large.log", largeLog);
+  const largeStats = await stat("/compressed/large.log");
+  assert.ok(largeStats.storedSize < largeStats.size);
+  const logHandle = await open("/compressed/large.log", "r");
+  const range = new Uint8Array(40);
+  await logHandle.read(range, 0, 40, 1024 * 1024 - 20);
+  await logHandle.close();
+  assert.equal(
+    new TextDecoder().decode(range),
+    largeLog.slice(1024 * 1024 - 20, 1024 * 1024 + 20)
+  );
+  assert.equal(await readFile("/compressed/large.log", "utf8"), largeLog);
+  await rm("/compressed", { recursive: true });
+});
+
+scenario("Encryption at rest", async () => {
+  await mkdir("/encrypted");
+  await writeFile("/encrypted/secret.txt", "Top secret");
+  const encryptedStats = await stat("/encrypted/secret.txt");
+  assert.equal(
+    encryptedStats.storedSize,
+    encryptedStats.size + 28,
+    "Content was not stored with an IV and tag"
+  );
+  assert.equal(await readFile("/encrypted/secret.txt", "utf8"), "Top secret");
+  const encryptedHandle = await open("/encrypted/secret.txt", "r+");
+  await encryptedHandle.write("Tip", 0);
+  const encryptedBytes = new Uint8Array(6);
+  await encryptedHandle.read(encryptedBytes, 0, 6, 4);
+  await encryptedHandle.close();
+  assert.equal(new TextDecoder().decode(encryptedBytes), "secret");
+  assert.equal(await readFile("/encrypted/secret.txt", "utf8"), "Tip secret");
+  await Promise.all(
+    ["!", "?", "."].map((mark) => appendFile("/encrypted/secret.txt", mark))
+  );
+  const marks = (await readFile("/encrypted/secret.txt", "utf8")).slice(10);
+  assert.deepEqual([...marks].sort(), ["!", ".", "?"], "Appends were lost");
+  await rm("/encrypted", { recursive: true });
+});
+
+scenario("Appending and truncating", async () => {
+  await appendFile("/tmp/activity.log", "login\n");
+  await Promise.all(
+    ["view", "edit", "save"].map((action) =>
+      appendFile("/tmp/activity.log", `${action}\n`)
+    )
+  );
+  const activity = await readFile("/tmp/activity.log", "utf8");
+  assert.ok(activity.startsWith("login\n"));
+  assert.deepEqual(
+    activity.split("\n").slice(1).sort(),
+    ["", "edit", "save", "view"],
+    "Concurrent appends were lost"
+  );
+  await truncate("/tmp/activity.log", 5);
+  assert.equal(await readFile("/tmp/activity.log", "utf8"), "login");
+  await truncate("/tmp/activity.log");
+  assert.equal((await stat("/tmp/activity.log")).size, 0);
+  await rm("/tmp/activity.log");
+});
+
+scenario("Archives", async () => {
+  await mkdir("/projects/template/src", { recursive: true });
+  await writeFile("/projects/template/src/index.js", "export {};");
+  await chmod("/projects/template/src/index.js", 0o600);
+  await utimes("/projects/template/src", 1700000000, 1700000000);
+  await symlink("src/index.js", "/projects/template/main.js");
+  for (const format of ["tar", "zip"]) {
+    const archive = await new Response(
+      exportArchive("/projects/template", { format })
+    ).arrayBuffer();
+    await importArchive(`/projects/${format}`, new Response(archive).body, {
+      format,
+    });
+    const unpacked = await stat(`/projects/${format}/src/index.js`);
+    const unpackedDir = await stat(`/projects/${format}/src`);
+    assert.equal(unpacked.mode & 0o777, 0o600);
+    assert.equal(unpackedDir.mtime.getTime(), 1700000000 * 1000);
+    assert.equal(await readlink(`/projects/${format}/main.js`), "src/index.js");
+    await assert.rejects(
+      importArchive(`/projects/${format}`, new Response(archive).body, {
+        format,
+      }),
+      { code: "EEXIST" }
+    );
+    await rm(`/projects/${format}`, { recursive: true });
+  }
+  // A failed import leaves nothing behind, not even the directory it goes
+  // to, and its staging directory stays hidden meanwhile
+  const tar = new Uint8Array(
+    await new Response(exportArchive("/projects/template")).arrayBuffer()
+  );
+  let cut;
+  const importing = importArchive(
+    "/projects/cut/src",
+    new ReadableStream({
+      start(controller) {
+        controller.enqueue(tar.slice(0, 2048));
+        cut = () => controller.error(new Error("Connection lost"));
+      },
+    })
+  );
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  assert.deepEqual(await readdir("/projects/cut"), []);
+  cut();
+  await assert.rejects(importing, { message: "Connection lost" });
+  await assert.rejects(access("/projects/cut"), { code: "ENOENT" });
+  await rm("/projects/template", { recursive: true });
+});
+
+scenario("Search", async () => {
+  await mkdir("/projects/search/src", { recursive: true });
+  await writeFile(
+    "/projects/search/src/app.js",
+    "const answer = 42;\nconsole.log(answer);"
+  );
+  await writeFile("/projects/search/logo.png", new Uint8Array([0, 1, 2]));
+  await rename("/projects/search/src", "/projects/search/lib");
+  const matches = await search("/projects/search", "answer", {
+    glob: "**/*.js",
+  });
+  assert.deepEqual(
+    matches.map((match) => `${match.path}:${match.line} ${match.snippet}`),
+    [
+      "/projects/search/lib/app.js:1 const <mark>answer</mark> = 42;",
+      "/projects/search/lib/app.js:2 console.log(<mark>answer</mark>);",
+    ]
+  );
+  // Lines the glob drops don't count toward the limit
+  await writeFile("/projects/search/notes.txt", "answer\n".repeat(5));
+  const limited = await search("/projects/search", "answer", {
+    glob: "**/*.js",
+    limit: 2,
+  });
+  assert.deepEqual(
+    limited.map((match) => `${match.path}:${match.line}`),
+    ["/projects/search/lib/app.js:1", "/projects/search/lib/app.js:2"]
+  );
+  await rm("/projects/search/lib", { recursive: true });
+  await rm("/projects/search/notes.txt");
+  assert.deepEqual(await search("/projects/search", "answer"), []);
+  await assert.rejects(search("/projects/search", '"unterminated'), {
+    code: "EINVAL",
+  });
+  await rm("/projects/search", { recursive: true });
+});
+
+scenario("Encodings", async () => {
+  await mkdir("/tmp/encoded");
+  await writeFile("/tmp/encoded/€.txt", "SGVsbG8sIOKCrCE=", "base64");
+  assert.equal(await readFile("/tmp/encoded/€.txt", "utf8"), "Hello, €!");
+  assert.equal(
+    await readFile("/tmp/encoded/€.txt", "hex"),
+    "48656c6c6f2c20e282ac21"
+  );
+  assert.equal(
+    await readFile("/tmp/encoded/€.txt", "latin1"),
+    "Hello, â\x82¬!"
+  );
+  await appendFile("/tmp/encoded/€.txt", "?\u00a0", "utf16le");
+  const bytes = await readFile("/tmp/encoded/€.txt");
+  assert.ok(bytes instanceof Uint8Array);
+  assert.equal(bytes.toString("base64"), "SGVsbG8sIOKCrCE/AKAA");
+  assert.deepEqual(await readdir("/tmp/encoded", { encoding: "hex" }), [
+    "e282ac2e747874",
+  ]);
+  await assert.rejects(readFile("/tmp/encoded/€.txt", "utf-7"), {
+    code: "EINVAL",
+  });
+  await rm("/tmp/encoded", { recursive: true });
+});
+
+scenario("Paths", async () => {
+  await mkdir("/tmp/paths/./nested/../nested", { recursive: true });
+  await writeFile("/tmp/paths/nested/../file.txt", "content");
+  assert.deepEqual((await readdir("/tmp/paths/")).sort(), [
+    "file.txt",
+    "nested",
+  ]);
+  assert.ok((await stat("/tmp/paths/")).isDirectory);
+  assert.equal(
+    await readFile(new URL("file:///tmp/paths/file%2Etxt"), "utf8"),
+    "content"
+  );
+  assert.equal(
+    await readFile(new TextEncoder().encode("/tmp/paths/file.txt"), "utf8"),
+    "content"
+  );
+  await assert.rejects(readFile("/tmp/paths/file.txt\0"), { code: "EINVAL" });
+  await assert.rejects(readFile(new URL("https://example.com/tmp")), {
+    code: "EINVAL",
+  });
+
+  chdir("/tmp/paths");
+  try {
+    assert.equal(cwd(), "/tmp/paths");
+    assert.equal(await readFile("nested/../file.txt", "utf8"), "content");
+  } finally {
+    chdir("/");
+  }
+
+  // Every runIn() call has its own working directory
+  await Promise.all([
+    runIn("/tmp/paths", async () => {
+      await rename("file.txt", "./nested/moved.txt");
+      assert.deepEqual(await readdir("nested"), ["moved.txt"]);
+    }),
+    runIn("/tmp", async () => {
+      chdir("paths/nested");
+      assert.equal(cwd(), "/tmp/paths/nested");
+    }),
+  ]);
+  assert.equal(cwd(), "/");
+
+  // ".." can't reach another disk's paths through the disk it leaves
+  await mkdir("/projects/left", { recursive: true });
+  await mkdir("/projects/right", { recursive: true });
+  await writeFile("/projects/left/../right/file.txt", "right");
+  assert.equal(await readFile("/projects/right/file.txt", "utf8"), "right");
+  assert.deepEqual(await readdir("/projects/left"), []);
+  await rm("/projects/left", { recursive: true });
+  await rm("/projects/right", { recursive: true });
+  await rm("/tmp/paths", { recursive: true });
+});
+
+scenario("Opening directories", async () => {
+  await mkdir("/tmp/many");
+  const names = Array.from({ length: 25 }, (_, i) => `file-${i + 10}.txt`);
+  await batch(
+    "/tmp/many",
+    names.map((name) => ["writeFile", `/tmp/many/${name}`, name])
+  );
+
+  const dir = await opendir("/tmp/many", { bufferSize: 10 });
+  const entries = [];
+  for await (const entry of dir) entries.push(entry);
+  assert.deepEqual(
+    entries.map((entry) => entry.name),
+    names
+  );
+  assert.ok(entries.every((entry) => entry.isFile()));
+  assert.equal(entries[0].parentPath, "/tmp/many");
+  await assert.rejects(dir.read(), { code: "EBADF" });
+
+  const paged = await opendir("/tmp/many", { bufferSize: 2 });
+  assert.equal((await paged.read()).name, "file-10.txt");
+  await rm("/tmp/many/file-11.txt");
+  await rm("/tmp/many/file-12.txt");
+  assert.equal((await paged.read()).name, "file-11.txt");
+  assert.equal((await paged.read()).name, "file-13.txt");
+  await paged.close();
+
+  await assert.rejects(opendir("/tmp/many/file-10.txt"), { code: "ENOTDIR" });
+  await rm("/tmp/many", { recursive: true });
+});
+
+scenario("Error handling", async () => {
+  await assert.rejects(readFile("/nonexistent/file.txt"), { code: "ENOENT" });
+  await assert.rejects(mkdir("/Users/testuser/documents/readme.txt/invalid"), {
+    code: "ENOTDIR",
+  });
+});
+
+scenario("Cleaning up (removing files)", async () => {
+  await rm("/tmp/readme-copy.txt");
+  await rm("/tmp/documents-backup", { recursive: true });
+  await rm("/tmp/renamed.log");
+  await rm("/Users/testuser/projects", { recursive: true });
+  assert.deepEqual(await readdir("/Users/testuser"), ["documents"]);
+});
+
+scenario("Cross-instance operations", async () => {
+  // First ensure parent directories exist
+  await mkdir("/Users/alice", { recursive: true });
+  await mkdir("/Users/bob", { recursive: true });
+
+  await writeFile("/Users/alice/data.txt", "Alice data");
+  await writeFile("/Users/bob/data.txt", "Bob data");
+
+  // This should use different DO instances
+  assert.equal(await readFile("/Users/alice/data.txt", "utf8"), "Alice data");
+  assert.equal(await readFile("/Users/bob/data.txt", "utf8"), "Bob data");
+
+  // Cross-instance copy
+  await copyFile("/Users/alice/data.txt", "/Users/bob/alice-data.txt");
+  assert.equal(
+    await readFile("/Users/bob/alice-data.txt", "utf8"),
+    "Alice data"
+  );
+});
+
 export default {
   async fetch(request, env, ctx) {
     try {
@@ -24,6 +1056,11 @@ export default {
         });
       }
 
+      // Mount http://localhost:8787/dav in Finder, Explorer or rclone
+      if (url.pathname === "/dav" || url.pathname.startsWith("/dav/")) {
+        return await handleWebDAV(request, { prefix: "/dav" });
+      }
+
       return new Response(
         "FS Test Worker\n\nVisit /test to run filesystem tests",
         {
@@ -47,173 +1084,19 @@ async function runTests() {
     console.log(message);
   }
 
-  try {
-    log("🧪 Starting filesystem tests...\n");
-
-    // Test 1: Create directories
-    log("Test 1: Creating directories");
-    await mkdir("/Users/testuser/documents", { recursive: true });
-    await mkdir("/Users/testuser/projects/myapp", { recursive: true });
-    await mkdir("/tmp", { recursive: true });
-    log("✅ Directories created successfully\n");
-
-    // Test 2: Write files
-    log("Test 2: Writing files");
-    await writeFile("/Users/testuser/documents/readme.txt", "Hello, World!");
-    await writeFile(
-      "/Users/testuser/projects/myapp/package.json",
-      JSON.stringify(
-        {
-          name: "myapp",
-          version: "1.0.0",
-        },
-        null,
-        2
-      )
-    );
-    await writeFile("/tmp/temp.log", "Temporary file content");
-    log("✅ Files written successfully\n");
-
-    // Test 3: Read files
-    log("Test 3: Reading files");
-    const readme = await readFile(
-      "/Users/testuser/documents/readme.txt",
-      "utf8"
-    );
-    log(`readme.txt content: "${readme}"`);
-
-    const packageJson = await readFile(
-      "/Users/testuser/projects/myapp/package.json",
-      "utf8"
-    );
-    const parsed = JSON.parse(packageJson);
-    log(`package.json name: "${parsed.name}"`);
-
-    const tempLog = await readFile("/tmp/temp.log", "utf8");
-    log(`temp.log content: "${tempLog}"`);
-    log("✅ Files read successfully\n");
-
-    // Test 4: List directories
-    log("Test 4: Listing directories");
-    const userFiles = await readdir("/Users/testuser");
-    log(`/Users/testuser contents: ${userFiles.join(", ")}`);
-
-    const docsFiles = await readdir("/Users/testuser/documents");
-    log(`/Users/testuser/documents contents: ${docsFiles.join(", ")}`);
-
-    const projectFiles = await readdir("/Users/testuser/projects");
-    log(`/Users/testuser/projects contents: ${projectFiles.join(", ")}`);
-    log("✅ Directory listings successful\n");
-
-    // Test 5: File stats
-    log("Test 5: Getting file stats");
-    const readmeStats = await stat("/Users/testuser/documents/readme.txt");
-    log(
-      `readme.txt - isFile: ${readmeStats.isFile}, size: ${readmeStats.size} bytes`
-    );
-
-    const docsStats = await stat("/Users/testuser/documents");
-    log(`documents - isDirectory: ${docsStats.isDirectory}`);
-    log("✅ File stats retrieved successfully\n");
-
-    // Test 6: Copy files
-    log("Test 6: Copying files");
-    await copyFile(
-      "/Users/testuser/documents/readme.txt",
-      "/tmp/readme-copy.txt"
-    );
-    const copiedContent = await readFile("/tmp/readme-copy.txt", "utf8");
-    log(`Copied file content: "${copiedContent}"`);
-    log("✅ File copied successfully\n");
-
-    // Test 7: Copy directory (cross-instance)
-    log("Test 7: Copying directory across instances");
-    await cp("/Users/testuser/documents", "/tmp/documents-backup", {
-      recursive: true,
-    });
-    const backupFiles = await readdir("/tmp/documents-backup");
-    log(`Backup directory contents: ${backupFiles.join(", ")}`);
-    log("✅ Directory copied successfully\n");
-
-    // Test 8: Rename files
-    log("Test 8: Renaming files");
-    await rename("/tmp/temp.log", "/tmp/renamed.log");
-    const renamedFiles = await readdir("/tmp");
-    log(`/tmp after rename: ${renamedFiles.join(", ")}`);
-    log("✅ File renamed successfully\n");
-
-    // Test 9: Binary file handling
-    log("Test 9: Binary file handling");
-    const binaryData = new Uint8Array([
-      0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
-    ]); // PNG header
-    await writeFile("/Users/testuser/documents/test.png", binaryData);
-
-    // Read without encoding to get ArrayBuffer
-    const readBinary = await readFile("/Users/testuser/documents/test.png");
-    const readArray = new Uint8Array(readBinary);
-    log(
-      `Binary file size: ${readArray.length} bytes, first byte: 0x${readArray[0]
-        .toString(16)
-        .padStart(2, "0")}`
-    );
-    log("✅ Binary file handling successful\n");
-
-    // Test 10: Error handling
-    log("Test 10: Error handling");
-    try {
-      await readFile("/nonexistent/file.txt");
-      log("❌ Should have thrown an error");
-    } catch (error) {
-      log(`✅ Correctly threw error: ${error.message}`);
-    }
-
+  log("🧪 Starting filesystem tests...\n");
+  for (const { name, run } of scenarios) {
     try {
-      await mkdir("/Users/testuser/documents/readme.txt/invalid");
-      log("❌ Should have thrown an error");
+      await run();
+      log(`✅ ${name}`);
     } catch (error) {
-      log(`✅ Correctly threw error: ${error.message}`);
+      // Later scenarios build on this one, so stop here
+      log(`❌ ${name}: ${error.message}`);
+      log(`Stack trace: ${error.stack}`);
+      return results.join("\n");
     }
-    log("");
-
-    // Test 11: Remove files and directories
-    log("Test 11: Cleaning up (removing files)");
-    await rm("/tmp/readme-copy.txt");
-    await rm("/tmp/documents-backup", { recursive: true });
-    await rm("/tmp/renamed.log");
-    await rm("/Users/testuser/projects", { recursive: true });
-
-    const finalUserFiles = await readdir("/Users/testuser");
-    log(`Final /Users/testuser contents: ${finalUserFiles.join(", ")}`);
-    log("✅ Cleanup successful\n");
-
-    // Test 12: Cross-instance operations
-    log("Test 12: Cross-instance operations test");
-
-    // First ensure parent directories exist
-    await mkdir("/Users/alice", { recursive: true });
-    await mkdir("/Users/bob", { recursive: true });
-
-    await writeFile("/Users/alice/data.txt", "Alice data");
-    await writeFile("/Users/bob/data.txt", "Bob data");
-
-    // This should use different DO instances
-    const aliceData = await readFile("/Users/alice/data.txt", "utf8");
-    const bobData = await readFile("/Users/bob/data.txt", "utf8");
-    log(`Alice's data: "${aliceData}"`);
-    log(`Bob's data: "${bobData}"`);
-
-    // Cross-instance copy
-    await copyFile("/Users/alice/data.txt", "/Users/bob/alice-data.txt");
-    const crossCopy = await readFile("/Users/bob/alice-data.txt", "utf8");
-    log(`Cross-instance copy result: "${crossCopy}"`);
-    log("✅ Cross-instance operations successful\n");
-
-    log("🎉 All tests passed!");
-  } catch (error) {
-    log(`❌ Test failed: ${error.message}`);
-    log(`Stack trace: ${error.stack}`);
   }
+  log("\n🎉 All tests passed!");
 
   return results.join("\n");
 }